@@ -0,0 +1,97 @@
+// Admission policies of the Conductor (see philosophers.js)
+//
+// When a seat is free and philosophers are waiting for one, the conductor asks
+// its policy which of them gets the seat:
+//   policy.select(waiting, conductor) returns the index of the waiter to admit
+//   waiting   - the waiters in arrival order: { phil, since, ticket }
+//   conductor - for the history of the philosophers: conductor.meals (phil -> seats
+//               granted so far) and conductor.lastLeft (phil -> time it last left its seat)
+// A policy with issue() hands every request a ticket number (logged with SEAT_REQUEST).
+//
+//   fifo         - first come, first served
+//   longest-wait - the philosopher that has gone longest without a seat (since it last
+//                  left one, or since the start) is admitted first
+//   least-eaten  - the philosopher with the fewest meals so far is admitted first
+//   ticket       - take-a-number: every request draws the next ticket and seats are
+//                  granted in ticket order, like the bakery algorithm
+
+// Index of the waiter with the lowest key; ties go to the earlier arrival
+function lowest(waiting, key) {
+    let best = 0;
+    for (let i = 1; i < waiting.length; i++) {
+        if (key(waiting[i]) < key(waiting[best])) best = i;
+    }
+    return best;
+}
+
+class FifoPolicy {
+    constructor() {
+        this.name = 'fifo';
+    }
+
+    select() {
+        return 0;
+    }
+}
+
+class LongestWaitPolicy {
+    constructor() {
+        this.name = 'longest-wait';
+    }
+
+    select(waiting, conductor) {
+        return lowest(waiting, w => (conductor.lastLeft.has(w.phil) ? conductor.lastLeft.get(w.phil) : -Infinity));
+    }
+}
+
+class LeastEatenPolicy {
+    constructor() {
+        this.name = 'least-eaten';
+    }
+
+    select(waiting, conductor) {
+        return lowest(waiting, w => conductor.meals.get(w.phil) || 0);
+    }
+}
+
+class TicketPolicy {
+    constructor() {
+        this.name = 'ticket';
+        this.nextTicket = 0;
+    }
+
+    issue() {
+        return this.nextTicket++;
+    }
+
+    select(waiting) {
+        return lowest(waiting, w => w.ticket);
+    }
+}
+
+const POLICIES = ['fifo', 'longest-wait', 'least-eaten', 'ticket'];
+
+// Create a policy by name: fifo, longest-wait, least-eaten or ticket
+function createPolicy(name = 'fifo') {
+    switch (name) {
+        case 'fifo':
+            return new FifoPolicy();
+        case 'longest-wait':
+            return new LongestWaitPolicy();
+        case 'least-eaten':
+            return new LeastEatenPolicy();
+        case 'ticket':
+            return new TicketPolicy();
+        default:
+            throw new Error(`Unknown admission policy: ${name}`);
+    }
+}
+
+module.exports = {
+    FifoPolicy,
+    LongestWaitPolicy,
+    LeastEatenPolicy,
+    TicketPolicy,
+    POLICIES,
+    createPolicy
+};
@@ -0,0 +1,124 @@
+const { FifoPolicy, LongestWaitPolicy, LeastEatenPolicy, TicketPolicy, createPolicy } = require('./admission');
+const { Conductor, Table, VirtualClock } = require('./philosophers');
+const { Run } = require('./run');
+const { checkRun } = require('./check-forks');
+const { analyzeRun } = require('./analyze-log');
+
+// Conductor on its own quiet run
+function createConductor(seats, policy) {
+    const run = new Run({ algorithm: 'conductor', quiet: true });
+    return new Conductor(seats, { policy, run });
+}
+
+// Seat philosophers one after another; returns the order in which they got a seat
+function seatingOrder(conductor, phils) {
+    const order = [];
+    phils.forEach(phil => conductor.requestSeat(phil).then(() => order.push(phil)));
+    return order;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Admission policies', () => {
+    const waiting = [{ phil: 3, since: 0, ticket: 5 }, { phil: 1, since: 1, ticket: 2 }, { phil: 2, since: 2, ticket: 9 }];
+    const history = { meals: new Map([[3, 4], [1, 2], [2, 2]]), lastLeft: new Map([[3, 10], [2, 4]]) };
+
+    test('fifo admits the first arrival', () => {
+        expect(new FifoPolicy().select(waiting, history)).toBe(0);
+    });
+
+    test('longest-wait admits whoever has gone longest without a seat', () => {
+        // Philosopher 1 never had a seat
+        expect(new LongestWaitPolicy().select(waiting, history)).toBe(1);
+        expect(new LongestWaitPolicy().select([waiting[0], waiting[2]], history)).toBe(1);
+    });
+
+    test('least-eaten admits the philosopher with the fewest meals, earlier arrivals first', () => {
+        expect(new LeastEatenPolicy().select(waiting, history)).toBe(1);
+    });
+
+    test('ticket issues increasing numbers and admits the lowest', () => {
+        const policy = new TicketPolicy();
+        expect([policy.issue(), policy.issue()]).toEqual([0, 1]);
+        expect(policy.select(waiting)).toBe(1);
+    });
+
+    test('createPolicy creates policies by name', () => {
+        expect(createPolicy().name).toBe('fifo');
+        expect(createPolicy('least-eaten')).toBeInstanceOf(LeastEatenPolicy);
+        expect(() => createPolicy('lifo')).toThrow('Unknown admission policy: lifo');
+    });
+});
+
+describe('Conductor', () => {
+    test('seats philosophers up to its capacity and queues the rest', async () => {
+        const conductor = createConductor(2, 'fifo');
+        const order = seatingOrder(conductor, [0, 1, 2, 3]);
+        await flush();
+
+        expect(order).toEqual([0, 1]);
+        expect([conductor.seats, conductor.queueLength]).toEqual([0, 2]);
+
+        conductor.leaveSeat(1);
+        await flush();
+        expect(order).toEqual([0, 1, 2]);
+        expect(conductor.maxQueueLength).toBe(2);
+    });
+
+    test('logs SEAT_REQUEST, SEAT_GRANTED and SEAT_LEFT with queue and wait', async () => {
+        const clock = new VirtualClock();
+        const run = new Run({ algorithm: 'conductor', clock, quiet: true });
+        const conductor = new Conductor(1, { policy: 'ticket', run });
+
+        await conductor.requestSeat(0);
+        const second = conductor.requestSeat(1);
+        await clock.sleep(3);
+        conductor.leaveSeat(0);
+        await second;
+
+        expect(run.events.map(e => [e.t, e.phil, e.event, e.forks, e.queue, e.ticket, e.wait])).toEqual([
+            [0, 0, 'SEAT_REQUEST', [], 0, 0, undefined],
+            [0, 0, 'SEAT_GRANTED', [], undefined, undefined, 0],
+            [0, 1, 'SEAT_REQUEST', [], 0, 1, undefined],
+            [3, 0, 'SEAT_LEFT', [], undefined, undefined, undefined],
+            [3, 1, 'SEAT_GRANTED', [], undefined, undefined, 3]
+        ]);
+        expect(conductor.admissionWaits).toEqual(new Map([[0, [0]], [1, [3]]]));
+    });
+
+    test('least-eaten lets a philosopher without meals ahead of earlier arrivals', async () => {
+        const conductor = createConductor(1, 'least-eaten');
+        await conductor.requestSeat(0);
+        conductor.leaveSeat(0);
+        await conductor.requestSeat(1);
+
+        const order = seatingOrder(conductor, [0, 2]);
+        conductor.leaveSeat(1);
+        await flush();
+        expect(order).toEqual([2]);
+    });
+
+    test('philosophers seated by the conductor eat without deadlock', async () => {
+        for (const policy of ['fifo', 'longest-wait', 'least-eaten', 'ticket']) {
+            const table = new Table({ algorithm: 'conductor', n: 5, seed: 1, clock: new VirtualClock({ seed: 1 }), quiet: true });
+            const conductor = new Conductor(4, { policy, run: table.run });
+            await table.start(async p => {
+                for (let i = 0; i < 5; i++) {
+                    await conductor.requestSeat(p.id);
+                    await p.forks[p.f1].acquire(p.id);
+                    await p.forks[p.f2].acquire(p.id);
+                    await p.eat();
+                    p.forks[p.f1].release(p.id);
+                    p.forks[p.f2].release(p.id);
+                    conductor.leaveSeat(p.id);
+                }
+            });
+
+            const metrics = analyzeRun(table.events);
+            expect(metrics.mealsPerPhilosopher).toEqual([5, 5, 5, 5, 5]);
+            expect(metrics.admission.waitTime.count).toBe(25);
+            expect(metrics.admission.maxQueue).toBeLessThanOrEqual(conductor.maxQueueLength);
+            expect(checkRun(table.events)).toEqual([]);
+        }
+    });
+});
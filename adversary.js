@@ -0,0 +1,68 @@
+// Adversarial schedules: timings that let the neighbours of one philosopher starve it
+//
+// An adversary { mode, victim, factor } changes the times of the neighbours of philosopher
+// `victim` (the philosophers sharing a fork with it, see topology.js):
+//   greedy - the neighbours never think (thinking time 0), so they are hungry again right
+//            after every meal, while everybody else thinks as configured (--think-time)
+//   skewed - the neighbours eat `factor` times longer (default 10), so the victim's forks
+//            are taken most of the time
+// How long the victim waited and how often its neighbours ate meanwhile is measured by
+// analyze-log.js (starvation); checkBoundedWaiting() there asserts bounds on it.
+//
+// parseAdversary() reads an adversary from a string like "greedy", "greedy:2" or
+// "skewed:0:20" (mode[:victim[:factor]], as in run-experiments.js --adversary);
+// adversaryTiming() gives the per-philosopher times for Philosopher (see Philosopher options).
+
+const { scaleDistribution } = require('./distributions');
+
+const MODES = ['greedy', 'skewed'];
+
+const DEFAULT_FACTOR = 10;
+
+function parseAdversary(spec) {
+    const [mode, victim, factor] = String(spec).split(':');
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown adversary: ${mode} (expected ${MODES.join(', ')})`);
+    }
+    if ((victim !== undefined && (victim === '' || isNaN(victim))) || (factor !== undefined && !(Number(factor) > 0))) {
+        throw new Error(`Invalid adversary: ${spec} (expected mode[:victim[:factor]])`);
+    }
+    return {
+        mode,
+        victim: victim === undefined ? 0 : Number(victim),
+        factor: factor === undefined ? DEFAULT_FACTOR : Number(factor)
+    };
+}
+
+// Thinking and eating times { eatTime, thinkTime } of every philosopher of the topology
+// (arrays by philosopher id) from the configured ones, which apply to everybody else
+function adversaryTiming(adversary, topology, timing) {
+    if (adversary.victim >= topology.n) {
+        throw new Error(`Adversary victim ${adversary.victim} is not at the table (N=${topology.n})`);
+    }
+    const neighbors = new Set(topology.neighbors(adversary.victim));
+    const own = spec => Array.isArray(spec) ? spec : Array(topology.n).fill(spec);
+    const eatTime = own(timing.eatTime !== undefined ? timing.eatTime : 1);
+    const thinkTime = own(timing.thinkTime !== undefined ? timing.thinkTime : null);
+
+    return {
+        eatTime: eatTime.map((spec, phil) =>
+            adversary.mode === 'skewed' && neighbors.has(phil) ? scaleDistribution(spec, adversary.factor) : spec),
+        thinkTime: thinkTime.map((spec, phil) =>
+            adversary.mode === 'greedy' && neighbors.has(phil) ? 0 : spec)
+    };
+}
+
+// Short description, e.g. "greedy neighbours of philosopher 0 (1, 4)"
+function describeAdversary(adversary, topology) {
+    const neighbors = topology.neighbors(adversary.victim).join(', ');
+    const what = adversary.mode === 'greedy' ? 'greedy neighbours' : `neighbours eating ${adversary.factor}x longer`;
+    return `${what} of philosopher ${adversary.victim} (${neighbors})`;
+}
+
+module.exports = {
+    MODES,
+    parseAdversary,
+    adversaryTiming,
+    describeAdversary
+};
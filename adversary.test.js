@@ -0,0 +1,58 @@
+const { parseAdversary, adversaryTiming, describeAdversary } = require('./adversary');
+const { Table, VirtualClock, startAlgorithm } = require('./philosophers');
+const { analyzeRun, checkBoundedWaiting } = require('./analyze-log');
+const { ring, star } = require('./topology');
+
+// Metrics of a run on a virtual clock with the adversary's times (everybody else thinks 2ms)
+async function runAgainst(algorithm, spec, meals = 30) {
+    const timing = adversaryTiming(parseAdversary(spec), ring(5), { thinkTime: 2 });
+    const table = new Table({ algorithm, topology: ring(5), seed: 1, clock: new VirtualClock({ seed: 1 }), quiet: true, ...timing });
+    await table.run.watch(table.forks, startAlgorithm(algorithm, table.philosophers, table.forks, meals));
+    return analyzeRun(table.events);
+}
+
+describe('Adversary specs', () => {
+    test('parseAdversary reads mode[:victim[:factor]]', () => {
+        expect(parseAdversary('greedy')).toEqual({ mode: 'greedy', victim: 0, factor: 10 });
+        expect(parseAdversary('skewed:2:20')).toEqual({ mode: 'skewed', victim: 2, factor: 20 });
+        expect(() => parseAdversary('lazy')).toThrow('Unknown adversary: lazy (expected greedy, skewed)');
+        expect(() => parseAdversary('greedy:x')).toThrow('Invalid adversary: greedy:x');
+        expect(() => parseAdversary('skewed:0:0')).toThrow('Invalid adversary: skewed:0:0');
+    });
+
+    test('greedy neighbours of the victim never think', () => {
+        expect(adversaryTiming(parseAdversary('greedy:0'), ring(5), { thinkTime: 'exp:5' })).toEqual({
+            eatTime: [1, 1, 1, 1, 1],
+            thinkTime: ['exp:5', 0, 'exp:5', 'exp:5', 0]
+        });
+    });
+
+    test('skewed neighbours of the victim eat longer', () => {
+        expect(adversaryTiming(parseAdversary('skewed:0:5'), star(4), { eatTime: 'uniform:1:3' })).toEqual({
+            eatTime: ['uniform:1:3', 'uniform:5:15', 'uniform:5:15', 'uniform:5:15'],
+            thinkTime: [null, null, null, null]
+        });
+        expect(adversaryTiming(parseAdversary('skewed:1'), ring(3), { eatTime: [1, 2, 3] }).eatTime).toEqual([10, 2, 30]);
+        expect(() => adversaryTiming(parseAdversary('skewed:5'), ring(5), {})).toThrow('Adversary victim 5 is not at the table (N=5)');
+    });
+
+    test('describeAdversary names the victim and its neighbours', () => {
+        expect(describeAdversary(parseAdversary('greedy:2'), ring(5))).toBe('greedy neighbours of philosopher 2 (1, 3)');
+        expect(describeAdversary(parseAdversary('skewed:0:4'), ring(5))).toBe('neighbours eating 4x longer of philosopher 0 (1, 4)');
+    });
+});
+
+describe('Starvation under adversaries', () => {
+    test('greedy neighbours overtake a naive-timeout philosopher again and again', async () => {
+        const metrics = await runAgainst('naive-timeout', 'greedy');
+        expect(metrics.mealsPerPhilosopher).toEqual([30, 30, 30, 30, 30]);
+        expect(metrics.starvation.maxOvertakes[0]).toBeGreaterThan(10);
+        expect(checkBoundedWaiting(metrics, { overtakes: 2 }).map(v => v.phil)).toContain(0);
+    });
+
+    test.each(['greedy', 'skewed'])('chandy-misra keeps waiting bounded against %s neighbours', async spec => {
+        const metrics = await runAgainst('chandy-misra', spec);
+        expect(metrics.mealsPerPhilosopher).toEqual([30, 30, 30, 30, 30]);
+        expect(checkBoundedWaiting(metrics, { overtakes: 2 })).toEqual([]);
+    });
+});
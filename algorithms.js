@@ -0,0 +1,154 @@
+// Registry of the algorithms the philosophers can run
+//
+// registerAlgorithm(name, definition) makes an algorithm known to run-experiments.js
+// (by name on the command line), to main() in philosophers.js, to the test helpers and to
+// analyze-log.js, which reports events an algorithm is not expected to log. Definition:
+//   start(philosopher, meals, shared) - start one philosopher; returns its promise
+//   setup(philosophers, forks, options) - optional: state shared by the philosophers of a
+//                    run (e.g. the conductor), created once before they start; options are
+//                    { conductorPolicy, lease, Conductor } (all optional)
+//   expectedEvents - the events the algorithm logs besides COMMON_EVENTS (see README.md)
+//   inAll          - run by `run-experiments.js all`: true (default), false (only when
+//                    named) or 'solutions' (only with --solutions)
+//   parallel       - can run in worker threads (default true, see parallel.js); there
+//                    setup() is not called and `shared` is the AtomicConductor
+//   distributed    - can run with every philosopher in its own process (default true, see
+//                    distributed.js): only acquire() and release() of the forks, and the
+//                    conductor; setup() is not called and `shared` is the RemoteConductor
+//
+// Algorithms from other modules register themselves when the module is loaded, e.g.
+// with run-experiments.js --require=<module>.
+
+// Events logged for every algorithm by the harness (thinking times, deadlock detector, faults)
+const COMMON_EVENTS = ['THINK_START', 'THINK_END', 'DEADLOCK', 'CRASH', 'LEASE_EXPIRED'];
+
+const FORK_EVENTS = ['TRY', 'ACQUIRE', 'RELEASE', 'EAT_START', 'EAT_END'];
+
+const algorithms = new Map();
+
+function registerAlgorithm(name, definition = {}) {
+    if (algorithms.has(name)) {
+        throw new Error(`Algorithm already registered: ${name}`);
+    }
+    if (typeof definition.start !== 'function') {
+        throw new Error(`Algorithm ${name} needs a start(philosopher, meals, shared) function`);
+    }
+    const algorithm = {
+        name,
+        setup: definition.setup || null,
+        start: definition.start,
+        expectedEvents: definition.expectedEvents || FORK_EVENTS,
+        inAll: definition.inAll !== undefined ? definition.inAll : true,
+        parallel: definition.parallel !== undefined ? definition.parallel : true,
+        distributed: definition.distributed !== undefined ? definition.distributed : true
+    };
+    algorithms.set(name, algorithm);
+    return algorithm;
+}
+
+function hasAlgorithm(name) {
+    return algorithms.has(name);
+}
+
+function getAlgorithm(name) {
+    if (!algorithms.has(name)) {
+        throw new Error(`Unknown algorithm: ${name} (expected ${algorithmNames().join(', ')})`);
+    }
+    return algorithms.get(name);
+}
+
+// Names in registration order
+function algorithmNames() {
+    return Array.from(algorithms.keys());
+}
+
+// The algorithms run by `all`
+function defaultAlgorithms(useSolutions = false) {
+    return Array.from(algorithms.values())
+        .filter(a => a.inAll === true || (a.inAll === 'solutions' && useSolutions))
+        .map(a => a.name);
+}
+
+// Start every philosopher with a registered algorithm; returns their promises
+function startAlgorithm(name, philosophers, forks, meals, options = {}) {
+    const algorithm = getAlgorithm(name);
+    const shared = algorithm.setup ? algorithm.setup(philosophers, forks, options) : undefined;
+    return philosophers.map(p => algorithm.start(p, meals, shared));
+}
+
+// Events of a run its algorithm is not expected to log (null for unregistered algorithms)
+function unexpectedEvents(name, events) {
+    if (!algorithms.has(name)) return null;
+    const expected = new Set([...COMMON_EVENTS, ...algorithms.get(name).expectedEvents]);
+    return Array.from(new Set(events.map(e => e.event))).filter(event => !expected.has(event));
+}
+
+registerAlgorithm('asymmetric', {
+    start: (p, meals) => p.startAsym(meals)
+});
+
+registerAlgorithm('conductor', {
+    setup: (philosophers, _forks, options) => {
+        // Loaded here: philosophers.js requires this module
+        const Conductor = options.Conductor || require('./philosophers').Conductor;
+        const run = philosophers.length > 0 ? philosophers[0].run : undefined;
+        return new Conductor(philosophers.length - 1, { policy: options.conductorPolicy, lease: options.lease, run });
+    },
+    start: (p, meals, conductor) => p.startConductor(meals, conductor),
+    expectedEvents: [...FORK_EVENTS, 'SEAT_REQUEST', 'SEAT_GRANTED', 'SEAT_LEFT']
+});
+
+registerAlgorithm('simultaneous', {
+    start: (p, meals) => p.startSimultaneous(meals),
+    distributed: false
+});
+
+registerAlgorithm('naive-timeout', {
+    start: (p, meals) => p.startNaiveTimeout(meals, null, 10),
+    expectedEvents: [...FORK_EVENTS, 'TIMEOUT']
+});
+
+registerAlgorithm('chandy-misra', {
+    start: (p, meals) => p.startChandyMisra(meals),
+    expectedEvents: [...FORK_EVENTS, 'REQUEST', 'SEND_FORK'],
+    parallel: false,
+    distributed: false
+});
+
+registerAlgorithm('naive', {
+    start: (p, meals) => p.startNaive(meals),
+    inAll: false
+});
+
+registerAlgorithm('drinking', {
+    start: (p, sessions) => p.startDrinking(sessions),
+    expectedEvents: ['TRY', 'ACQUIRE', 'RELEASE', 'DRINK_START', 'DRINK_END'],
+    inAll: false
+});
+
+registerAlgorithm('hierarchy', {
+    start: (p, meals) => p.startHierarchy(meals)
+});
+
+registerAlgorithm('tanenbaum', {
+    setup: philosophers => {
+        const { TanenbaumMonitor } = require('./philosophers');
+        const [first] = philosophers;
+        return first ? new TanenbaumMonitor(first.topology, { run: first.run }) : null;
+    },
+    start: (p, meals, monitor) => p.startTanenbaum(meals, monitor),
+    expectedEvents: [...FORK_EVENTS, 'HUNGRY'],
+    parallel: false,
+    distributed: false
+});
+
+module.exports = {
+    COMMON_EVENTS,
+    registerAlgorithm,
+    hasAlgorithm,
+    getAlgorithm,
+    algorithmNames,
+    defaultAlgorithms,
+    startAlgorithm,
+    unexpectedEvents
+};
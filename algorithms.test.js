@@ -0,0 +1,95 @@
+const { registerAlgorithm, hasAlgorithm, getAlgorithm, algorithmNames, defaultAlgorithms, startAlgorithm, unexpectedEvents } =
+    require('./algorithms');
+const { Table, VirtualClock } = require('./philosophers');
+const { analyzeRun } = require('./analyze-log');
+const { checkRun } = require('./check-forks');
+const { line, complete } = require('./topology');
+
+// Table on a virtual clock; philosophers think a little before every meal
+function createTable(algorithm, topology) {
+    return new Table({ algorithm, topology, thinkTime: 1, seed: 1, clock: new VirtualClock({ seed: 1 }), quiet: true });
+}
+
+function runRegistered(algorithm, topology, meals) {
+    const table = createTable(algorithm, topology);
+    return table.run.watch(table.forks, startAlgorithm(algorithm, table.philosophers, table.forks, meals))
+        .then(() => table.events);
+}
+
+// Resource hierarchy, as another module would register it: lower fork first, and
+// every meal counted on a tally shared by the philosophers of the run
+registerAlgorithm('test-hierarchy', {
+    setup: () => ({ meals: 0 }),
+    start: async (p, meals, tally) => {
+        const ordered = p.forkIds.slice().sort((a, b) => a - b);
+        for (let i = 0; i < meals; i++) {
+            await p.think();
+            for (const f of ordered) await p.forks[f].acquire(p.id);
+            await p.eat();
+            tally.meals++;
+            for (const f of ordered) p.forks[f].release(p.id);
+        }
+    },
+    expectedEvents: ['TRY', 'ACQUIRE', 'RELEASE', 'EAT_START', 'EAT_END'],
+    inAll: false
+});
+
+describe('Algorithm registry', () => {
+    test('knows the built-in algorithms, in order', () => {
+        expect(algorithmNames().slice(0, 7)).toEqual(
+            ['asymmetric', 'conductor', 'simultaneous', 'naive-timeout', 'chandy-misra', 'naive', 'drinking']);
+        expect(getAlgorithm('chandy-misra')).toMatchObject({ parallel: false, distributed: false, inAll: true });
+        expect(getAlgorithm('conductor')).toMatchObject({ parallel: true, distributed: true });
+        expect(hasAlgorithm('test-hierarchy')).toBe(true);
+    });
+
+    test('all runs the algorithms marked inAll', () => {
+        const all = ['asymmetric', 'conductor', 'simultaneous', 'naive-timeout', 'chandy-misra', 'hierarchy', 'tanenbaum'];
+        expect(defaultAlgorithms()).toEqual(all);
+        expect(defaultAlgorithms(true)).toEqual(all);
+        registerAlgorithm('test-reference-only', { start: () => Promise.resolve(), inAll: 'solutions' });
+        expect(defaultAlgorithms()).toEqual(all);
+        expect(defaultAlgorithms(true)).toEqual([...all, 'test-reference-only']);
+    });
+
+    test('rejects unknown names, duplicates and algorithms without start()', () => {
+        expect(() => getAlgorithm('waiter')).toThrow('Unknown algorithm: waiter (expected asymmetric, conductor');
+        expect(() => registerAlgorithm('naive', { start: () => {} })).toThrow('Algorithm already registered: naive');
+        expect(() => registerAlgorithm('test-empty', {})).toThrow('Algorithm test-empty needs a start(philosopher, meals, shared) function');
+    });
+
+    test('registered algorithms start with the state shared by setup()', async () => {
+        const table = createTable('test-hierarchy', complete(4));
+        const started = startAlgorithm('test-hierarchy', table.philosophers, table.forks, 3);
+        await table.run.watch(table.forks, started);
+
+        const metrics = analyzeRun(table.events);
+        expect(metrics.mealsPerPhilosopher).toEqual([3, 3, 3, 3]);
+        expect(metrics.unexpectedEvents).toEqual([]);
+        expect(checkRun(table.events)).toEqual([]);
+    });
+
+    test('the conductor setup creates a conductor with the given policy', () => {
+        const table = createTable('conductor', line(3));
+        const conductor = getAlgorithm('conductor').setup(table.philosophers, table.forks, { conductorPolicy: 'ticket' });
+        expect([conductor.seats, conductor.policy.name]).toEqual([2, 'ticket']);
+    });
+});
+
+describe('Expected events', () => {
+    test.each([
+        ['naive', line(4)],
+        ['naive-timeout', line(4)],
+        ['chandy-misra', complete(4)],
+        ['drinking', complete(4)]
+    ])('%s logs only its expected events', async (algorithm, topology) => {
+        const events = await runRegistered(algorithm, topology, 3);
+        expect(unexpectedEvents(algorithm, events)).toEqual([]);
+    });
+
+    test('other events are reported, unregistered algorithms are not checked', () => {
+        const events = [{ event: 'TRY' }, { event: 'SEND_FORK' }, { event: 'THINK_START' }, { event: 'TIMEOUT' }];
+        expect(unexpectedEvents('asymmetric', events)).toEqual(['SEND_FORK', 'TIMEOUT']);
+        expect(unexpectedEvents('unknown', events)).toBeNull();
+    });
+});
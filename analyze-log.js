@@ -0,0 +1,406 @@
+// Log analyzer for the JSONL event logs written by run-experiments.js
+//
+// Usage:
+//   node analyze-log.js <log-file> [--json] [--run=<runId>] [--algorithm=<name>] [--bound=<bounds>]
+//
+// Arguments:
+//   log-file    - JSONL log, plain or gzipped (e.g. logs/reference-solutions-500meals.jsonl.gz)
+//   --json      - Optional: print the metrics as JSON instead of a table
+//   --run       - Optional: only analyze the run with the given runId
+//   --algorithm - Optional: only analyze runs of the given algorithm
+//   --bound     - Optional: bounded waiting to check, e.g. wait:50,overtakes:3 (see
+//                 checkBoundedWaiting); exits with code 1 when a philosopher exceeds it
+//
+// Starvation: a philosopher is hungry from its first TRY (or HUNGRY, REQUEST, SEAT_REQUEST) after a
+// meal until its next EAT_START (DRINK_START), however many forks, timeouts and retries
+// that takes (a wait still going on at the end of the run lasts until its last event).
+// Every meal a neighbour starts meanwhile with a fork the philosopher needs overtakes it.
+// Per philosopher the analysis reports the longest wait and the most overtakes in one wait;
+// a fair algorithm keeps both bounded however long the run (bounded waiting).
+//
+// Examples:
+//   node analyze-log.js logs/reference-solutions-500meals.jsonl.gz
+//   node analyze-log.js logs/all-experiments-student-<timestamp>.jsonl --json
+//   node analyze-log.js logs/reference-solutions-500meals.jsonl.gz --algorithm=conductor
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { unexpectedEvents } = require('./algorithms');
+
+// Parse JSONL text into an array of events (blank lines are skipped)
+function parseLog(text) {
+    const events = [];
+    const lines = text.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (line === '') continue;
+        try {
+            events.push(JSON.parse(line));
+        } catch (err) {
+            throw new Error(`Invalid JSON on line ${i + 1}: ${err.message}`);
+        }
+    }
+    return events;
+}
+
+// Read a plain or gzipped JSONL log file (gzip is detected by its magic bytes)
+function readLog(path) {
+    let data = fs.readFileSync(path);
+    if (data.length >= 2 && data[0] === 0x1f && data[1] === 0x8b) {
+        data = zlib.gunzipSync(data);
+    }
+    return parseLog(data.toString('utf8'));
+}
+
+// Split events into runs, keyed by runId + algorithm, in order of first appearance
+function groupRuns(events) {
+    const runs = new Map();
+    for (const entry of events) {
+        const key = `${entry.runId}/${entry.algorithm}`;
+        if (!runs.has(key)) {
+            runs.set(key, { runId: entry.runId, algorithm: entry.algorithm, events: [] });
+        }
+        runs.get(key).events.push(entry);
+    }
+    return Array.from(runs.values());
+}
+
+// Percentile of an ascending sorted array (nearest-rank method)
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+function mean(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Jain's fairness index: 1 when all values are equal, 1/n when one value takes everything
+function jainIndex(values) {
+    const sum = values.reduce((s, v) => s + v, 0);
+    const sumSquares = values.reduce((s, v) => s + v * v, 0);
+    if (values.length === 0 || sumSquares === 0) return null;
+    return (sum * sum) / (values.length * sumSquares);
+}
+
+function forkKey(forks) {
+    return (forks || []).slice().sort((a, b) => a - b).join(',');
+}
+
+function summarize(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        mean: mean(sorted),
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p99: percentile(sorted, 99),
+        max: sorted.length ? sorted[sorted.length - 1] : null
+    };
+}
+
+// Compute metrics for the events of a single run
+// (drinking sessions, DRINK_START/DRINK_END, are counted like meals)
+function analyzeRun(events) {
+    const n = events.reduce((max, e) => typeof e.phil === 'number' ? Math.max(max, e.phil + 1) : max, 0);
+
+    const meals = Array(n).fill(0);
+    const waits = [];
+    const waitsPerPhilosopher = Array.from({ length: n }, () => []);
+    const pendingTries = Array.from({ length: n }, () => new Map());
+    const eating = new Map();   // philosopher -> forks it is eating with
+    let maxConcurrentEaters = 0;
+    let mutualExclusionViolations = 0;
+    let timeouts = 0;
+    let crashes = 0;
+    let leaseExpirations = 0;
+    // Conductor admission: SEAT_REQUEST -> SEAT_GRANTED
+    const seatRequests = new Map();   // philosopher -> time of its pending SEAT_REQUEST
+    const admissionWaits = [];
+    const admissionWaitsPerPhilosopher = Array.from({ length: n }, () => []);
+    let maxQueue = 0;
+    // Starvation: every fork a philosopher uses, the start of its current wait (null when
+    // not hungry) and the overtakes during that wait
+    const forksOf = Array.from({ length: n }, () => new Set());
+    events.forEach(e => typeof e.phil === 'number' && (e.forks || []).forEach(f => forksOf[e.phil].add(f)));
+    const hungrySince = Array(n).fill(null);
+    const overtakes = Array(n).fill(0);
+    const longestWait = Array(n).fill(0);
+    const maxOvertakes = Array(n).fill(0);
+    const getHungry = (phil, t) => {
+        if (hungrySince[phil] === null && !eating.has(phil)) {
+            hungrySince[phil] = t;
+            overtakes[phil] = 0;
+        }
+    };
+    const endWait = (phil, t) => {
+        longestWait[phil] = Math.max(longestWait[phil], t - hungrySince[phil]);
+        maxOvertakes[phil] = Math.max(maxOvertakes[phil], overtakes[phil]);
+        hungrySince[phil] = null;
+    };
+
+    for (const entry of events) {
+        const phil = entry.phil;
+        switch (entry.event) {
+            case 'TRY':
+            case 'REQUEST':
+                pendingTries[phil].set(forkKey(entry.forks), entry.t);
+                getHungry(phil, entry.t);
+                break;
+
+            case 'HUNGRY':
+                getHungry(phil, entry.t);
+                break;
+
+            case 'ACQUIRE': {
+                // Pair each ACQUIRE with the TRY of the same philosopher for the same fork(s)
+                const key = forkKey(entry.forks);
+                if (pendingTries[phil].has(key)) {
+                    const wait = entry.t - pendingTries[phil].get(key);
+                    pendingTries[phil].delete(key);
+                    waits.push(wait);
+                    waitsPerPhilosopher[phil].push(wait);
+                }
+                break;
+            }
+
+            case 'EAT_START':
+            case 'DRINK_START':
+                // Two philosophers eating with a shared fork (or drinking from a shared bottle)
+                for (const forks of eating.values()) {
+                    if (forks.some(f => entry.forks.includes(f))) mutualExclusionViolations++;
+                }
+                eating.set(phil, entry.forks || []);
+                maxConcurrentEaters = Math.max(maxConcurrentEaters, eating.size);
+                if (hungrySince[phil] !== null) endWait(phil, entry.t);
+                hungrySince.forEach((since, other) => {
+                    if (since !== null && (entry.forks || []).some(f => forksOf[other].has(f))) overtakes[other]++;
+                });
+                break;
+
+            case 'EAT_END':
+            case 'DRINK_END':
+                eating.delete(phil);
+                meals[phil]++;
+                break;
+
+            case 'TIMEOUT':
+                timeouts++;
+                break;
+
+            case 'CRASH':
+                // A philosopher crashing mid-meal is no longer eating
+                eating.delete(phil);
+                hungrySince[phil] = null;
+                crashes++;
+                break;
+
+            case 'LEASE_EXPIRED':
+                leaseExpirations++;
+                break;
+
+            case 'SEAT_REQUEST':
+                seatRequests.set(phil, entry.t);
+                getHungry(phil, entry.t);
+                break;
+
+            case 'SEAT_GRANTED':
+                if (seatRequests.has(phil)) {
+                    const wait = entry.t - seatRequests.get(phil);
+                    admissionWaits.push(wait);
+                    admissionWaitsPerPhilosopher[phil].push(wait);
+                }
+                seatRequests.delete(phil);
+                break;
+        }
+        // A request granted right away (the next event) never counts as queued
+        if (entry.event !== 'SEAT_REQUEST') {
+            maxQueue = Math.max(maxQueue, seatRequests.size);
+        }
+    }
+
+    const end = events.reduce((max, e) => Math.max(max, e.t), -Infinity);
+    hungrySince.forEach((since, phil) => since !== null && endWait(phil, end));
+
+    const duration = events.length ?
+        end - events.reduce((min, e) => Math.min(min, e.t), Infinity) : 0;
+    const totalMeals = meals.reduce((s, m) => s + m, 0);
+    const meanWaits = waitsPerPhilosopher.map(w => mean(w) || 0);
+
+    return {
+        runId: events.length ? events[0].runId : null,
+        algorithm: events.length ? events[0].algorithm : null,
+        philosophers: n,
+        events: events.length,
+        duration,
+        totalMeals,
+        mealsPerPhilosopher: meals,
+        throughput: duration > 0 ? totalMeals / (duration / 1000) : null,
+        waitTime: summarize(waits),
+        meanWaitPerPhilosopher: meanWaits,
+        maxConcurrentEaters,
+        mutualExclusionViolations,
+        timeouts,
+        crashes,
+        leaseExpirations,
+        // Events the run's algorithm is not expected to log (null if it is not registered, see algorithms.js)
+        unexpectedEvents: events.length ? unexpectedEvents(events[0].algorithm, events) : null,
+        // Only for runs with a conductor (null otherwise)
+        admission: admissionWaits.length === 0 ? null : {
+            waitTime: summarize(admissionWaits),
+            meanWaitPerPhilosopher: admissionWaitsPerPhilosopher.map(w => mean(w) || 0),
+            maxQueue
+        },
+        fairness: {
+            meals: jainIndex(meals),
+            wait: jainIndex(meanWaits)
+        },
+        starvation: {
+            longestWait,     // per philosopher: longest time from getting hungry to eating
+            maxOvertakes,    // per philosopher: most neighbour meals during one of its waits
+            worstWait: n > 0 ? Math.max(...longestWait) : null,
+            worstOvertakes: n > 0 ? Math.max(...maxOvertakes) : null
+        }
+    };
+}
+
+// Bounded waiting: bounds { wait, overtakes } (both optional) on every philosopher's
+// longest wait (ms) and most overtakes in one wait. Returns the violations of a run
+// (see analyzeRun) as [{ phil, metric, value, bound, message }], empty when it keeps them.
+function checkBoundedWaiting(metrics, bounds = {}) {
+    const times = count => count === 1 ? 'once' : `${count} times`;
+    const violations = [];
+    const { longestWait, maxOvertakes } = metrics.starvation;
+    for (let phil = 0; phil < longestWait.length; phil++) {
+        if (bounds.wait !== undefined && longestWait[phil] > bounds.wait) {
+            violations.push({ phil, metric: 'wait', value: longestWait[phil], bound: bounds.wait,
+                message: `Philosopher ${phil} waited ${fmt(longestWait[phil])}ms to eat (bound ${bounds.wait}ms)` });
+        }
+        if (bounds.overtakes !== undefined && maxOvertakes[phil] > bounds.overtakes) {
+            violations.push({ phil, metric: 'overtakes', value: maxOvertakes[phil], bound: bounds.overtakes,
+                message: `Philosopher ${phil} was overtaken ${times(maxOvertakes[phil])} while waiting (bound ${bounds.overtakes})` });
+        }
+    }
+    return violations;
+}
+
+// Bounds for checkBoundedWaiting() from a string like "wait:50,overtakes:3"
+function parseBounds(spec) {
+    const bounds = {};
+    for (const part of String(spec).split(',')) {
+        const [metric, value] = part.split(':');
+        if (!['wait', 'overtakes'].includes(metric)) {
+            throw new Error(`Unknown bound: ${metric} (expected wait, overtakes)`);
+        }
+        if (value === undefined || value === '' || isNaN(value)) {
+            throw new Error(`Invalid bound: ${part} (expected wait:<ms> or overtakes:<count>)`);
+        }
+        bounds[metric] = Number(value);
+    }
+    return bounds;
+}
+
+// Analyze every run in a log; optional filters: { runId, algorithm }
+function analyzeLog(events, filters = {}) {
+    return groupRuns(events)
+        .filter(run => !filters.runId || run.runId === filters.runId)
+        .filter(run => !filters.algorithm || run.algorithm === filters.algorithm)
+        .map(run => analyzeRun(run.events));
+}
+
+function fmt(value, digits) {
+    if (value === null || value === undefined) return '-';
+    if (digits !== undefined) return value.toFixed(digits);
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+// Render metrics as a fixed-width text table
+function formatTable(results) {
+    const header = ['runId', 'algorithm', 'N', 'meals', 'dur(ms)', 'meals/s',
+        'wait mean', 'p50', 'p90', 'p99', 'max', 'hungry max', 'overtakes', 'maxEat', 'overlaps', 'Jain(meals)',
+        'Jain(wait)', 'timeouts', 'seat wait', 'queue'];
+    const rows = results.map(r => [
+        r.runId,
+        r.algorithm,
+        fmt(r.philosophers),
+        r.mealsPerPhilosopher.join('/'),
+        fmt(r.duration),
+        fmt(r.throughput),
+        fmt(r.waitTime.mean, 2),
+        fmt(r.waitTime.p50),
+        fmt(r.waitTime.p90),
+        fmt(r.waitTime.p99),
+        fmt(r.waitTime.max),
+        fmt(r.starvation.worstWait),
+        fmt(r.starvation.worstOvertakes),
+        fmt(r.maxConcurrentEaters),
+        fmt(r.mutualExclusionViolations),
+        fmt(r.fairness.meals, 3),
+        fmt(r.fairness.wait, 3),
+        fmt(r.timeouts),
+        fmt(r.admission && r.admission.waitTime.mean, 2),
+        fmt(r.admission && r.admission.maxQueue)
+    ]);
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => String(row[i]).length)));
+    const line = cells => cells.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd();
+    return [line(header), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+function main(argv) {
+    const file = argv.find(arg => !arg.startsWith('--'));
+    const option = name => {
+        const arg = argv.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    if (!file) {
+        console.error('Usage: node analyze-log.js <log-file> [--json] [--run=<runId>] [--algorithm=<name>] [--bound=<bounds>]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const bounds = option('bound') !== undefined ? parseBounds(option('bound')) : null;
+    const results = analyzeLog(readLog(file), { runId: option('run'), algorithm: option('algorithm') });
+
+    if (argv.includes('--json')) {
+        console.log(JSON.stringify(results, null, 2));
+    } else if (results.length === 0) {
+        console.log('No matching runs found.');
+    } else {
+        console.log(formatTable(results));
+        for (const r of results.filter(r => r.unexpectedEvents && r.unexpectedEvents.length > 0)) {
+            console.log(`\nWarning: run ${r.runId} (${r.algorithm}) logged unexpected events: ${r.unexpectedEvents.join(', ')}`);
+        }
+    }
+
+    if (bounds) {
+        const unbounded = results.map(r => ({ r, violations: checkBoundedWaiting(r, bounds) }))
+            .filter(({ violations }) => violations.length > 0);
+        for (const { r, violations } of argv.includes('--json') ? [] : unbounded) {
+            console.log(`\nBounded waiting violated in run ${r.runId} (${r.algorithm}):`);
+            violations.forEach(v => console.log(`  ${v.message}`));
+        }
+        if (unbounded.length > 0) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = {
+    parseLog,
+    readLog,
+    groupRuns,
+    analyzeRun,
+    analyzeLog,
+    percentile,
+    jainIndex,
+    checkBoundedWaiting,
+    parseBounds,
+    formatTable
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { parseLog, readLog, groupRuns, analyzeRun, analyzeLog, percentile, jainIndex, checkBoundedWaiting, parseBounds, formatTable } =
+    require('./analyze-log');
+
+// Build a log entry the way philosophers.js does
+function entry(t, phil, event, forks, runId = 'run001', algorithm = 'test') {
+    return { runId, algorithm, t, phil, event, forks };
+}
+
+// Two philosophers on a two-fork table, one meal each, phil 1 waits 3ms for fork 0
+const sampleLog = [
+    entry(0, 0, 'TRY', [0]),
+    entry(0, 0, 'ACQUIRE', [0]),
+    entry(0, 1, 'TRY', [1]),
+    entry(0, 1, 'ACQUIRE', [1]),
+    entry(1, 0, 'TRY', [1]),
+    entry(2, 1, 'TRY', [0]),
+    entry(2, 1, 'TIMEOUT', [1, 0]),
+    entry(3, 0, 'ACQUIRE', [1]),
+    entry(3, 0, 'EAT_START', [0, 1]),
+    entry(4, 0, 'EAT_END', [0, 1]),
+    entry(4, 0, 'RELEASE', [0]),
+    entry(4, 0, 'RELEASE', [1]),
+    entry(5, 1, 'ACQUIRE', [0]),
+    entry(5, 1, 'EAT_START', [1, 0]),
+    entry(6, 1, 'EAT_END', [1, 0]),
+    entry(6, 1, 'RELEASE', [1]),
+    entry(6, 1, 'RELEASE', [0])
+];
+
+describe('Log parsing', () => {
+    test('parseLog skips blank lines', () => {
+        const text = sampleLog.map(e => JSON.stringify(e)).join('\n') + '\n\n';
+        expect(parseLog(text)).toEqual(sampleLog);
+    });
+
+    test('parseLog reports the offending line number', () => {
+        expect(() => parseLog('{}\n{oops')).toThrow('Invalid JSON on line 2');
+    });
+
+    test('readLog reads plain and gzipped files', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analyze-log-'));
+        const text = sampleLog.map(e => JSON.stringify(e)).join('\n');
+        fs.writeFileSync(path.join(dir, 'log.jsonl'), text);
+        fs.writeFileSync(path.join(dir, 'log.jsonl.gz'), zlib.gzipSync(text));
+
+        expect(readLog(path.join(dir, 'log.jsonl'))).toEqual(sampleLog);
+        expect(readLog(path.join(dir, 'log.jsonl.gz'))).toEqual(sampleLog);
+
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    test('groupRuns keeps runs in order of first appearance', () => {
+        const log = [
+            entry(0, 0, 'TRY', [0], 'bbb', 'conductor'),
+            entry(0, 0, 'TRY', [0], 'aaa', 'asymmetric'),
+            entry(1, 0, 'ACQUIRE', [0], 'bbb', 'conductor')
+        ];
+        const runs = groupRuns(log);
+        expect(runs.map(r => r.runId)).toEqual(['bbb', 'aaa']);
+        expect(runs[0].algorithm).toBe('conductor');
+        expect(runs[0].events.length).toBe(2);
+    });
+});
+
+describe('Metrics helpers', () => {
+    test('percentile uses nearest rank', () => {
+        const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+        expect(percentile(sorted, 50)).toBe(5);
+        expect(percentile(sorted, 90)).toBe(9);
+        expect(percentile(sorted, 99)).toBe(10);
+        expect(percentile([], 50)).toBeNull();
+    });
+
+    test('jainIndex is 1 for equal shares and 1/n for a single winner', () => {
+        expect(jainIndex([5, 5, 5, 5])).toBe(1);
+        expect(jainIndex([10, 0, 0, 0])).toBe(0.25);
+        expect(jainIndex([0, 0])).toBeNull();
+    });
+});
+
+describe('Run analysis', () => {
+    test('counts meals per philosopher', () => {
+        const result = analyzeRun(sampleLog);
+        expect(result.philosophers).toBe(2);
+        expect(result.mealsPerPhilosopher).toEqual([1, 1]);
+        expect(result.totalMeals).toBe(2);
+    });
+
+    test('pairs TRY and ACQUIRE per philosopher and fork', () => {
+        const result = analyzeRun(sampleLog);
+        expect(result.waitTime.count).toBe(4);
+        expect(result.waitTime.max).toBe(3);
+        expect(result.meanWaitPerPhilosopher).toEqual([1, 1.5]);
+    });
+
+    test('reports duration, throughput, concurrency and timeouts', () => {
+        const result = analyzeRun(sampleLog);
+        expect(result.duration).toBe(6);
+        expect(result.throughput).toBeCloseTo(2 / 0.006);
+        expect(result.maxConcurrentEaters).toBe(1);
+        expect(result.timeouts).toBe(1);
+        expect(result.fairness.meals).toBe(1);
+    });
+
+    test('counts philosophers eating with a shared fork', () => {
+        const log = [
+            entry(0, 0, 'EAT_START', [0, 1]),
+            entry(0, 2, 'EAT_START', [2, 3]),
+            entry(1, 1, 'EAT_START', [1, 2]),
+            entry(2, 0, 'EAT_END', [0, 1])
+        ];
+        const result = analyzeRun(log);
+        expect(result.mutualExclusionViolations).toBe(2);
+        expect(result.maxConcurrentEaters).toBe(3);
+        expect(analyzeRun(sampleLog).mutualExclusionViolations).toBe(0);
+    });
+
+    test('drinking sessions count as meals and may overlap on different bottles', () => {
+        const log = [
+            entry(0, 0, 'DRINK_START', [0]),
+            entry(0, 1, 'DRINK_START', [1]),
+            entry(1, 2, 'DRINK_START', [1, 2]),
+            entry(2, 0, 'DRINK_END', [0]),
+            entry(2, 1, 'DRINK_END', [1]),
+            entry(3, 2, 'DRINK_END', [1, 2])
+        ];
+        const result = analyzeRun(log);
+        expect(result.mealsPerPhilosopher).toEqual([1, 1, 1]);
+        expect(result.mutualExclusionViolations).toBe(1);
+    });
+
+    test('measures conductor admission waits and queue length', () => {
+        const log = [
+            entry(0, 0, 'SEAT_REQUEST', []),
+            entry(0, 0, 'SEAT_GRANTED', []),
+            entry(1, 1, 'SEAT_REQUEST', []),
+            entry(1, 2, 'SEAT_REQUEST', []),
+            entry(2, 0, 'SEAT_LEFT', []),
+            entry(2, 1, 'SEAT_GRANTED', []),
+            entry(5, 1, 'SEAT_LEFT', []),
+            entry(5, 2, 'SEAT_GRANTED', [])
+        ];
+        const result = analyzeRun(log);
+        expect(result.admission.waitTime).toMatchObject({ count: 3, mean: 5 / 3, max: 4 });
+        expect(result.admission.meanWaitPerPhilosopher).toEqual([0, 1, 4]);
+        expect(result.admission.maxQueue).toBe(2);
+        expect(analyzeRun(sampleLog).admission).toBe(null);
+    });
+
+    test('measures the longest wait to eat and the overtakes by neighbours', () => {
+        const result = analyzeRun(sampleLog);
+        expect(result.starvation).toEqual({ longestWait: [3, 5], maxOvertakes: [0, 1], worstWait: 5, worstOvertakes: 1 });
+    });
+
+    test('a wait lasts over timeouts and retries until the meal, or the end of the run', () => {
+        // Philosopher 1 (forks 1, 2) waits from t=1 while philosopher 0 (forks 0, 1) eats
+        // and philosopher 2 (forks 2, 3) each start a meal; philosopher 3 (fork 3) never eats
+        const log = [
+            entry(0, 0, 'TRY', [0]), entry(0, 0, 'ACQUIRE', [0]), entry(0, 0, 'TRY', [1]), entry(0, 0, 'ACQUIRE', [1]),
+            entry(0, 0, 'EAT_START', [0, 1]),
+            entry(1, 1, 'TRY', [1]),
+            entry(2, 1, 'TIMEOUT', [1, 2]),
+            entry(2, 2, 'TRY', [2, 3]), entry(2, 2, 'ACQUIRE', [2, 3]), entry(2, 2, 'EAT_START', [2, 3]),
+            entry(3, 0, 'EAT_END', [0, 1]), entry(3, 0, 'TRY', [0, 1]), entry(3, 0, 'EAT_START', [0, 1]),
+            entry(4, 3, 'TRY', [3]),
+            entry(5, 1, 'TRY', [1]), entry(6, 1, 'ACQUIRE', [1]),
+            entry(6, 0, 'EAT_END', [0, 1]),
+            entry(7, 1, 'EAT_START', [1, 2]),
+            entry(9, 1, 'EAT_END', [1, 2])
+        ];
+        const { starvation } = analyzeRun(log);
+        expect(starvation.longestWait).toEqual([0, 6, 0, 5]);
+        expect(starvation.maxOvertakes).toEqual([0, 2, 0, 0]);
+    });
+
+    test('HUNGRY starts a wait before the first TRY', () => {
+        const log = [
+            entry(0, 0, 'HUNGRY', [0, 1]), entry(0, 1, 'HUNGRY', [1, 2]),
+            entry(0, 0, 'TRY', [0]), entry(0, 0, 'ACQUIRE', [0]), entry(0, 0, 'TRY', [1]), entry(0, 0, 'ACQUIRE', [1]),
+            entry(0, 0, 'EAT_START', [0, 1]), entry(2, 0, 'EAT_END', [0, 1]),
+            entry(3, 1, 'TRY', [1]), entry(3, 1, 'ACQUIRE', [1]), entry(3, 1, 'EAT_START', [1, 2])
+        ];
+        const { starvation, waitTime } = analyzeRun(log);
+        expect(starvation.longestWait).toEqual([0, 3]);
+        expect(starvation.maxOvertakes).toEqual([0, 1]);
+        expect(waitTime.count).toBe(3);
+    });
+
+    test('checkBoundedWaiting reports philosophers waiting longer or overtaken more often than the bounds', () => {
+        const result = analyzeRun(sampleLog);
+        expect(checkBoundedWaiting(result, { wait: 5, overtakes: 1 })).toEqual([]);
+        expect(checkBoundedWaiting(result, {})).toEqual([]);
+        expect(checkBoundedWaiting(result, { wait: 4, overtakes: 0 })).toEqual([
+            { phil: 1, metric: 'wait', value: 5, bound: 4, message: 'Philosopher 1 waited 5ms to eat (bound 4ms)' },
+            { phil: 1, metric: 'overtakes', value: 1, bound: 0, message: 'Philosopher 1 was overtaken once while waiting (bound 0)' }
+        ]);
+    });
+
+    test('parseBounds reads wait and overtakes bounds', () => {
+        expect(parseBounds('wait:50,overtakes:3')).toEqual({ wait: 50, overtakes: 3 });
+        expect(parseBounds('overtakes:0')).toEqual({ overtakes: 0 });
+        expect(() => parseBounds('meals:3')).toThrow('Unknown bound: meals (expected wait, overtakes)');
+        expect(() => parseBounds('wait:')).toThrow('Invalid bound: wait: (expected wait:<ms> or overtakes:<count>)');
+    });
+
+    test('analyzeLog filters by runId and algorithm', () => {
+        const log = [...sampleLog, ...sampleLog.map(e => ({ ...e, runId: 'run002', algorithm: 'other' }))];
+        expect(analyzeLog(log).length).toBe(2);
+        expect(analyzeLog(log, { runId: 'run002' })[0].algorithm).toBe('other');
+        expect(analyzeLog(log, { algorithm: 'test' })[0].runId).toBe('run001');
+    });
+
+    test('formatTable prints one row per run', () => {
+        const table = formatTable(analyzeLog(sampleLog)).split('\n');
+        expect(table.length).toBe(3);
+        expect(table[0]).toMatch(/^runId\s+algorithm/);
+        expect(table[2]).toMatch(/^run001\s+test\s+2\s+1\/1/);
+    });
+});
+
+describe('Reference solutions log', () => {
+    test('every algorithm completes 500 meals per philosopher', () => {
+        const results = analyzeLog(readLog(path.join(__dirname, 'logs/reference-solutions-500meals.jsonl.gz')));
+
+        expect(results.map(r => r.algorithm).sort())
+            .toEqual(['asymmetric', 'conductor', 'naive-timeout', 'simultaneous']);
+        for (const result of results) {
+            expect(result.mealsPerPhilosopher).toEqual([500, 500, 500, 500, 500]);
+            expect(result.maxConcurrentEaters).toBeLessThanOrEqual(2);
+            expect(result.mutualExclusionViolations).toBe(0);
+        }
+    });
+});
@@ -0,0 +1,163 @@
+// Fork-level invariant checker for JSONL event logs
+//
+// Replays every run in a log fork by fork and reports:
+//   DOUBLE_ACQUIRE        - ACQUIRE of a fork that is already held
+//   RELEASE_BY_NON_HOLDER - RELEASE (or SEND_FORK) of a fork by a philosopher who does not hold it
+//   EAT_WITHOUT_FORKS     - EAT_START/EAT_END (or DRINK_START/DRINK_END) while not holding every listed fork
+//   ACQUIRE_WITHOUT_TRY   - ACQUIRE not preceded by a TRY (or REQUEST) for that fork
+//   HELD_AT_END           - fork still held when the run ends
+//
+// A SEND_FORK hands the fork over: it is in transit (held by nobody) until the
+// receiver logs ACQUIRE. LEASE_EXPIRED frees a fork whose holder kept it too long.
+// ACQUIRE events marked `initial` (forks placed with their first owner, e.g. in
+// Chandy-Misra) need no TRY. Neither do those marked `timed` (a fork grabbed with a
+// timeout by a philosopher already holding another one, as the naive-timeout run of the
+// reference log does), as long as the philosopher really holds a fork.
+//
+// Usage:
+//   node check-forks.js <log-file> [--json] [--run=<runId>] [--algorithm=<name>]
+//
+// Exits with code 1 when any violation is found.
+//
+// Examples:
+//   node check-forks.js logs/reference-solutions-500meals.jsonl.gz
+//   node check-forks.js logs/all-experiments-student-<timestamp>.jsonl --algorithm=asymmetric
+
+const { readLog, groupRuns } = require('./analyze-log');
+
+// Check the events of a single run; returns a list of violations
+function checkRun(events) {
+    const violations = [];
+    const holders = new Map();      // fork -> philosopher holding it
+    const pendingTries = new Map(); // philosopher -> Set of forks it is trying to acquire
+
+    const report = (index, type, phil, fork, error) => {
+        violations.push({ index, t: events[index].t, type, phil, fork, error });
+    };
+    const triesOf = (phil) => {
+        if (!pendingTries.has(phil)) pendingTries.set(phil, new Set());
+        return pendingTries.get(phil);
+    };
+
+    for (let i = 0; i < events.length; i++) {
+        const { phil, event } = events[i];
+        const forks = events[i].forks || [];
+
+        switch (event) {
+            case 'TRY':
+            case 'REQUEST':
+                forks.forEach(f => triesOf(phil).add(f));
+                break;
+
+            case 'ACQUIRE':
+                for (const f of forks) {
+                    if (holders.has(f)) {
+                        report(i, 'DOUBLE_ACQUIRE', phil, f,
+                            `Philosopher ${phil} acquired fork ${f} already held by ${holders.get(f)}`);
+                    }
+                    const timed = events[i].timed && Array.from(holders.values()).includes(phil);
+                    if (!triesOf(phil).has(f) && !events[i].initial && !timed) {
+                        report(i, 'ACQUIRE_WITHOUT_TRY', phil, f,
+                            `Philosopher ${phil} acquired fork ${f} without a preceding TRY`);
+                    }
+                    triesOf(phil).delete(f);
+                    holders.set(f, phil);
+                }
+                break;
+
+            case 'RELEASE':
+            case 'SEND_FORK':
+                for (const f of forks) {
+                    if (holders.get(f) !== phil) {
+                        const holder = holders.has(f) ? holders.get(f) : null;
+                        const verb = event === 'RELEASE' ? 'released' : 'sent';
+                        report(i, 'RELEASE_BY_NON_HOLDER', phil, f,
+                            `Philosopher ${phil} ${verb} fork ${f} held by ${holder}`);
+                        continue;
+                    }
+                    holders.delete(f);
+                }
+                break;
+
+            case 'LEASE_EXPIRED':
+                forks.forEach(f => holders.delete(f));
+                break;
+
+            case 'EAT_START':
+            case 'EAT_END':
+            case 'DRINK_START':
+            case 'DRINK_END':
+                for (const f of forks) {
+                    if (holders.get(f) !== phil) {
+                        report(i, 'EAT_WITHOUT_FORKS', phil, f,
+                            `Philosopher ${phil} logged ${event} without holding fork ${f}`);
+                    }
+                }
+                break;
+        }
+    }
+
+    for (const [f, phil] of holders) {
+        violations.push({
+            index: events.length, t: null, type: 'HELD_AT_END', phil, fork: f,
+            error: `Fork ${f} still held by philosopher ${phil} at end of run`
+        });
+    }
+
+    return violations;
+}
+
+// Check every run in a log; optional filters: { runId, algorithm }
+function checkForkInvariants(events, filters = {}) {
+    return groupRuns(events)
+        .filter(run => !filters.runId || run.runId === filters.runId)
+        .filter(run => !filters.algorithm || run.algorithm === filters.algorithm)
+        .map(run => ({ runId: run.runId, algorithm: run.algorithm, violations: checkRun(run.events) }));
+}
+
+function main(argv) {
+    const file = argv.find(arg => !arg.startsWith('--'));
+    const option = name => {
+        const arg = argv.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    if (!file) {
+        console.error('Usage: node check-forks.js <log-file> [--json] [--run=<runId>] [--algorithm=<name>]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const results = checkForkInvariants(readLog(file), { runId: option('run'), algorithm: option('algorithm') });
+    const total = results.reduce((sum, r) => sum + r.violations.length, 0);
+
+    if (argv.includes('--json')) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        for (const result of results) {
+            const counts = {};
+            result.violations.forEach(v => { counts[v.type] = (counts[v.type] || 0) + 1; });
+            const summary = Object.entries(counts).map(([type, count]) => `${type}=${count}`).join(', ');
+            console.log(`${result.runId} ${result.algorithm}: ${result.violations.length === 0 ? 'OK' : summary}`);
+            for (const v of result.violations.slice(0, 10)) {
+                console.log(`  [${v.index}] t=${v.t} ${v.type}: ${v.error}`);
+            }
+            if (result.violations.length > 10) {
+                console.log(`  ... ${result.violations.length - 10} more`);
+            }
+        }
+    }
+
+    if (total > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = {
+    checkRun,
+    checkForkInvariants
+};
@@ -0,0 +1,173 @@
+const path = require('path');
+const { checkRun, checkForkInvariants } = require('./check-forks');
+const { readLog } = require('./analyze-log');
+
+function entry(t, phil, event, forks, runId = 'run001', algorithm = 'test') {
+    return { runId, algorithm, t, phil, event, forks };
+}
+
+// One correct meal of philosopher 0 using forks 0 and 1
+const validMeal = [
+    entry(0, 0, 'TRY', [0]),
+    entry(0, 0, 'ACQUIRE', [0]),
+    entry(1, 0, 'TRY', [1]),
+    entry(1, 0, 'ACQUIRE', [1]),
+    entry(1, 0, 'EAT_START', [0, 1]),
+    entry(2, 0, 'EAT_END', [0, 1]),
+    entry(2, 0, 'RELEASE', [0]),
+    entry(2, 0, 'RELEASE', [1])
+];
+
+const types = violations => violations.map(v => v.type);
+
+describe('Fork invariant checker', () => {
+    test('accepts a valid sequential meal', () => {
+        expect(checkRun(validMeal)).toEqual([]);
+    });
+
+    test('accepts simultaneous acquisition of both forks', () => {
+        expect(checkRun([
+            entry(0, 1, 'TRY', [1, 2]),
+            entry(1, 1, 'ACQUIRE', [1, 2]),
+            entry(1, 1, 'EAT_START', [1, 2]),
+            entry(2, 1, 'EAT_END', [1, 2]),
+            entry(2, 1, 'RELEASE', [1]),
+            entry(2, 1, 'RELEASE', [2])
+        ])).toEqual([]);
+    });
+
+    test('flags ACQUIRE of a fork that is already held', () => {
+        const violations = checkRun([
+            entry(0, 0, 'TRY', [1]),
+            entry(0, 0, 'ACQUIRE', [1]),
+            entry(0, 1, 'TRY', [1]),
+            entry(1, 1, 'ACQUIRE', [1])
+        ]);
+        expect(types(violations)).toContain('DOUBLE_ACQUIRE');
+        expect(violations[0]).toMatchObject({ index: 3, phil: 1, fork: 1 });
+    });
+
+    test('flags RELEASE by a philosopher who does not hold the fork', () => {
+        const violations = checkRun([
+            entry(0, 0, 'TRY', [0]),
+            entry(0, 0, 'ACQUIRE', [0]),
+            entry(1, 4, 'RELEASE', [0]),
+            entry(2, 0, 'RELEASE', [0])
+        ]);
+        expect(violations).toEqual([expect.objectContaining({
+            type: 'RELEASE_BY_NON_HOLDER',
+            phil: 4,
+            fork: 0,
+            error: 'Philosopher 4 released fork 0 held by 0'
+        })]);
+    });
+
+    test('flags eating without holding both forks', () => {
+        const violations = checkRun([
+            entry(0, 0, 'TRY', [0]),
+            entry(0, 0, 'ACQUIRE', [0]),
+            entry(1, 0, 'EAT_START', [0, 1]),
+            entry(2, 0, 'EAT_END', [0, 1]),
+            entry(2, 0, 'RELEASE', [0])
+        ]);
+        expect(types(violations)).toEqual(['EAT_WITHOUT_FORKS', 'EAT_WITHOUT_FORKS']);
+        expect(violations[0].fork).toBe(1);
+    });
+
+    test('flags drinking from a bottle that is not held', () => {
+        const violations = checkRun([
+            entry(0, 0, 'TRY', [2]),
+            entry(0, 0, 'ACQUIRE', [2]),
+            entry(1, 0, 'DRINK_START', [2, 3]),
+            entry(2, 0, 'DRINK_END', [2, 3]),
+            entry(2, 0, 'RELEASE', [2])
+        ]);
+        expect(types(violations)).toEqual(['EAT_WITHOUT_FORKS', 'EAT_WITHOUT_FORKS']);
+        expect(violations[0].error).toBe('Philosopher 0 logged DRINK_START without holding fork 3');
+    });
+
+    test('flags ACQUIRE without a preceding TRY', () => {
+        const violations = checkRun([
+            entry(0, 0, 'ACQUIRE', [0]),
+            entry(1, 0, 'RELEASE', [0])
+        ]);
+        expect(types(violations)).toEqual(['ACQUIRE_WITHOUT_TRY']);
+    });
+
+    test('a timed ACQUIRE needs no TRY while the philosopher holds another fork', () => {
+        const timed = (t, forks) => ({ ...entry(t, 0, 'ACQUIRE', forks), timed: true });
+        const events = [
+            entry(0, 0, 'TRY', [0]),
+            entry(0, 0, 'ACQUIRE', [0]),
+            timed(1, [1]),
+            entry(1, 0, 'EAT_START', [0, 1]),
+            entry(2, 0, 'EAT_END', [0, 1]),
+            entry(2, 0, 'RELEASE', [0]),
+            entry(2, 0, 'RELEASE', [1]),
+            timed(3, [1]),
+            entry(3, 0, 'RELEASE', [1]),
+            entry(4, 0, 'TRY', [0]),
+            entry(4, 0, 'ACQUIRE', [0]),
+            entry(5, 0, 'ACQUIRE', [1])
+        ];
+        expect(checkRun(events.slice(0, 7))).toEqual([]);
+        expect(types(checkRun(events.slice(0, 9)))).toEqual(['ACQUIRE_WITHOUT_TRY']);
+        expect(checkRun(events).filter(v => v.index === 11)).toMatchObject([{ type: 'ACQUIRE_WITHOUT_TRY', fork: 1 }]);
+    });
+
+    test('flags forks still held at the end of the run', () => {
+        const violations = checkRun(validMeal.slice(0, 7));
+        expect(violations).toEqual([expect.objectContaining({ type: 'HELD_AT_END', phil: 0, fork: 1 })]);
+    });
+
+    test('follows forks handed over with SEND_FORK', () => {
+        const log = [
+            entry(0, 0, 'ACQUIRE', [1]),
+            entry(0, 1, 'REQUEST', [1]),
+            entry(1, 0, 'SEND_FORK', [1]),
+            entry(2, 1, 'ACQUIRE', [1]),
+            entry(3, 1, 'RELEASE', [1])
+        ];
+        log[0].initial = true;
+        log[2].to = 1;
+        expect(checkRun(log)).toEqual([]);
+
+        // The sender no longer holds the fork once it is in transit
+        const violations = checkRun([...log.slice(0, 3), entry(2, 0, 'SEND_FORK', [1])]);
+        expect(types(violations)).toEqual(['RELEASE_BY_NON_HOLDER']);
+        expect(violations[0].error).toBe('Philosopher 0 sent fork 1 held by null');
+    });
+
+    test('forks reclaimed with LEASE_EXPIRED are free again', () => {
+        const crashed = [...validMeal.slice(0, 5), entry(1, 0, 'CRASH', [0, 1])];
+        expect(types(checkRun(crashed))).toEqual(['HELD_AT_END', 'HELD_AT_END']);
+        expect(checkRun([
+            ...crashed,
+            entry(6, 0, 'LEASE_EXPIRED', [0]),
+            entry(6, 0, 'LEASE_EXPIRED', [1]),
+            entry(7, 1, 'TRY', [1]),
+            entry(7, 1, 'ACQUIRE', [1]),
+            entry(8, 1, 'RELEASE', [1])
+        ])).toEqual([]);
+    });
+
+    test('checks each run of a combined log separately', () => {
+        const log = [
+            ...validMeal,
+            ...validMeal.slice(0, 4).map(e => ({ ...e, runId: 'run002' }))
+        ];
+        const results = checkForkInvariants(log);
+        expect(results.map(r => r.runId)).toEqual(['run001', 'run002']);
+        expect(results[0].violations).toEqual([]);
+        expect(types(results[1].violations)).toEqual(['HELD_AT_END', 'HELD_AT_END']);
+        expect(checkForkInvariants(log, { runId: 'run001' }).length).toBe(1);
+    });
+});
+
+describe('Reference log', () => {
+    test('every run of logs/reference-solutions-500meals.jsonl.gz passes', () => {
+        const results = checkForkInvariants(readLog(path.join(__dirname, 'logs', 'reference-solutions-500meals.jsonl.gz')));
+        expect(results.map(r => r.algorithm)).toEqual(['asymmetric', 'conductor', 'simultaneous', 'naive-timeout']);
+        expect(results.filter(r => r.violations.length > 0)).toEqual([]);
+    });
+});
@@ -0,0 +1,140 @@
+// Clocks for delays and log timestamps, plus a seeded random number generator
+//
+// RealClock uses setTimeout and Date.now(). VirtualClock keeps its own time:
+// sleeping never blocks, the clock jumps straight to the next pending timer,
+// so long experiments finish in milliseconds. Timers that fire at the same
+// virtual time are released one at a time in an order picked by a (seeded)
+// random generator, which makes every interleaving reproducible from its seed.
+// ModelClock leaves the choice to its caller: model-check.js fires the pending
+// timers in every possible order, alone or several at the same instant.
+//
+// Every clock has now(), sleep(ms) and timer(ms, callback), which calls back after ms
+// like a sleep and returns a function cancelling it (e.g. the timeout of a wait that
+// ended first, so no timer is left pending).
+
+// Seeded PRNG (mulberry32) returning floats in [0, 1) like Math.random
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class RealClock {
+    now() {
+        return Date.now();
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    timer(ms, callback) {
+        const handle = setTimeout(callback, ms);
+        return () => clearTimeout(handle);
+    }
+}
+
+// Remove a cancelled timer from a list of pending timers
+function removeTimer(timers, timer) {
+    const index = timers.indexOf(timer);
+    if (index !== -1) timers.splice(index, 1);
+}
+
+class VirtualClock {
+    constructor({ seed, random } = {}) {
+        this.time = 0;
+        this.timers = [];
+        this.random = random || (seed !== undefined ? createRandom(seed) : Math.random);
+        this.scheduled = false;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            this.timers.push({ at: this.time + Math.max(0, ms), resolve });
+            this.schedule();
+        });
+    }
+
+    timer(ms, callback) {
+        // Called back from a promise callback, like the code after an awaited sleep
+        const timer = { at: this.time + Math.max(0, ms), resolve: () => Promise.resolve().then(callback) };
+        this.timers.push(timer);
+        this.schedule();
+        return () => removeTimer(this.timers, timer);
+    }
+
+    // Fire the next timer once all pending promise callbacks have run
+    schedule() {
+        if (this.scheduled) return;
+        this.scheduled = true;
+        setImmediate(() => {
+            this.scheduled = false;
+            this.fireNext();
+        });
+    }
+
+    fireNext() {
+        if (this.timers.length === 0) return;
+
+        // Among the earliest timers, pick one at random
+        const earliest = Math.min(...this.timers.map(timer => timer.at));
+        const due = this.timers.filter(timer => timer.at === earliest);
+        const timer = due[Math.floor(this.random() * due.length)];
+        this.timers.splice(this.timers.indexOf(timer), 1);
+
+        this.time = earliest;
+        timer.resolve();
+
+        if (this.timers.length > 0) {
+            this.schedule();
+        }
+    }
+}
+
+// Clock driven from outside: sleeps only end when fire() is called for them,
+// whatever their duration, and the time is the number of fire() calls so far
+class ModelClock {
+    constructor() {
+        this.steps = 0;
+        this.timers = [];  // pending sleeps in the order they started: { ms, resolve }
+    }
+
+    now() {
+        return this.steps;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => this.timers.push({ ms, resolve }));
+    }
+
+    timer(ms, callback) {
+        const timer = { ms, resolve: () => Promise.resolve().then(callback) };
+        this.timers.push(timer);
+        return () => removeTimer(this.timers, timer);
+    }
+
+    // End the pending sleeps at the given indexes at the same time, in the given order
+    // (their callbacks then interleave like those of timers due at the same instant)
+    fire(...indexes) {
+        const timers = indexes.map(index => this.timers[index]);
+        this.timers = this.timers.filter(timer => !timers.includes(timer));
+        this.steps++;
+        timers.forEach(timer => timer.resolve());
+    }
+}
+
+module.exports = {
+    RealClock,
+    VirtualClock,
+    ModelClock,
+    createRandom
+};
@@ -0,0 +1,151 @@
+const { RealClock, VirtualClock, ModelClock, createRandom } = require('./clock');
+const { Fork, getEventLog, clearEventLog, startRun, useClock, delay } = require('./philosophers');
+
+describe('createRandom', () => {
+    test('same seed gives the same sequence', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const seqA = Array.from({ length: 5 }, () => a());
+        const seqB = Array.from({ length: 5 }, () => b());
+        expect(seqA).toEqual(seqB);
+    });
+
+    test('different seeds give different sequences', () => {
+        expect(createRandom(1)()).not.toBe(createRandom(2)());
+    });
+
+    test('values are in [0, 1)', () => {
+        const random = createRandom(7);
+        for (let i = 0; i < 1000; i++) {
+            const value = random();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+});
+
+describe('RealClock', () => {
+    test('sleep waits in real time', async () => {
+        const clock = new RealClock();
+        const before = clock.now();
+        await clock.sleep(5);
+        expect(clock.now() - before).toBeGreaterThanOrEqual(4);
+    });
+});
+
+describe('VirtualClock', () => {
+    test('starts at time 0', () => {
+        expect(new VirtualClock().now()).toBe(0);
+    });
+
+    test('long sleeps complete immediately in real time', async () => {
+        const clock = new VirtualClock();
+        const realStart = Date.now();
+        await clock.sleep(60000);
+        expect(clock.now()).toBe(60000);
+        expect(Date.now() - realStart).toBeLessThan(1000);
+    });
+
+    test('timers fire in order of their virtual deadline', async () => {
+        const clock = new VirtualClock();
+        const fired = [];
+        await Promise.all([
+            clock.sleep(30).then(() => fired.push(['c', clock.now()])),
+            clock.sleep(10).then(() => fired.push(['a', clock.now()])),
+            clock.sleep(20).then(() => fired.push(['b', clock.now()]))
+        ]);
+        expect(fired).toEqual([['a', 10], ['b', 20], ['c', 30]]);
+    });
+
+    test('order of simultaneous timers is reproducible from the seed', async () => {
+        const order = async (seed) => {
+            const clock = new VirtualClock({ seed });
+            const fired = [];
+            await Promise.all(Array.from({ length: 8 }, (_, i) =>
+                clock.sleep(5).then(() => fired.push(i))
+            ));
+            return fired;
+        };
+        expect(await order(3)).toEqual(await order(3));
+        expect(await order(3)).not.toEqual(await order(4));
+    });
+
+    test('timers call back in virtual time unless cancelled', async () => {
+        const clock = new VirtualClock();
+        const fired = [];
+        clock.timer(10, () => fired.push(clock.now()));
+        const cancel = clock.timer(5, () => fired.push('cancelled'));
+        cancel();
+        await clock.sleep(20);
+        expect(fired).toEqual([10]);
+        expect(clock.timers).toEqual([]);
+    });
+});
+
+describe('ModelClock', () => {
+    test('sleeps end only when fired, in the given order', async () => {
+        const clock = new ModelClock();
+        const fired = [];
+        [30, 10, 20].forEach(ms => clock.sleep(ms).then(() => fired.push(ms)));
+        await Promise.resolve();
+        expect(fired).toEqual([]);
+
+        clock.fire(2, 0);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(fired).toEqual([20, 30]);
+        expect(clock.timers.map(t => t.ms)).toEqual([10]);
+        expect(clock.now()).toBe(1);
+    });
+
+    test('a cancelled timer is no longer pending', () => {
+        const clock = new ModelClock();
+        clock.sleep(1);
+        const cancel = clock.timer(2, () => {});
+        clock.fire(0);
+        cancel();
+        expect(clock.timers).toEqual([]);
+    });
+});
+
+describe('Reproducible runs', () => {
+    afterEach(() => {
+        useClock(null);
+    });
+
+    // Three requesters compete for one fork, eating 2ms each time they get it
+    async function contendedRun(seed) {
+        clearEventLog();
+        const runId = startRun('replay', { seed, clock: new VirtualClock({ seed }) });
+        const fork = new Fork(0);
+
+        await Promise.all([0, 1, 2].map(async (id) => {
+            for (let i = 0; i < 3; i++) {
+                await fork.acquire(id);
+                await delay(2);
+                fork.release(id);
+            }
+        }));
+
+        return { runId, log: getEventLog().map(e => ({ ...e })) };
+    }
+
+    test('same seed replays the same run ID and interleaving', async () => {
+        const first = await contendedRun(123);
+        const second = await contendedRun(123);
+        expect(second.runId).toBe(first.runId);
+        expect(second.log).toEqual(first.log);
+    });
+
+    test('different seeds give different run IDs', async () => {
+        const first = await contendedRun(1);
+        const second = await contendedRun(2);
+        expect(second.runId).not.toBe(first.runId);
+    });
+
+    test('log timestamps use virtual time', async () => {
+        const { log } = await contendedRun(5);
+        expect(log.length).toBeGreaterThan(0);
+        expect(log.every(e => Number.isInteger(e.t))).toBe(true);
+        expect(log.filter(e => e.event === 'ACQUIRE').length).toBe(9);
+    });
+});
@@ -0,0 +1,306 @@
+// Comparison of two JSONL event logs, e.g. a student run against the reference solutions
+//
+// Runs are matched by algorithm. For every algorithm in both logs, each metric of
+// analyze-log.js (completion time and timeouts per meal, throughput, wait-time mean and
+// percentiles, fairness) is averaged over the runs of that algorithm in each log, and the
+// change is given relative to the baseline. Completion time and timeouts are divided by
+// the meals eaten, so runs with different meal counts (e.g. 100 against the 500 of the
+// reference log) can be compared; the report warns when the meal counts differ. With two or more runs on both sides (run-experiments.js
+// --repeat), Welch's t-test tells whether the difference is significant.
+//
+// A metric regresses when it got worse by more than its threshold (in percent of the
+// baseline, and by more than its slack in absolute terms, so a p50 wait going from 0 to
+// 0.5ms is no regression) and, when the runs can be tested, the difference is
+// significant at level `alpha`. The command exits with code 1 when any metric regressed.
+//
+// Usage:
+//   node compare-logs.js <log-file> [--baseline=<log-file>] [--algorithm=<name>]
+//                        [--threshold=<percent>|<metric>:<percent>,...] [--alpha=<p>] [--json]
+//
+// Arguments:
+//   log-file    - JSONL log to check, plain or gzipped
+//   --baseline  - Optional: log to compare with (default: logs/reference-solutions-500meals.jsonl.gz)
+//   --algorithm - Optional: only compare runs of the given algorithm
+//   --threshold - Optional: allowed change in percent for every metric (e.g. 10), or for
+//                 some of them (e.g. durationPerMeal:10,waitP99:100); defaults in METRICS below
+//   --alpha     - Optional: significance level of the t-test (default: 0.05)
+//   --json      - Optional: print the comparison as JSON instead of a table
+//
+// Examples:
+//   node compare-logs.js logs/all-experiments-student-<timestamp>.jsonl
+//   node compare-logs.js logs/new.jsonl --baseline=logs/old.jsonl --threshold=durationPerMeal:5 --algorithm=conductor
+
+const path = require('path');
+const { readLog, groupRuns, analyzeRun } = require('./analyze-log');
+
+const REFERENCE_LOG = path.join(__dirname, 'logs', 'reference-solutions-500meals.jsonl.gz');
+
+// Compared metrics: how to read them from analyzeRun(), which direction is worse,
+// the default threshold (percent) and the slack (absolute change that never counts)
+const perMeal = value => r => r.totalMeals > 0 ? value(r) / r.totalMeals : null;
+const METRICS = [
+    { key: 'durationPerMeal', value: perMeal(r => r.duration), worse: 'higher', threshold: 20, slack: 0 },
+    { key: 'throughput', value: r => r.throughput, worse: 'lower', threshold: 20, slack: 0 },
+    { key: 'waitMean', value: r => r.waitTime.mean, worse: 'higher', threshold: 25, slack: 1 },
+    { key: 'waitP50', value: r => r.waitTime.p50, worse: 'higher', threshold: 50, slack: 1 },
+    { key: 'waitP90', value: r => r.waitTime.p90, worse: 'higher', threshold: 50, slack: 1 },
+    { key: 'waitP99', value: r => r.waitTime.p99, worse: 'higher', threshold: 50, slack: 1 },
+    { key: 'fairnessMeals', value: r => r.fairness.meals, worse: 'lower', threshold: 5, slack: 0 },
+    { key: 'fairnessWait', value: r => r.fairness.wait, worse: 'lower', threshold: 10, slack: 0 },
+    { key: 'timeoutsPerMeal', value: perMeal(r => r.timeouts), worse: 'higher', threshold: 50, slack: 0 }
+];
+
+// Thresholds from a string: "10" sets every metric, "duration:10,waitP99:100" some of them
+function parseThresholds(spec) {
+    const thresholds = {};
+    for (const part of String(spec).split(',')) {
+        const [key, percent] = part.includes(':') ? part.split(':') : [null, part];
+        if (percent === '' || isNaN(percent) || Number(percent) < 0) {
+            throw new Error(`Invalid threshold: ${part} (expected <percent> or <metric>:<percent>)`);
+        }
+        if (key !== null && !METRICS.some(m => m.key === key)) {
+            throw new Error(`Unknown metric: ${key} (expected ${METRICS.map(m => m.key).join(', ')})`);
+        }
+        for (const metric of METRICS) {
+            if (key === null || key === metric.key) thresholds[metric.key] = Number(percent);
+        }
+    }
+    return thresholds;
+}
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Sample variance (n - 1)
+function variance(values) {
+    const m = mean(values);
+    return values.reduce((sum, v) => sum + (v - m) * (v - m), 0) / (values.length - 1);
+}
+
+// ln Γ(x), Lanczos approximation
+function logGamma(x) {
+    const c = [676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+        12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) {
+        return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+    x -= 1;
+    let sum = 0.99999999999980993;
+    c.forEach((ci, i) => { sum += ci / (x + i + 1); });
+    const t = x + c.length - 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Continued fraction of the incomplete beta function (modified Lentz's method)
+function betaFraction(x, a, b) {
+    const tiny = 1e-300;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let h = d;
+    for (let m = 1; m <= 300; m++) {
+        for (const numerator of [
+            m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+            -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+        ]) {
+            d = 1 + numerator * d;
+            d = 1 / (Math.abs(d) < tiny ? tiny : d);
+            c = 1 + numerator / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            h *= d * c;
+        }
+        if (Math.abs(d * c - 1) < 1e-12) break;
+    }
+    return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function betaIncomplete(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaFraction(x, a, b) / a
+        : 1 - front * betaFraction(1 - x, b, a) / b;
+}
+
+// Welch's t-test of two samples (two or more values each): { t, df, p } with a two-sided p
+function welchTest(a, b) {
+    const va = variance(a) / a.length;
+    const vb = variance(b) / b.length;
+    const diff = mean(b) - mean(a);
+    if (va + vb === 0) {
+        return { t: diff === 0 ? 0 : Math.sign(diff) * Infinity, df: a.length + b.length - 2, p: diff === 0 ? 1 : 0 };
+    }
+    const t = diff / Math.sqrt(va + vb);
+    const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+    return { t, df, p: betaIncomplete(df / (df + t * t), df / 2, 0.5) };
+}
+
+// Mean, standard deviation and count of a metric over runs
+function describe(values) {
+    return {
+        mean: values.length ? mean(values) : null,
+        sd: values.length > 1 ? Math.sqrt(variance(values)) : null,
+        n: values.length
+    };
+}
+
+// Compare one metric over the runs of an algorithm in both logs
+function compareMetric(metric, baselineRuns, candidateRuns, threshold, alpha) {
+    const a = baselineRuns.map(metric.value).filter(v => v !== null && v !== undefined);
+    const b = candidateRuns.map(metric.value).filter(v => v !== null && v !== undefined);
+    const baseline = describe(a);
+    const candidate = describe(b);
+    const result = { metric: metric.key, baseline, candidate, change: null, p: null, threshold, status: 'ok' };
+    if (a.length === 0 || b.length === 0) {
+        result.status = 'missing';
+        return result;
+    }
+
+    const diff = candidate.mean - baseline.mean;
+    if (diff === 0) {
+        result.change = 0;
+    } else {
+        result.change = baseline.mean === 0 ? Math.sign(diff) * Infinity : diff / Math.abs(baseline.mean) * 100;
+    }
+    if (a.length > 1 && b.length > 1) {
+        result.p = welchTest(a, b).p;
+    }
+
+    const worse = metric.worse === 'higher' ? diff > 0 : diff < 0;
+    const beyond = Math.abs(result.change) > threshold && Math.abs(diff) > metric.slack;
+    const significant = result.p === null || result.p < alpha;
+    if (beyond && !significant) {
+        result.status = 'not significant';
+    } else if (beyond) {
+        result.status = worse ? 'REGRESSION' : 'improved';
+    }
+    return result;
+}
+
+// Compare two logs, algorithm by algorithm; options: { algorithm, thresholds, alpha }
+function compareLogs(baselineEvents, candidateEvents, options = {}) {
+    const thresholds = { ...Object.fromEntries(METRICS.map(m => [m.key, m.threshold])), ...options.thresholds };
+    const alpha = options.alpha !== undefined ? options.alpha : 0.05;
+
+    // Metrics of every run, grouped by algorithm
+    const byAlgorithm = (events) => {
+        const runs = new Map();
+        for (const run of groupRuns(events)) {
+            if (options.algorithm && run.algorithm !== options.algorithm) continue;
+            if (!runs.has(run.algorithm)) runs.set(run.algorithm, []);
+            runs.get(run.algorithm).push(analyzeRun(run.events));
+        }
+        return runs;
+    };
+    const baseline = byAlgorithm(baselineEvents);
+    const candidate = byAlgorithm(candidateEvents);
+
+    // Meals per philosopher of the runs, e.g. [100] (several values for mixed runs)
+    const mealCounts = runs => Array.from(new Set(runs.map(r => Math.max(0, ...r.mealsPerPhilosopher)))).sort((a, b) => a - b);
+
+    const comparisons = Array.from(baseline.keys()).filter(algorithm => candidate.has(algorithm)).map(algorithm => ({
+        algorithm,
+        baselineRuns: baseline.get(algorithm).length,
+        candidateRuns: candidate.get(algorithm).length,
+        meals: { baseline: mealCounts(baseline.get(algorithm)), candidate: mealCounts(candidate.get(algorithm)) },
+        metrics: METRICS.map(metric =>
+            compareMetric(metric, baseline.get(algorithm), candidate.get(algorithm), thresholds[metric.key], alpha))
+    }));
+    const warnings = comparisons
+        .filter(c => c.meals.baseline.join() !== c.meals.candidate.join())
+        .map(c => `${c.algorithm}: ${c.meals.baseline.join('/')} meals per philosopher in the baseline, ` +
+            `${c.meals.candidate.join('/')} in the candidate (duration and timeouts are compared per meal)`);
+
+    return {
+        alpha,
+        comparisons,
+        warnings,
+        onlyInBaseline: Array.from(baseline.keys()).filter(algorithm => !candidate.has(algorithm)),
+        onlyInCandidate: Array.from(candidate.keys()).filter(algorithm => !baseline.has(algorithm)),
+        regressions: comparisons.reduce((count, c) => count + c.metrics.filter(m => m.status === 'REGRESSION').length, 0)
+    };
+}
+
+function fmt(value, digits = 2) {
+    if (value === null || value === undefined) return '-';
+    if (!Number.isFinite(value)) return value > 0 ? '+inf' : '-inf';
+    return Number.isInteger(value) ? String(value) : value.toFixed(digits);
+}
+
+// Render a comparison as a fixed-width text table
+function formatReport(report) {
+    const header = ['algorithm', 'metric', 'baseline', 'candidate', 'change %', 'threshold', 'p', 'status'];
+    const sample = s => fmt(s.mean) + (s.sd !== null ? ` ±${fmt(s.sd)}` : '') + ` (n=${s.n})`;
+    const rows = report.comparisons.flatMap(c => c.metrics.map(m => [
+        c.algorithm,
+        m.metric,
+        sample(m.baseline),
+        sample(m.candidate),
+        m.change > 0 && Number.isFinite(m.change) ? `+${fmt(m.change, 1)}` : fmt(m.change, 1),
+        fmt(m.threshold),
+        fmt(m.p, 3),
+        m.status
+    ]));
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => String(row[i]).length)));
+    const line = cells => cells.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd();
+
+    const lines = [line(header), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)];
+    report.warnings.forEach(warning => lines.push(`\nWarning: ${warning}`));
+    if (report.onlyInBaseline.length > 0) lines.push(`\nOnly in the baseline: ${report.onlyInBaseline.join(', ')}`);
+    if (report.onlyInCandidate.length > 0) lines.push(`\nOnly in the candidate: ${report.onlyInCandidate.join(', ')}`);
+    lines.push(`\n${report.regressions} regression(s)`);
+    return lines.join('\n');
+}
+
+function main(argv) {
+    const file = argv.find(arg => !arg.startsWith('--'));
+    const option = name => {
+        const arg = argv.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    if (!file) {
+        console.error('Usage: node compare-logs.js <log-file> [--baseline=<log-file>] [--algorithm=<name>] ' +
+            '[--threshold=<percent>|<metric>:<percent>,...] [--alpha=<p>] [--json]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const report = compareLogs(readLog(option('baseline') || REFERENCE_LOG), readLog(file), {
+        algorithm: option('algorithm'),
+        thresholds: option('threshold') !== undefined ? parseThresholds(option('threshold')) : {},
+        alpha: option('alpha') !== undefined ? Number(option('alpha')) : undefined
+    });
+
+    if (argv.includes('--json')) {
+        console.log(JSON.stringify(report, (key, value) =>
+            (typeof value === 'number' && !Number.isFinite(value) ? String(value) : value), 2));
+    } else if (report.comparisons.length === 0) {
+        console.log('No algorithm found in both logs.');
+    } else {
+        console.log(formatReport(report));
+    }
+    if (report.comparisons.length === 0 || report.regressions > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    METRICS,
+    parseThresholds,
+    welchTest,
+    compareLogs,
+    formatReport
+};
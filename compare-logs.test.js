@@ -0,0 +1,128 @@
+const { parseThresholds, welchTest, compareLogs, formatReport } = require('./compare-logs');
+
+// One run: two philosophers eat `meals` meals each, one after the other, every
+// philosopher waiting `wait` ms for its forks and eating `eat` ms
+function runEvents(runId, algorithm, { meals = 2, wait = 1, eat = 1, timeouts = 0 } = {}) {
+    const events = [];
+    let t = 0;
+    const log = (phil, event, forks) => events.push({ runId, algorithm, t, phil, event, forks });
+    for (let meal = 0; meal < meals; meal++) {
+        for (const phil of [0, 1]) {
+            log(phil, 'TRY', [0]);
+            t += wait;
+            log(phil, 'ACQUIRE', [0]);
+            log(phil, 'EAT_START', [0]);
+            t += eat;
+            log(phil, 'EAT_END', [0]);
+            log(phil, 'RELEASE', [0]);
+        }
+    }
+    for (let i = 0; i < timeouts; i++) log(0, 'TIMEOUT', [0]);
+    return events;
+}
+
+// Several runs of an algorithm, one per entry of `waits`
+const repeated = (algorithm, waits, prefix) =>
+    waits.flatMap((wait, i) => runEvents(`${prefix}${i}`, algorithm, { wait }));
+
+const statusOf = (report, algorithm, metric) =>
+    report.comparisons.find(c => c.algorithm === algorithm).metrics.find(m => m.metric === metric);
+
+describe('Welch\'s t-test', () => {
+    test('gives the two-sided p-value of the difference in means', () => {
+        const { t, df, p } = welchTest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10]);
+        expect(t).toBeCloseTo(1.8974, 4);
+        expect(df).toBeCloseTo(5.8824, 4);
+        expect(p).toBeCloseTo(0.1075, 4);
+    });
+
+    test('matches the t table (df = 10, t = 2.228 gives p = 0.05)', () => {
+        // Equal sizes and variances: df = 2n - 2 = 10 for n = 6
+        const a = [0, 1, 2, 3, 4, 5];
+        const shift = 2.228 * Math.sqrt(2 * 3.5 / 6);
+        expect(welchTest(a, a.map(v => v + shift)).p).toBeCloseTo(0.05, 3);
+    });
+
+    test('samples without variance are equal (p = 1) or different (p = 0)', () => {
+        expect(welchTest([3, 3], [3, 3]).p).toBe(1);
+        expect(welchTest([3, 3], [4, 4]).p).toBe(0);
+    });
+});
+
+describe('Thresholds', () => {
+    test('parseThresholds sets every metric or the listed ones', () => {
+        expect(parseThresholds('10')).toMatchObject({ durationPerMeal: 10, waitP99: 10, timeoutsPerMeal: 10 });
+        expect(parseThresholds('durationPerMeal:5,waitP99:100')).toEqual({ durationPerMeal: 5, waitP99: 100 });
+        expect(() => parseThresholds('latency:5')).toThrow('Unknown metric: latency');
+        expect(() => parseThresholds('fast')).toThrow('Invalid threshold: fast');
+    });
+});
+
+describe('Comparing logs', () => {
+    test('identical logs have no regressions', () => {
+        const events = runEvents('a', 'asymmetric');
+        const report = compareLogs(events, events);
+        expect(report.regressions).toBe(0);
+        expect(report.comparisons[0].metrics.every(m => m.status === 'ok' && m.change === 0)).toBe(true);
+    });
+
+    test('flags metrics that got worse beyond their threshold', () => {
+        const report = compareLogs(runEvents('a', 'asymmetric', { wait: 2 }), runEvents('b', 'asymmetric', { wait: 4, timeouts: 1 }));
+
+        expect(statusOf(report, 'asymmetric', 'waitMean')).toMatchObject({ change: 100, status: 'REGRESSION', p: null });
+        expect(statusOf(report, 'asymmetric', 'durationPerMeal')).toMatchObject({ status: 'REGRESSION' });
+        expect(statusOf(report, 'asymmetric', 'durationPerMeal').change).toBeCloseTo(200 / 3);
+        expect(statusOf(report, 'asymmetric', 'timeoutsPerMeal')).toMatchObject({ change: Infinity, status: 'REGRESSION' });
+        expect(statusOf(report, 'asymmetric', 'fairnessMeals').status).toBe('ok');
+        expect(formatReport(report)).toContain('REGRESSION');
+        expect(formatReport(report)).toMatch(/ \+inf /);
+
+        const relaxed = compareLogs(runEvents('a', 'asymmetric', { wait: 2 }), runEvents('b', 'asymmetric', { wait: 4 }),
+            { thresholds: parseThresholds('200') });
+        expect(relaxed.regressions).toBe(0);
+    });
+
+    test('small absolute changes and improvements are not regressions', () => {
+        const report = compareLogs(runEvents('a', 'conductor', { wait: 4 }), runEvents('b', 'conductor', { wait: 0.5 }));
+        expect(statusOf(report, 'conductor', 'waitMean').status).toBe('improved');
+        expect(report.regressions).toBe(0);
+
+        const slack = compareLogs(runEvents('a', 'conductor', { wait: 0 }), runEvents('b', 'conductor', { wait: 0.5 }));
+        expect(statusOf(slack, 'conductor', 'waitMean').status).toBe('ok');
+    });
+
+    test('repeated runs are only flagged when the difference is significant', () => {
+        const noisy = compareLogs(repeated('asymmetric', [1, 3, 1, 3], 'a'), repeated('asymmetric', [1, 5, 3, 5], 'b'));
+        expect(statusOf(noisy, 'asymmetric', 'waitMean')).toMatchObject({ status: 'not significant' });
+        expect(statusOf(noisy, 'asymmetric', 'waitMean').p).toBeGreaterThan(0.05);
+
+        const clear = compareLogs(repeated('asymmetric', [1, 1.1, 0.9], 'a'), repeated('asymmetric', [3, 3.1, 2.9], 'b'));
+        expect(statusOf(clear, 'asymmetric', 'waitMean').status).toBe('REGRESSION');
+        expect(statusOf(clear, 'asymmetric', 'waitMean').baseline).toMatchObject({ n: 3 });
+        expect(statusOf(clear, 'asymmetric', 'waitMean').p).toBeLessThan(0.05);
+    });
+
+    test('compares duration and timeouts per meal and warns about different meal counts', () => {
+        const report = compareLogs(runEvents('a', 'asymmetric', { meals: 10, timeouts: 5 }),
+            runEvents('b', 'asymmetric', { meals: 2, timeouts: 1 }));
+
+        expect(statusOf(report, 'asymmetric', 'durationPerMeal')).toMatchObject({ change: 0, status: 'ok' });
+        expect(statusOf(report, 'asymmetric', 'timeoutsPerMeal')).toMatchObject({ change: 0, status: 'ok' });
+        expect(report.comparisons[0].meals).toEqual({ baseline: [10], candidate: [2] });
+        expect(report.warnings).toEqual(['asymmetric: 10 meals per philosopher in the baseline, ' +
+            '2 in the candidate (duration and timeouts are compared per meal)']);
+        expect(formatReport(report)).toContain('Warning: asymmetric: 10 meals');
+        expect(compareLogs(runEvents('a', 'asymmetric'), runEvents('b', 'asymmetric')).warnings).toEqual([]);
+    });
+
+    test('matches runs by algorithm and lists the unmatched ones', () => {
+        const baseline = [...runEvents('a', 'asymmetric'), ...runEvents('b', 'conductor')];
+        const candidate = [...runEvents('c', 'asymmetric'), ...runEvents('d', 'naive-timeout')];
+        const report = compareLogs(baseline, candidate);
+
+        expect(report.comparisons.map(c => c.algorithm)).toEqual(['asymmetric']);
+        expect(report.onlyInBaseline).toEqual(['conductor']);
+        expect(report.onlyInCandidate).toEqual(['naive-timeout']);
+        expect(compareLogs(baseline, candidate, { algorithm: 'conductor' }).comparisons).toEqual([]);
+    });
+});
@@ -0,0 +1,449 @@
+// Live dashboard: streams the events of a run to a browser page over Server-Sent Events
+//
+// The page shows the table (philosophers around it, who holds each fork and who waits
+// for it), a table of philosophers with their state and meal counter, the fork holders
+// and waiters, and the throughput (meals/s over the last second of the run, and overall).
+//
+// A Dashboard is a log sink (see sinks.js): run-experiments.js --serve adds it to the
+// run, so the page follows the experiments live. It keeps the last events of the run so
+// a page opened later (or reloaded) catches up at once.
+//
+// Run on its own, it replays a saved log at the logged pace, `speed` times faster (the
+// speed can be changed on the page while replaying). The replay starts once a browser
+// has opened the page.
+//
+// Usage:
+//   node dashboard.js <log-file> [--speed=<x>] [--port=<n>] [--run=<runId>] [--algorithm=<name>]
+//
+// Arguments:
+//   log-file    - JSONL log, plain or gzipped
+//   --speed     - Optional: replay speed (default: 1, the logged pace)
+//   --port      - Optional: HTTP port (default: 8080; 0 picks a free port)
+//   --run       - Optional: only replay the run with the given runId
+//   --algorithm - Optional: only replay runs of the given algorithm
+//
+// Endpoints:
+//   GET  /             - the dashboard page
+//   GET  /events       - SSE stream: every event as a `data:` JSON line, the replay speed as `event: speed`
+//   POST /speed?value= - change the replay speed
+//
+// Examples:
+//   node dashboard.js logs/reference-solutions-500meals.jsonl.gz --algorithm=conductor --speed=10
+//   node run-experiments.js asymmetric 50 --serve
+
+const http = require('http');
+const { readLog, groupRuns } = require('./analyze-log');
+const { RingBufferSink } = require('./sinks');
+const { STATE_COLORS, holderColor } = require('./timeline');
+
+const DEFAULT_PORT = 8080;
+const HISTORY_SIZE = 100000;
+const MAX_REPLAY_DELAY = 1000;  // longer gaps in a log are shortened to this (ms, real time)
+const RUN_PAUSE = 1000;         // pause between the runs of a replayed log (ms, real time)
+
+// Dashboard state of a run (the page keeps one, updated by applyEvent)
+function createState() {
+    return {
+        runId: null,
+        algorithm: null,
+        t: 0,
+        events: 0,
+        totalMeals: 0,
+        recentMeals: [],   // times of the meals in the last `window` ms
+        window: 1000,
+        deadlock: null,
+        phils: {},         // id -> { state, meals, waitingFor, seat }
+        forks: {}          // id -> { holder, waiting, users }
+    };
+}
+
+// Update the state with one event; an event of another run starts a new state.
+// Runs in the browser too (the page embeds its source), so it uses plain objects only.
+function applyEvent(state, e) {
+    if (e.runId !== state.runId || e.algorithm !== state.algorithm) {
+        Object.assign(state, createState(), { runId: e.runId, algorithm: e.algorithm });
+    }
+    const philOf = id => state.phils[id] || (state.phils[id] = { state: 'thinking', meals: 0, waitingFor: [], seat: null });
+    const forkOf = id => state.forks[id] || (state.forks[id] = { holder: null, waiting: [], users: [] });
+    const without = (list, item) => list.filter(x => x !== item);
+    const stopWaiting = (phil, forkIds) => {
+        forkIds.forEach(f => { forkOf(f).waiting = without(forkOf(f).waiting, phil); });
+        philOf(phil).waitingFor = philOf(phil).waitingFor.filter(f => !forkIds.includes(f));
+    };
+    const forkIds = e.forks || [];
+    state.t = Math.max(state.t, e.t);
+    state.events++;
+
+    switch (e.event) {
+        case 'TRY':
+        case 'REQUEST': {
+            const phil = philOf(e.phil);
+            if (phil.state === 'thinking') phil.state = 'waiting';
+            for (const f of forkIds) {
+                const fork = forkOf(f);
+                if (!fork.users.includes(e.phil)) fork.users.push(e.phil);
+                if (fork.holder !== e.phil && !fork.waiting.includes(e.phil)) fork.waiting.push(e.phil);
+                if (fork.holder !== e.phil && !phil.waitingFor.includes(f)) phil.waitingFor.push(f);
+            }
+            break;
+        }
+        case 'HUNGRY':
+            if (philOf(e.phil).state === 'thinking') philOf(e.phil).state = 'waiting';
+            break;
+        case 'ACQUIRE':
+            if (e.phil === null) break;
+            philOf(e.phil);
+            stopWaiting(e.phil, forkIds);
+            for (const f of forkIds) {
+                const fork = forkOf(f);
+                fork.holder = e.phil;
+                if (!fork.users.includes(e.phil)) fork.users.push(e.phil);
+            }
+            break;
+        case 'RELEASE':
+        case 'SEND_FORK':
+        case 'LEASE_EXPIRED':
+            if (e.seat) philOf(e.phil).seat = null;
+            forkIds.forEach(f => { if (forkOf(f).holder === e.phil) forkOf(f).holder = null; });
+            break;
+        case 'TIMEOUT':
+            stopWaiting(e.phil, forkIds);
+            break;
+        case 'EAT_START':
+        case 'DRINK_START':
+            philOf(e.phil).state = 'eating';
+            break;
+        case 'EAT_END':
+        case 'DRINK_END':
+            philOf(e.phil).state = 'thinking';
+            philOf(e.phil).meals++;
+            state.totalMeals++;
+            state.recentMeals.push(e.t);
+            break;
+        case 'THINK_START':
+            philOf(e.phil).state = 'thinking';
+            break;
+        case 'CRASH':
+            stopWaiting(e.phil, philOf(e.phil).waitingFor);
+            philOf(e.phil).state = 'crashed';
+            break;
+        case 'SEAT_REQUEST':
+            philOf(e.phil).seat = 'waiting';
+            break;
+        case 'SEAT_GRANTED':
+            philOf(e.phil).seat = 'seated';
+            break;
+        case 'SEAT_LEFT':
+            philOf(e.phil).seat = null;
+            break;
+        case 'DEADLOCK':
+            state.deadlock = e.cycle || [];
+            break;
+    }
+
+    state.recentMeals = state.recentMeals.filter(t => t > state.t - state.window);
+    return state;
+}
+
+// Meals/s over the last second of the run and over the whole run
+function throughput(state) {
+    return {
+        recent: state.recentMeals.length * 1000 / state.window,
+        overall: state.t > 0 ? state.totalMeals * 1000 / state.t : null
+    };
+}
+
+// One SSE message: a log entry (default event) or a named event
+function sseMessage(data, event = null) {
+    return `${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`;
+}
+
+class Dashboard {
+    // options.historySize - events kept for pages opened later (default 100000)
+    constructor(options = {}) {
+        this.history = new RingBufferSink(options.historySize || HISTORY_SIZE);
+        this.clients = new Set();
+        this.speed = null;   // replay speed, null unless replaying
+        this.closed = false;
+        this.url = null;
+        this.clientWaiters = [];
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    // Start the HTTP server; resolves to the page URL
+    listen(port = DEFAULT_PORT, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                this.url = `http://${host}:${this.server.address().port}/`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && url.pathname === '/') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(renderPage());
+        } else if (req.method === 'GET' && url.pathname === '/events') {
+            this.addClient(req, res);
+        } else if (req.method === 'POST' && url.pathname === '/speed') {
+            const speed = Number(url.searchParams.get('value'));
+            if (this.speed === null || !(speed > 0)) {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                res.end(this.speed === null ? 'Not replaying\n' : 'Speed must be a positive number\n');
+                return;
+            }
+            this.setSpeed(speed);
+            res.writeHead(204);
+            res.end();
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+        }
+    }
+
+    // Open an SSE stream: the kept events first, then every new one
+    addClient(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+        if (this.speed !== null) res.write(sseMessage(this.speed, 'speed'));
+        for (const entry of this.history.events) res.write(sseMessage(entry));
+        this.clients.add(res);
+        req.on('close', () => this.clients.delete(res));
+        this.clientWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    // Resolves once a page is connected
+    waitForClient() {
+        if (this.clients.size > 0) return Promise.resolve();
+        return new Promise(resolve => this.clientWaiters.push(resolve));
+    }
+
+    broadcast(message) {
+        for (const res of this.clients) res.write(message);
+    }
+
+    // Sink interface
+    write(entry) {
+        this.history.write(entry);
+        this.broadcast(sseMessage(entry));
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.broadcast(sseMessage(speed, 'speed'));
+    }
+
+    // Send the events of a saved log at their logged pace, `speed` times faster.
+    // Gaps shorter than 1ms (after scaling) add up until they are worth a timer.
+    async replay(events, speed = 1) {
+        this.setSpeed(speed);
+        let owed = 0;
+        let previous = null;
+        for (const entry of events) {
+            if (this.closed) break;
+            if (previous && (entry.runId !== previous.runId || entry.algorithm !== previous.algorithm)) {
+                await sleep(RUN_PAUSE);
+                owed = 0;
+            } else if (previous) {
+                owed += Math.max(entry.t - previous.t, 0) / this.speed;
+            }
+            if (owed >= 1) {
+                await sleep(Math.min(owed, MAX_REPLAY_DELAY));
+                owed = 0;
+            }
+            this.write(entry);
+            previous = entry;
+        }
+    }
+
+    // Sink interface: ends the streams and stops the server
+    close() {
+        this.closed = true;
+        for (const res of this.clients) res.end();
+        this.clients.clear();
+        if (!this.server.listening) return Promise.resolve();
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeIdleConnections();
+        });
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The page: plain HTML with an inline script that keeps the state with applyEvent()
+function renderPage() {
+    const legend = Object.entries(STATE_COLORS)
+        .map(([state, color]) => `<span><i style="background:${color}"></i>${state}</span>`).join('');
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Dining philosophers dashboard</title>
+<style>
+body { font-family: sans-serif; margin: 16px; }
+.legend span, #speed button { margin-right: 12px; }
+.legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: middle; }
+#deadlock { color: #c62828; font-weight: bold; }
+.panels { display: flex; gap: 32px; align-items: flex-start; flex-wrap: wrap; }
+table { border-collapse: collapse; }
+th, td { border-bottom: 1px solid #ddd; padding: 2px 10px; text-align: left; }
+#speed button.current { font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Dining philosophers</h1>
+<p id="status">Waiting for events...</p>
+<p id="speed" hidden>Replay speed: ${[0.25, 0.5, 1, 2, 5, 10, 50, 100].map(s => `<button data-speed="${s}">${s}x</button>`).join('')}</p>
+<p id="deadlock"></p>
+<p class="legend">${legend}<span>— holds fork</span><span>- - waits for fork</span></p>
+<div class="panels">
+<svg id="table" width="420" height="420" font-family="sans-serif" font-size="12"></svg>
+<table id="phils"></table>
+<table id="forks"></table>
+</div>
+<script>
+const STATE_COLORS = ${JSON.stringify(STATE_COLORS)};
+${holderColor.toString()}
+${createState.toString()}
+${applyEvent.toString()}
+${throughput.toString()}
+
+let state = createState();
+let pending = false;
+
+function schedule() {
+    if (!pending) {
+        pending = true;
+        requestAnimationFrame(() => { pending = false; render(); });
+    }
+}
+
+function position(i, count, radius) {
+    const angle = 2 * Math.PI * i / Math.max(count, 1) - Math.PI / 2;
+    return { x: 210 + radius * Math.cos(angle), y: 210 + radius * Math.sin(angle) };
+}
+
+function render() {
+    const rate = throughput(state);
+    document.getElementById('status').textContent = state.runId === null ? 'Waiting for events...' :
+        'run ' + state.runId + ' (' + state.algorithm + '), t=' + state.t + 'ms, ' + state.events + ' events, ' +
+        state.totalMeals + ' meals, ' + rate.recent.toFixed(1) + ' meals/s (last second), ' +
+        (rate.overall === null ? '-' : rate.overall.toFixed(1)) + ' meals/s overall';
+    document.getElementById('deadlock').textContent = state.deadlock ?
+        'Deadlock: cycle ' + state.deadlock.join(' -> ') : '';
+
+    const ids = Object.keys(state.phils).map(Number).sort((a, b) => a - b);
+    const at = new Map(ids.map((id, i) => [id, position(i, ids.length, 160)]));
+    const parts = [];
+    for (const [f, fork] of Object.entries(state.forks)) {
+        const users = fork.users.filter(p => at.has(p));
+        if (users.length === 0) continue;
+        const x = 210 + users.reduce((sum, p) => sum + at.get(p).x - 210, 0) / users.length * 0.8;
+        const y = 210 + users.reduce((sum, p) => sum + at.get(p).y - 210, 0) / users.length * 0.8;
+        if (fork.holder !== null && at.has(fork.holder)) {
+            const h = at.get(fork.holder);
+            parts.push('<line x1="' + x + '" y1="' + y + '" x2="' + h.x + '" y2="' + h.y + '" stroke="' + holderColor(fork.holder) + '" stroke-width="3"/>');
+        }
+        for (const p of fork.waiting.filter(p => at.has(p))) {
+            parts.push('<line x1="' + x + '" y1="' + y + '" x2="' + at.get(p).x + '" y2="' + at.get(p).y + '" stroke="' + STATE_COLORS.waiting + '" stroke-dasharray="4 3"/>');
+        }
+        const fill = fork.holder === null ? '#fff' : holderColor(fork.holder);
+        parts.push('<rect x="' + (x - 7) + '" y="' + (y - 7) + '" width="14" height="14" fill="' + fill + '" stroke="#333"><title>fork ' + f + '</title></rect>');
+    }
+    for (const [id, p] of at) {
+        const phil = state.phils[id];
+        parts.push('<circle cx="' + p.x + '" cy="' + p.y + '" r="22" fill="' + STATE_COLORS[phil.state] + '" stroke="#333"><title>philosopher ' + id + ' ' + phil.state + '</title></circle>');
+        parts.push('<text x="' + p.x + '" y="' + (p.y + 4) + '" text-anchor="middle">' + id + ' (' + phil.meals + ')</text>');
+    }
+    document.getElementById('table').innerHTML = parts.join('');
+
+    document.getElementById('phils').innerHTML = '<tr><th>philosopher</th><th>state</th><th>meals</th><th>waiting for</th><th>seat</th></tr>' +
+        ids.map(id => {
+            const p = state.phils[id];
+            return '<tr><td>' + id + '</td><td style="background:' + STATE_COLORS[p.state] + '">' + p.state + '</td><td>' + p.meals +
+                '</td><td>' + p.waitingFor.join(', ') + '</td><td>' + (p.seat || '') + '</td></tr>';
+        }).join('');
+    document.getElementById('forks').innerHTML = '<tr><th>fork</th><th>holder</th><th>waiting</th></tr>' +
+        Object.keys(state.forks).map(Number).sort((a, b) => a - b).map(f => {
+            const fork = state.forks[f];
+            return '<tr><td>' + f + '</td><td>' + (fork.holder === null ? '' : fork.holder) + '</td><td>' + fork.waiting.join(', ') + '</td></tr>';
+        }).join('');
+}
+
+const source = new EventSource('/events');
+source.onmessage = message => { applyEvent(state, JSON.parse(message.data)); schedule(); };
+source.addEventListener('speed', message => {
+    const speed = JSON.parse(message.data);
+    document.getElementById('speed').hidden = false;
+    document.querySelectorAll('#speed button').forEach(b => b.classList.toggle('current', Number(b.dataset.speed) === speed));
+});
+document.querySelectorAll('#speed button').forEach(b => {
+    b.onclick = () => fetch('/speed?value=' + b.dataset.speed, { method: 'POST' });
+});
+</script>
+</body>
+</html>
+`;
+}
+
+async function main(argv) {
+    const file = argv.find(arg => !arg.startsWith('--'));
+    const option = name => {
+        const arg = argv.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    if (!file) {
+        console.error('Usage: node dashboard.js <log-file> [--speed=<x>] [--port=<n>] [--run=<runId>] [--algorithm=<name>]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const runs = groupRuns(readLog(file))
+        .filter(run => !option('run') || run.runId === option('run'))
+        .filter(run => !option('algorithm') || run.algorithm === option('algorithm'));
+    if (runs.length === 0) {
+        console.log('No matching runs found.');
+        return;
+    }
+    const speed = option('speed') !== undefined ? Number(option('speed')) : 1;
+    if (!(speed > 0)) {
+        console.error(`Invalid speed: ${option('speed')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const dashboard = new Dashboard();
+    const url = await dashboard.listen(option('port') !== undefined ? Number(option('port')) : DEFAULT_PORT);
+    console.log(`Dashboard at ${url} - the replay of ${runs.length} run(s) starts when the page is opened`);
+    await dashboard.waitForClient();
+    await dashboard.replay(runs.flatMap(run => run.events), speed);
+    console.log('Replay finished (Ctrl+C to stop the dashboard)');
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    Dashboard,
+    createState,
+    applyEvent,
+    throughput,
+    sseMessage,
+    renderPage
+};
@@ -0,0 +1,176 @@
+const http = require('http');
+const { Dashboard, createState, applyEvent, throughput, sseMessage, renderPage } = require('./dashboard');
+const { Table, VirtualClock } = require('./philosophers');
+
+function entry(t, phil, event, forks, extra = {}, runId = 'run001', algorithm = 'test') {
+    return { runId, algorithm, t, phil, event, forks, ...extra };
+}
+
+// Open the SSE stream of a dashboard; `messages` fills with the parsed messages
+function connect(url) {
+    return new Promise((resolve, reject) => {
+        const messages = [];
+        const req = http.get(`${url}events`, res => {
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffer += chunk;
+                const frames = buffer.split('\n\n');
+                buffer = frames.pop();
+                for (const frame of frames) {
+                    const event = (frame.match(/^event: (.*)$/m) || [])[1] || 'message';
+                    messages.push({ event, data: JSON.parse(frame.match(/^data: (.*)$/m)[1]) });
+                }
+            });
+            resolve({ res, messages, req });
+        });
+        req.on('error', reject);
+    });
+}
+
+function request(url, method) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+const until = async (check) => {
+    while (!check()) await new Promise(resolve => setTimeout(resolve, 5));
+};
+
+describe('Dashboard state', () => {
+    test('follows fork holders, waiting philosophers and meals', () => {
+        const state = createState();
+        [
+            entry(0, 0, 'TRY', [0]),
+            entry(0, 0, 'ACQUIRE', [0]),
+            entry(1, 1, 'TRY', [0]),
+            entry(1, 0, 'TRY', [1]),
+            entry(1, 0, 'ACQUIRE', [1]),
+            entry(1, 0, 'EAT_START', [0, 1])
+        ].forEach(e => applyEvent(state, e));
+
+        expect(state.forks[0]).toMatchObject({ holder: 0, waiting: [1] });
+        expect(state.phils[0]).toMatchObject({ state: 'eating', waitingFor: [] });
+        expect(state.phils[1]).toMatchObject({ state: 'waiting', waitingFor: [0] });
+
+        [
+            entry(3, 0, 'EAT_END', [0, 1]),
+            entry(3, 0, 'RELEASE', [0]),
+            entry(3, 0, 'RELEASE', [1]),
+            entry(4, 1, 'TIMEOUT', [0])
+        ].forEach(e => applyEvent(state, e));
+
+        expect(state.forks[0]).toMatchObject({ holder: null, waiting: [] });
+        expect(state.phils[0]).toMatchObject({ state: 'thinking', meals: 1 });
+        expect(state.phils[1].waitingFor).toEqual([]);
+        expect([state.t, state.events, state.totalMeals]).toEqual([4, 10, 1]);
+    });
+
+    test('tracks crashes, conductor seats, leases and deadlocks', () => {
+        const state = createState();
+        [
+            entry(0, 2, 'SEAT_REQUEST', [], { queue: 0 }),
+            entry(0, 2, 'SEAT_GRANTED', [], { wait: 0 }),
+            entry(0, 2, 'ACQUIRE', [2]),
+            entry(1, 2, 'CRASH', [2], { at: 'holding-fork' })
+        ].forEach(e => applyEvent(state, e));
+        expect(state.phils[2]).toMatchObject({ state: 'crashed', seat: 'seated' });
+
+        applyEvent(state, entry(5, 2, 'LEASE_EXPIRED', [2]));
+        applyEvent(state, entry(5, 2, 'LEASE_EXPIRED', [], { seat: true }));
+        applyEvent(state, entry(9, null, 'DEADLOCK', [], { cycle: [0, 1] }));
+        expect(state.forks[2].holder).toBeNull();
+        expect(state.phils[2].seat).toBeNull();
+        expect(state.deadlock).toEqual([0, 1]);
+    });
+
+    test('throughput counts the meals of the last second; a new run starts over', () => {
+        const state = createState();
+        [500, 1200, 1800, 2000].forEach((t, i) => applyEvent(state, entry(t, i, 'EAT_END', [])));
+        expect(throughput(state)).toEqual({ recent: 3, overall: 2 });
+
+        applyEvent(state, entry(0, 0, 'TRY', [0], {}, 'run002'));
+        expect([state.runId, state.totalMeals, state.events]).toEqual(['run002', 0, 1]);
+    });
+
+    test('replaying a whole run gives the meal counters of the run', async () => {
+        const table = new Table({ algorithm: 'naive', n: 3, seed: 1, clock: new VirtualClock({ seed: 1 }), quiet: true });
+        await table.start(p => p.startChandyMisra(4));
+
+        const state = createState();
+        table.events.forEach(e => applyEvent(state, e));
+        expect(Object.values(state.phils).map(p => p.meals)).toEqual([4, 4, 4]);
+        expect(Object.values(state.forks).every(f => f.waiting.length === 0)).toBe(true);
+    });
+});
+
+describe('Dashboard server', () => {
+    let dashboard;
+    afterEach(() => dashboard.close());
+
+    test('serves the page and streams events, kept events first', async () => {
+        dashboard = new Dashboard();
+        const url = await dashboard.listen(0);
+
+        const page = await request(url, 'GET');
+        expect(page.status).toBe(200);
+        expect(page.body).toContain('new EventSource(\'/events\')');
+        expect(page.body).toContain('function applyEvent');
+
+        dashboard.write(entry(0, 0, 'TRY', [0]));
+        const client = await connect(url);
+        expect(client.res.headers['content-type']).toBe('text/event-stream');
+        dashboard.write(entry(0, 0, 'ACQUIRE', [0]));
+
+        await until(() => client.messages.length === 2);
+        expect(client.messages.map(m => [m.event, m.data.event])).toEqual([['message', 'TRY'], ['message', 'ACQUIRE']]);
+        expect((await request(`${url}missing`, 'GET')).status).toBe(404);
+    });
+
+    test('replays a log at the given speed, adjustable while replaying', async () => {
+        dashboard = new Dashboard();
+        const url = await dashboard.listen(0);
+        const client = await connect(url);
+        expect((await request(`${url}speed?value=2`, 'POST')).status).toBe(400);
+
+        const events = [entry(0, 0, 'TRY', [0]), entry(100, 0, 'ACQUIRE', [0]), entry(20100, 0, 'RELEASE', [0])];
+        const started = Date.now();
+        const replay = dashboard.replay(events, 1000);
+        await until(() => client.messages.length >= 2);
+        expect((await request(`${url}speed?value=4000`, 'POST')).status).toBe(204);
+        await replay;
+        await until(() => client.messages.length === 5);
+
+        // 100ms at 1000x, then 20s at 4000x
+        const elapsed = Date.now() - started;
+        expect(elapsed).toBeGreaterThanOrEqual(5);
+        expect(elapsed).toBeLessThan(1000);
+        expect(client.messages.filter(m => m.event === 'speed').map(m => m.data)).toEqual([1000, 4000]);
+        expect(client.messages.filter(m => m.event === 'message').map(m => m.data.event)).toEqual(['TRY', 'ACQUIRE', 'RELEASE']);
+    });
+
+    test('close() ends the streams of connected pages', async () => {
+        dashboard = new Dashboard();
+        const url = await dashboard.listen(0);
+        const client = await connect(url);
+        const ended = new Promise(resolve => client.res.on('end', resolve));
+        await dashboard.close();
+        await ended;
+        expect(dashboard.clients.size).toBe(0);
+    });
+});
+
+describe('SSE messages', () => {
+    test('frame log entries and named events', () => {
+        expect(sseMessage({ t: 1 })).toBe('data: {"t":1}\n\n');
+        expect(sseMessage(2, 'speed')).toBe('event: speed\ndata: 2\n\n');
+        expect(renderPage()).toContain('<svg id="table"');
+    });
+});
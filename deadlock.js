@@ -0,0 +1,162 @@
+// Runtime deadlock detector (watchdog) for the dining philosophers
+//
+// Every Fork records its holder and the philosophers currently waiting in
+// acquire(). From these the detector builds the wait-for graph:
+//   philosopher P -> philosopher Q  when P waits for a fork held by Q
+// A cycle in this graph that persists without any progress is a deadlock.
+// Optionally a run that makes no progress at all for a given time window is
+// reported too (e.g. algorithms that poll fork.state directly).
+//
+// On detection the detector calls log(null, 'DEADLOCK', forks, { cycle, reason }),
+// interrupts every fork (so philosophers stuck in acquire() reject) and rejects
+// the promise returned by watch() with a DeadlockError.
+
+const { RealClock } = require('./clock');
+
+class DeadlockError extends Error {
+    constructor(message, report) {
+        super(message);
+        this.name = 'DeadlockError';
+        this.report = report;
+    }
+}
+
+class DeadlockDetector {
+    // options:
+    //   interval       - time between checks in ms (default 100)
+    //   progressWindow - with progress: report a stall after this many ms without progress (default: off)
+    //   progress       - function returning a counter that grows while the run makes progress
+    //   clock          - clock used for the check interval (default RealClock)
+    //   log            - function(philId, event, forks, extra) used to log the DEADLOCK event
+    constructor(forks, options = {}) {
+        this.forks = forks;
+        this.interval = options.interval || 100;
+        this.progressWindow = options.progressWindow || null;
+        this.progress = options.progress || null;
+        this.clock = options.clock || new RealClock();
+        this.log = options.log || null;
+        this.lastProgress = null;
+        this.lastProgressTime = null;
+        this.lastCycle = null;
+    }
+
+    // Wait-for graph as a Map: philosopher -> [{ fork, holder }]
+    waitForGraph() {
+        const graph = new Map();
+        for (const fork of this.forks) {
+            if (fork.holder === null) continue;
+            for (const waiter of fork.waiting) {
+                if (waiter === fork.holder) continue;
+                if (!graph.has(waiter)) graph.set(waiter, []);
+                graph.get(waiter).push({ fork: fork.id, holder: fork.holder });
+            }
+        }
+        return graph;
+    }
+
+    // Find a cycle in the wait-for graph; returns [{ phil, fork, holder }] or null
+    findCycle() {
+        const graph = this.waitForGraph();
+        const visited = new Set();
+
+        for (const start of graph.keys()) {
+            if (visited.has(start)) continue;
+            const path = [];
+            const onPath = new Map();    // philosopher -> index in path
+
+            const visit = (phil) => {
+                if (onPath.has(phil)) return path.slice(onPath.get(phil));
+                if (visited.has(phil)) return null;
+                visited.add(phil);
+                onPath.set(phil, path.length);
+                for (const edge of graph.get(phil) || []) {
+                    path.push({ phil, fork: edge.fork, holder: edge.holder });
+                    const cycle = visit(edge.holder);
+                    if (cycle) return cycle;
+                    path.pop();
+                }
+                onPath.delete(phil);
+                return null;
+            };
+
+            const cycle = visit(start);
+            if (cycle) {
+                // Start the reported cycle at its lowest philosopher id
+                const first = cycle.reduce((min, e, i) => e.phil < cycle[min].phil ? i : min, 0);
+                return [...cycle.slice(first), ...cycle.slice(0, first)];
+            }
+        }
+        return null;
+    }
+
+    // Run one check; returns a report when a deadlock is detected, otherwise null
+    check() {
+        const now = this.clock.now();
+        let progressed = true;
+        if (this.progress) {
+            const value = this.progress();
+            progressed = value !== this.lastProgress;
+            if (progressed) {
+                this.lastProgress = value;
+                this.lastProgressTime = now;
+            }
+        }
+
+        const cycle = this.findCycle();
+        const cycleKey = cycle ? cycle.map(e => `${e.phil}:${e.fork}`).sort().join(',') : null;
+        const cyclePersisted = cycle !== null && cycleKey === this.lastCycle;
+        this.lastCycle = cycleKey;
+
+        // Without a progress counter, a cycle must be seen by two consecutive checks
+        if (cycle && (this.progress ? !progressed : cyclePersisted)) {
+            return { reason: 'cycle', cycle, t: now };
+        }
+        if (this.progress && this.progressWindow &&
+            now - this.lastProgressTime >= this.progressWindow) {
+            return { reason: 'no-progress', cycle, t: now };
+        }
+        return null;
+    }
+
+    describe(report) {
+        if (report.cycle) {
+            const edges = report.cycle.map(e =>
+                `philosopher ${e.phil} waits for fork ${e.fork} held by philosopher ${e.holder}`);
+            return `Deadlock detected: ${edges.join(', ')}`;
+        }
+        return `Deadlock detected: no progress for ${this.progressWindow}ms`;
+    }
+
+    // Resolve when all promises resolve; reject with DeadlockError on deadlock
+    watch(promises) {
+        let finished = false;
+        const all = Promise.all(promises).finally(() => { finished = true; });
+
+        const watchdog = (async () => {
+            this.lastProgressTime = this.clock.now();
+            while (!finished) {
+                await this.clock.sleep(this.interval);
+                if (finished) return;
+
+                const report = this.check();
+                if (report) {
+                    const error = new DeadlockError(this.describe(report), report);
+                    if (this.log) {
+                        const forks = report.cycle ? report.cycle.map(e => e.fork) : [];
+                        const cycle = report.cycle ? report.cycle.map(e => e.phil) : [];
+                        this.log(null, 'DEADLOCK', forks, { reason: report.reason, cycle });
+                    }
+                    this.forks.forEach(fork => fork.interrupt(error));
+                    throw error;
+                }
+            }
+        })();
+
+        return Promise.race([all, watchdog.then(() => all)]);
+    }
+}
+
+module.exports = {
+    DeadlockDetector,
+    DeadlockError
+};
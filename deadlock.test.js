@@ -0,0 +1,113 @@
+const { DeadlockDetector, DeadlockError } = require('./deadlock');
+const { Fork, Philosopher, getEventLog, clearEventLog, startRun, watchDeadlocks, delay } = require('./philosophers');
+
+describe('Wait-for graph', () => {
+    let forks;
+
+    beforeEach(() => {
+        forks = Array.from({ length: 3 }, (_, i) => new Fork(i));
+    });
+
+    // Philosopher `holder` holds fork `id` and the given philosophers wait for it
+    function setFork(id, holder, waiting = []) {
+        forks[id].state = 1;
+        forks[id].holder = holder;
+        waiting.forEach(w => forks[id].waiting.add(w));
+    }
+
+    test('has an edge from each waiter to the holder', () => {
+        setFork(0, 0, [2]);
+        const graph = new DeadlockDetector(forks).waitForGraph();
+        expect(graph.get(2)).toEqual([{ fork: 0, holder: 0 }]);
+        expect(graph.has(0)).toBe(false);
+    });
+
+    test('finds no cycle in a chain of waiters', () => {
+        setFork(0, 0, [1]);
+        setFork(1, 1, [2]);
+        expect(new DeadlockDetector(forks).findCycle()).toBeNull();
+    });
+
+    test('finds a cycle starting at the lowest philosopher', () => {
+        setFork(0, 0, [2]);
+        setFork(1, 1, [0]);
+        setFork(2, 2, [1]);
+        expect(new DeadlockDetector(forks).findCycle()).toEqual([
+            { phil: 0, fork: 1, holder: 1 },
+            { phil: 1, fork: 2, holder: 2 },
+            { phil: 2, fork: 0, holder: 0 }
+        ]);
+    });
+
+    test('reports a cycle only once it persists', () => {
+        setFork(0, 0, [1]);
+        setFork(1, 1, [0]);
+        const detector = new DeadlockDetector(forks);
+        expect(detector.check()).toBeNull();
+        expect(detector.check()).toMatchObject({ reason: 'cycle' });
+    });
+
+    test('does not report a cycle while the run makes progress', () => {
+        setFork(0, 0, [1]);
+        setFork(1, 1, [0]);
+        let counter = 0;
+        const detector = new DeadlockDetector(forks, { progress: () => counter++ });
+        expect(detector.check()).toBeNull();
+        expect(detector.check()).toBeNull();
+    });
+});
+
+describe('Deadlock watchdog', () => {
+    beforeEach(() => {
+        clearEventLog();
+    });
+
+    test('naive algorithm deadlock is detected and reported', async () => {
+        startRun('naive');
+        const forks = Array.from({ length: 5 }, (_, i) => new Fork(i));
+        const philosophers = Array.from({ length: 5 }, (_, i) => new Philosopher(i, forks));
+        const starts = philosophers.map(p => p.startNaive(10));
+
+        await expect(watchDeadlocks(forks, starts, { interval: 20 })).rejects.toThrow(DeadlockError);
+
+        const deadlock = getEventLog().find(e => e.event === 'DEADLOCK');
+        expect(deadlock).toMatchObject({ phil: null, reason: 'cycle', cycle: [0, 1, 2, 3, 4] });
+        expect(deadlock.forks).toEqual([1, 2, 3, 4, 0]);
+
+        // The start* promises of the stuck philosophers reject as well
+        const outcomes = await Promise.allSettled(starts);
+        expect(outcomes.every(o => o.status === 'rejected')).toBe(true);
+    }, 10000);
+
+    test('a run without deadlock resolves normally', async () => {
+        startRun('ordered');
+        const forks = Array.from({ length: 3 }, (_, i) => new Fork(i));
+
+        // Resource ordering: always take the lower-numbered fork first
+        const eat = async (id) => {
+            const [first, second] = [id, (id + 1) % 3].sort((a, b) => a - b);
+            for (let i = 0; i < 5; i++) {
+                await forks[first].acquire(id);
+                await forks[second].acquire(id);
+                await delay(1);
+                forks[first].release(id);
+                forks[second].release(id);
+            }
+        };
+
+        await watchDeadlocks(forks, [0, 1, 2].map(eat), { interval: 20 });
+        expect(getEventLog().some(e => e.event === 'DEADLOCK')).toBe(false);
+    }, 10000);
+
+    test('no progress for the configured window is reported', async () => {
+        startRun('stalled');
+        const forks = [new Fork(0)];
+        const never = new Promise(() => {});
+
+        const error = await watchDeadlocks(forks, [never], { interval: 10, progressWindow: 50 })
+            .catch(err => err);
+        expect(error).toBeInstanceOf(DeadlockError);
+        expect(error.report.reason).toBe('no-progress');
+        expect(error.message).toBe('Deadlock detected: no progress for 50ms');
+    });
+});
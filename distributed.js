@@ -0,0 +1,561 @@
+// Multi-process mode: a fork server and one child process per philosopher
+//
+// The process running the experiment is the fork server: it owns the Forks (and the
+// Conductor) of the run and listens on a local socket, TCP on 127.0.0.1 or an IPC socket
+// (a Unix domain socket, a named pipe on Windows). Every philosopher runs in a child
+// process (child_process.fork) whose RemoteForks and RemoteConductor send its requests
+// to the server:
+//   acquire  { fork, timeout } - Fork.acquire() on the server, answered once the fork is taken
+//   release  { fork }          - Fork.release()
+//   try-both { forks }         - take all the listed forks if all are free (all-or-nothing);
+//                                answered with { taken }
+//   cancel   { ref }           - stop the pending acquire `ref` (its AbortSignal was aborted)
+//   seat / leave               - Conductor.requestSeat() / leaveSeat()
+//   log      { entry }         - an event the philosopher logged (THINK_START, EAT_START, ...)
+//   ping                       - answered right away, so after the messages sent before it
+//                                have arrived and the release, leave and log requests among
+//                                them are handled (an acquire or seat may still be waiting)
+//   done / error { message }   - the philosopher finished all its meals / threw
+// Messages are JSON lines with the philosopher in `phil`; requests with an `id` are
+// answered with { id, ok: true } or { id, error: { name, message } } (a TimeoutError
+// arrives as a TimeoutError). A line that is not JSON closes its connection; the server
+// reports it as the philosopher's error and keeps serving the others.
+//
+// Latency injection: every message waits a sample of options.latency (ms or a
+// distribution such as 'uniform:1:5', see distributions.js) before it is sent, in both
+// directions; the messages of one connection stay in order.
+//
+// The server logs every event of the run: the fork events (TRY, ACQUIRE, RELEASE) and
+// conductor events when it handles the requests, the philosophers' own events when they
+// arrive. So the log has the same JSONL format as the other modes, in an order consistent
+// with the fork ownership; `t` is the server's time, so with latency the events of a
+// philosopher are logged up to one latency late. The server watches its forks for
+// deadlocks as in a single-process run (see deadlock.js).
+//
+// Not supported: the virtual clock, crashes and leases, and algorithms reading fork state
+// or sharing other objects (simultaneous, chandy-misra, tanenbaum; see `distributed` in
+// algorithms.js). A philosopher process can take forks all-or-nothing with
+// fork.client.tryBoth(id, forkIds) instead of setting fork.state.
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { fork: forkProcess } = require('child_process');
+const { Fork, Philosopher, Conductor, TimeoutError, startRun, getDefaultRun, watchDeadlocks } = require('./philosophers');
+const { Run } = require('./run');
+const { Topology } = require('./topology');
+const { RealClock, createRandom } = require('./clock');
+const { createDistribution } = require('./distributions');
+const { getAlgorithm } = require('./algorithms');
+
+const TRANSPORTS = ['tcp', 'ipc'];
+
+// Fields of every log entry (see Run.log()); the others are extra fields of the event
+const ENTRY_FIELDS = ['runId', 'algorithm', 't', 'phil', 'event', 'forks'];
+
+let socketCount = 0;
+
+// Address of a new IPC socket of this process
+function ipcPath() {
+    const name = `philosophers-${process.pid}-${socketCount++}`;
+    return process.platform === 'win32' ? `\\\\.\\pipe\\${name}` : path.join(os.tmpdir(), `${name}.sock`);
+}
+
+// Error of a failed request, rebuilt from { name, message }
+function remoteError({ name, message }) {
+    if (name === 'TimeoutError') {
+        return new TimeoutError(message);
+    }
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+// Error for reading the state of a RemoteFork
+function onServer(forkId) {
+    return new Error(`Fork ${forkId} is on the fork server; use acquire(), release() or client.tryBoth()`);
+}
+
+// JSON lines over a socket; every outgoing message waits a latency sample (see above)
+class Channel {
+    // options: latency (ms or distribution), random (for the latency samples)
+    constructor(socket, options = {}) {
+        this.socket = socket;
+        this.latency = options.latency !== undefined && options.latency !== null ? createDistribution(options.latency) : null;
+        this.random = options.random || Math.random;
+        this.lastSend = 0;  // time the last delayed message is sent
+        this.buffer = '';
+        this.handlers = [];
+        this.error = null;  // why receive() closed the connection
+        socket.setEncoding('utf8');
+        socket.setNoDelay(true);  // small messages, sent right away
+        socket.on('data', chunk => this.receive(chunk));
+    }
+
+    onMessage(handler) {
+        this.handlers.push(handler);
+    }
+
+    // Hand every complete line to the handlers; an invalid line closes the connection
+    receive(chunk) {
+        if (this.error) return;
+        this.buffer += chunk;
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline);
+            this.buffer = this.buffer.slice(newline + 1);
+            if (line) {
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch (err) {
+                    this.error = new Error(`Invalid message: ${line}`);
+                    this.buffer = '';
+                    this.socket.destroy();
+                    return;
+                }
+                this.handlers.forEach(handler => handler(message));
+            }
+        }
+    }
+
+    send(message) {
+        const line = JSON.stringify(message) + '\n';
+        if (!this.latency) {
+            this.write(line);
+            return;
+        }
+        const now = Date.now();
+        this.lastSend = Math.max(now + this.latency(this.random), this.lastSend);
+        setTimeout(() => this.write(line), this.lastSend - now);
+    }
+
+    write(line) {
+        if (!this.socket.destroyed) this.socket.write(line);
+    }
+
+    // End the connection once the delayed messages are sent
+    close() {
+        return new Promise(resolve => {
+            setTimeout(() => this.socket.end(resolve), Math.max(0, this.lastSend - Date.now()));
+        });
+    }
+}
+
+// Fork server: owns the forks (and the conductor) of one run. Options:
+//   conductor - Conductor for seat requests (default: none)
+//   transport - 'tcp' (default) or 'ipc'
+//   latency, random - see Channel
+class ForkServer {
+    constructor(forks, options = {}) {
+        if (options.transport && !TRANSPORTS.includes(options.transport)) {
+            throw new Error(`Unknown transport: ${options.transport} (expected ${TRANSPORTS.join(', ')})`);
+        }
+        this.forks = forks;
+        this.run = forks.length > 0 ? forks[0].run : getDefaultRun();
+        this.conductor = options.conductor || null;
+        this.options = options;
+        this.outcomes = new Map();  // philosopher -> { promise, resolve, reject }
+        this.sockets = new Set();
+        this.address = null;
+        this.server = net.createServer(socket => this.connect(socket));
+    }
+
+    // Resolves with the address to connect to: { host, port } or { path }
+    listen() {
+        const address = this.options.transport === 'ipc' ? { path: ipcPath() } : { host: '127.0.0.1', port: 0 };
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(address, () => {
+                this.address = address.path ? address : { host: address.host, port: this.server.address().port };
+                resolve(this.address);
+            });
+        });
+    }
+
+    close() {
+        this.sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => this.server.close(() => {
+            if (this.address && this.address.path && process.platform !== 'win32') {
+                fs.rmSync(this.address.path, { force: true });
+            }
+            resolve();
+        }));
+    }
+
+    // Settles when philosopher `id` reports done (resolves) or an error (rejects)
+    finished(id) {
+        return this.outcome(id).promise;
+    }
+
+    outcome(id) {
+        if (!this.outcomes.has(id)) {
+            const outcome = { settled: false };
+            outcome.promise = new Promise((resolve, reject) => {
+                outcome.resolve = () => {
+                    outcome.settled = true;
+                    resolve();
+                };
+                outcome.reject = error => {
+                    outcome.settled = true;
+                    reject(error);
+                };
+            });
+            outcome.promise.catch(() => {});  // reported to whoever waits for it
+            this.outcomes.set(id, outcome);
+        }
+        return this.outcomes.get(id);
+    }
+
+    connect(socket) {
+        this.sockets.add(socket);
+        const channel = new Channel(socket, this.options);
+        const connection = { phil: null, pending: new Map() };  // request id -> AbortController
+        channel.onMessage(message => {
+            connection.phil = message.phil;
+            this.handle(channel, connection, message);
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            connection.pending.forEach(controller => controller.abort(new Error('Disconnected')));
+            if (connection.phil !== null && !this.outcome(connection.phil).settled) {
+                const reason = channel.error ? `: ${channel.error.message}` : '';
+                this.outcome(connection.phil).reject(new Error(`Philosopher ${connection.phil} disconnected${reason}`));
+            }
+        });
+    }
+
+    async handle(channel, connection, message) {
+        const { id, type, phil } = message;
+        const reply = answer => {
+            if (id !== undefined) channel.send({ id, ...answer });
+        };
+        try {
+            switch (type) {
+                case 'acquire': {
+                    const controller = new AbortController();
+                    connection.pending.set(id, controller);
+                    try {
+                        await this.forks[message.fork].acquire(phil, { timeout: message.timeout, signal: controller.signal });
+                    } finally {
+                        connection.pending.delete(id);
+                    }
+                    break;
+                }
+                case 'release':
+                    this.forks[message.fork].release(phil);
+                    break;
+                case 'try-both':
+                    reply({ ok: true, taken: this.tryBoth(phil, message.forks) });
+                    return;
+                case 'cancel':
+                    if (connection.pending.has(message.ref)) connection.pending.get(message.ref).abort(new Error('Cancelled'));
+                    break;
+                case 'seat':
+                    await this.conductor.requestSeat(phil);
+                    break;
+                case 'leave':
+                    this.conductor.leaveSeat(phil);
+                    break;
+                case 'log': {
+                    // Logged again, stamped with this run and the server's time
+                    const { event, forks } = message.entry;
+                    const extra = Object.fromEntries(Object.entries(message.entry).filter(([key]) => !ENTRY_FIELDS.includes(key)));
+                    this.run.log(phil, event, forks, extra);
+                    break;
+                }
+                case 'ping':
+                    break;
+                case 'done':
+                    this.outcome(phil).resolve();
+                    break;
+                case 'error':
+                    this.outcome(phil).reject(new Error(`Philosopher ${phil}: ${message.message}`));
+                    break;
+                default:
+                    throw new Error(`Unknown request: ${type}`);
+            }
+            reply({ ok: true });
+        } catch (err) {
+            reply({ error: { name: err.name, message: err.message } });
+        }
+    }
+
+    // Take all the forks for the philosopher if all are free; returns whether it did
+    tryBoth(phil, forkIds) {
+        const forks = forkIds.map(f => this.forks[f]);
+        if (forks.some(fork => fork.state !== 0)) {
+            return false;
+        }
+        forks.forEach(fork => {
+            fork.state = 1;
+            fork.holder = phil;
+        });
+        this.run.log(phil, 'ACQUIRE', forkIds);
+        return true;
+    }
+}
+
+// Philosopher side of the fork server: sends the requests of its RemoteForks and
+// RemoteConductor, and its events
+class ForkClient {
+    // options: latency, random (see Channel)
+    constructor(socket, options = {}) {
+        this.channel = new Channel(socket, options);
+        this.requests = new Map();  // id -> { resolve, reject }
+        this.nextId = 0;
+        this.failure = null;        // error of a request nobody waited for
+        this.channel.onMessage(message => this.answer(message));
+        socket.on('close', () => {
+            const reason = this.channel.error ? `: ${this.channel.error.message}` : '';
+            this.requests.forEach(({ reject }) => reject(new Error(`Fork server disconnected${reason}`)));
+        });
+    }
+
+    // Resolves with a client connected to the given address (see ForkServer.listen())
+    static connect(address, options = {}) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(address, () => {
+                socket.off('error', reject);
+                resolve(new ForkClient(socket, options));
+            });
+            socket.once('error', reject);
+        });
+    }
+
+    // Send a request for philosopher `phil`; resolves with the answer
+    request(type, phil, fields = {}) {
+        if (this.failure) {
+            return Promise.reject(this.failure);
+        }
+        const id = this.nextId++;
+        const answered = new Promise((resolve, reject) => this.requests.set(id, { resolve, reject }));
+        this.channel.send({ id, type, phil, ...fields });
+        return answered;
+    }
+
+    // Send a request without waiting for it; if it fails, the next request fails
+    post(type, phil, fields = {}) {
+        this.request(type, phil, fields).catch(err => {
+            if (!this.failure) this.failure = err;
+        });
+    }
+
+    // Send a message that is not answered
+    notify(type, phil, fields = {}) {
+        this.channel.send({ type, phil, ...fields });
+    }
+
+    answer(message) {
+        const request = this.requests.get(message.id);
+        if (!request) return;
+        this.requests.delete(message.id);
+        if (message.error) {
+            request.reject(remoteError(message.error));
+        } else {
+            request.resolve(message);
+        }
+    }
+
+    // Resolves once the server has received everything sent before and handled the
+    // requests sent with post(); rejects if one of them failed
+    async flush() {
+        await this.request('ping', null);
+        if (this.failure) {
+            throw this.failure;
+        }
+    }
+
+    // Take all the forks at once if all are free; resolves with whether it did
+    async tryBoth(phil, forkIds) {
+        return (await this.request('try-both', phil, { forks: forkIds })).taken;
+    }
+
+    log(entry) {
+        this.notify('log', entry.phil, { entry });
+    }
+
+    close() {
+        return this.channel.close();
+    }
+}
+
+// Fork of the fork server; acquire() and release() as for Fork
+class RemoteFork {
+    // run - Run of the philosopher (see Philosopher)
+    constructor(id, client, run) {
+        this.id = id;
+        this.client = client;
+        this.run = run;
+    }
+
+    // Rejects with a TimeoutError after options.timeout ms, or with the reason of
+    // options.signal once it is aborted (a fork taken meanwhile is put back)
+    acquire(requesterId, { signal, timeout } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        const ref = this.client.nextId;
+        const acquired = this.client.request('acquire', requesterId, { fork: this.id, timeout });
+        if (!signal) {
+            return acquired.then(() => {});
+        }
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                this.client.notify('cancel', requesterId, { ref });
+                acquired.then(() => this.release(requesterId), () => {});
+                reject(signal.reason);
+            };
+            signal.addEventListener('abort', abort, { once: true });
+            acquired.then(() => {
+                if (signal.aborted) return;
+                signal.removeEventListener('abort', abort);
+                resolve();
+            }, err => {
+                signal.removeEventListener('abort', abort);
+                reject(err);
+            });
+        });
+    }
+
+    release(requesterId) {
+        this.client.post('release', requesterId, { fork: this.id });
+    }
+
+    // Only the fork server knows who holds the fork
+    get state() {
+        throw onServer(this.id);
+    }
+
+    get holder() {
+        throw onServer(this.id);
+    }
+}
+
+// Conductor of the fork server; requestSeat(id) and leaveSeat(id) as for Conductor
+class RemoteConductor {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async requestSeat(philId) {
+        await this.client.request('seat', philId);
+    }
+
+    leaveSeat(philId) {
+        this.client.post('leave', philId);
+    }
+}
+
+// Run one algorithm with a fork server in this process and every philosopher in its own
+// child process. Options:
+//   topology       - Topology (required)
+//   meals          - meals per philosopher (default 10)
+//   transport      - 'tcp' (default) or 'ipc'
+//   latency        - message latency, ms or a distribution (default: none)
+//   strategy       - fork acquisition strategy on the server (default: BEB, see Fork)
+//   seats          - conductor seats (default: philosophers - 1)
+//   conductorPolicy - admission policy of the conductor (see admission.js)
+//   Conductor      - conductor class (default: Conductor)
+//   eatTime, thinkTime - see Philosopher
+//   seed           - seed for the run ID, the latency samples and the philosophers' random
+//                    numbers (philosopher i uses seed + i)
+//   preload        - modules each philosopher process requires first (e.g. modules
+//                    registering algorithms; this process must have loaded them too)
+//   progressWindow, interval - deadlock detector options (see deadlock.js)
+// Resolves with the run ID; rejects with a DeadlockError when the run deadlocks.
+async function runDistributed(algorithm, options = {}) {
+    if (!getAlgorithm(algorithm).distributed) {
+        throw new Error(`Algorithm ${algorithm} has no distributed mode`);
+    }
+    if ([options.eatTime, options.thinkTime].flat().some(spec => typeof spec === 'function')) {
+        throw new Error('Duration functions cannot be passed to philosopher processes; use a distribution name');
+    }
+    const topology = options.topology;
+    const seed = options.seed;
+
+    const clock = new RealClock();
+    const startTime = clock.now();
+    const runId = startRun(algorithm, { seed, clock, startTime });
+    const forks = Array.from({ length: topology.forkCount }, (_, f) => new Fork(f, { strategy: options.strategy }));
+    const seats = options.seats !== undefined ? options.seats : topology.n - 1;
+    const conductor = new (options.Conductor || Conductor)(seats, { policy: options.conductorPolicy });
+    const server = new ForkServer(forks, {
+        conductor,
+        transport: options.transport,
+        latency: options.latency,
+        random: seed !== undefined ? createRandom(seed) : Math.random
+    });
+    const address = await server.listen();
+
+    const children = [];
+    const finished = Array.from({ length: topology.n }, (_, id) => {
+        const child = forkProcess(__filename, ['--philosopher', JSON.stringify({
+            id, algorithm, runId, startTime, address,
+            meals: options.meals || 10,
+            timing: { eatTime: options.eatTime, thinkTime: options.thinkTime },
+            topology: { name: topology.name, forksOf: topology.forksOf },
+            latency: options.latency,
+            seed: seed !== undefined ? seed + id : undefined,
+            preload: (options.preload || []).map(module => path.resolve(module))
+        })]);
+        children.push(child);
+        child.on('exit', code => {
+            if (code) server.outcome(id).reject(new Error(`Philosopher ${id} exited with code ${code}`));
+        });
+        return server.finished(id);
+    });
+
+    try {
+        await watchDeadlocks(forks, finished, { progressWindow: options.progressWindow, interval: options.interval });
+    } finally {
+        finished.forEach(promise => promise.catch(() => {}));
+        children.forEach(child => child.kill());
+        await server.close();
+    }
+    return runId;
+}
+
+// Philosopher process: run one philosopher against the fork server
+async function runPhilosopherProcess({ id, algorithm, runId, startTime, address, meals, timing, topology, latency, seed, preload }) {
+    preload.forEach(module => require(module));
+
+    const client = await ForkClient.connect(address, {
+        latency,
+        random: seed !== undefined ? createRandom(seed) : Math.random
+    });
+    const run = new Run({ algorithm, runId, startTime, seed, sinks: [] });
+    run.onLog(entry => client.log(entry));
+
+    const layout = new Topology(topology.name, topology.forksOf);
+    const forks = Array.from({ length: layout.forkCount }, (_, f) => new RemoteFork(f, client, run));
+    const philosopher = new Philosopher(id, forks, layout, timing);
+    try {
+        // Algorithms start as registered (see algorithms.js), sharing the server's conductor
+        await getAlgorithm(algorithm).start(philosopher, meals, new RemoteConductor(client));
+        await client.flush();
+        client.notify('done', id);
+    } catch (err) {
+        client.notify('error', id, { message: err.message });
+    }
+    await client.close();
+}
+
+if (require.main === module && process.argv[2] === '--philosopher') {
+    runPhilosopherProcess(JSON.parse(process.argv[3])).catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    TRANSPORTS,
+    Channel,
+    ForkServer,
+    ForkClient,
+    RemoteFork,
+    RemoteConductor,
+    runDistributed
+};
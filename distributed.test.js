@@ -0,0 +1,148 @@
+const net = require('net');
+const { ForkServer, ForkClient, RemoteFork, RemoteConductor, runDistributed } = require('./distributed');
+const { Fork, Conductor, TimeoutError, getEventLog, clearEventLog } = require('./philosophers');
+const { Run } = require('./run');
+const { MemorySink } = require('./sinks');
+const { checkRun } = require('./check-forks');
+const { analyzeRun } = require('./analyze-log');
+const { ring } = require('./topology');
+
+// A fork server with `count` forks (and a conductor with options.seats seats) on a run of
+// its own, and a client connected to it
+async function serve(count, options = {}) {
+    const run = new Run({ algorithm: 'test', sinks: [new MemorySink()] });
+    const forks = Array.from({ length: count }, (_, i) => new Fork(i, { run }));
+    const conductor = options.seats ? new Conductor(options.seats, { run }) : null;
+    const server = new ForkServer(forks, { ...options, conductor });
+    const client = await ForkClient.connect(await server.listen(), options);
+    const remote = forks.map(fork => new RemoteFork(fork.id, client, run));
+    return { run, forks, server, client, remote };
+}
+
+// Wait until the server has handled everything the client sent before
+const roundTrip = client => client.flush();
+
+describe('Fork server', () => {
+    let table;
+
+    afterEach(async () => {
+        await table.client.close();
+        await table.server.close();
+    });
+
+    test('forks are taken and released on the server', async () => {
+        table = await serve(2);
+        const { run, forks, remote, client } = table;
+        await remote[1].acquire(1);
+        expect([forks[1].state, forks[1].holder]).toEqual([1, 1]);
+        remote[1].release(1);
+        await roundTrip(client);
+        expect(forks[1].state).toBe(0);
+        expect(run.events.map(e => `${e.phil}:${e.event}:${e.forks}`)).toEqual(['1:TRY:1', '1:ACQUIRE:1', '1:RELEASE:1']);
+        expect(() => remote[0].state).toThrow('Fork 0 is on the fork server');
+    });
+
+    test('a timeout on the server rejects with a TimeoutError', async () => {
+        table = await serve(1);
+        await table.forks[0].acquire(0);
+        await expect(table.remote[0].acquire(1, { timeout: 20 })).rejects.toThrow(TimeoutError);
+        expect(table.forks[0].waiting.size).toBe(0);
+    });
+
+    test('an aborted signal cancels the acquisition', async () => {
+        table = await serve(1);
+        await table.forks[0].acquire(0);
+        const controller = new AbortController();
+        const acquired = table.remote[0].acquire(1, { signal: controller.signal });
+        setTimeout(() => controller.abort(new Error('not hungry any more')), 10);
+        await expect(acquired).rejects.toThrow('not hungry any more');
+        await roundTrip(table.client);
+        expect(table.forks[0].waiting.size).toBe(0);
+    });
+
+    test('try-both takes all forks or none', async () => {
+        table = await serve(3);
+        const { forks, client, run } = table;
+        await forks[1].acquire(2);
+        expect(await client.tryBoth(0, [0, 1])).toBe(false);
+        expect(forks[0].state).toBe(0);
+        expect(await client.tryBoth(0, [0, 2])).toBe(true);
+        expect([forks[0].holder, forks[2].holder]).toEqual([0, 0]);
+        expect(run.events.pop()).toMatchObject({ phil: 0, event: 'ACQUIRE', forks: [0, 2] });
+    });
+
+    test('a failed release fails the next request', async () => {
+        table = await serve(1);
+        table.remote[0].release(3);
+        await roundTrip(table.client).catch(() => {});
+        await expect(table.remote[0].acquire(3)).rejects.toThrow('Philosopher 3 cannot release fork held by null');
+    });
+
+    test('an invalid message closes only its connection', async () => {
+        table = await serve(1);
+        const finished = table.server.finished(7);
+        const socket = net.connect(table.server.address);
+        socket.write(JSON.stringify({ type: 'log', phil: 7, entry: { event: 'THINK_START', forks: [] } }) + '\n');
+        socket.write('not json\n');
+        await expect(finished).rejects.toThrow('Philosopher 7 disconnected: Invalid message: not json');
+
+        await table.remote[0].acquire(1);
+        expect(table.forks[0].holder).toBe(1);
+    });
+
+    test('the remote conductor hands out the server conductor seats', async () => {
+        table = await serve(0, { seats: 1 });
+        const conductor = new RemoteConductor(table.client);
+        await conductor.requestSeat(0);
+        const seated = conductor.requestSeat(1);
+        conductor.leaveSeat(0);
+        await seated;
+        expect(table.run.events.map(e => `${e.phil}:${e.event}`)).toEqual(
+            ['0:SEAT_REQUEST', '0:SEAT_GRANTED', '1:SEAT_REQUEST', '0:SEAT_LEFT', '1:SEAT_GRANTED']);
+    });
+
+    test('events of the philosophers are logged with the server run and time', async () => {
+        table = await serve(1);
+        table.client.log({ runId: 'other', algorithm: 'other', t: 9999, phil: 0, event: 'EAT_START', forks: [0], note: 'x' });
+        await roundTrip(table.client);
+        const [entry] = table.run.events;
+        expect(entry).toMatchObject({ runId: table.run.runId, algorithm: 'test', phil: 0, event: 'EAT_START', forks: [0], note: 'x' });
+        expect(entry.t).toBeLessThan(9999);
+    });
+
+    test('latency delays the messages but keeps their order', async () => {
+        table = await serve(1, { transport: 'ipc', latency: 'uniform:5:15' });
+        const start = Date.now();
+        for (let i = 0; i < 5; i++) {
+            table.client.log({ phil: 0, event: 'THINK_START', forks: [], i });
+        }
+        await roundTrip(table.client);
+        expect(Date.now() - start).toBeGreaterThanOrEqual(10);
+        expect(table.run.events.map(e => e.i)).toEqual([0, 1, 2, 3, 4]);
+    });
+});
+
+describe('Distributed runs', () => {
+    beforeEach(() => {
+        clearEventLog();
+    });
+
+    test.each([
+        ['tcp', undefined],
+        ['ipc', 'uniform:0:2']
+    ])('philosopher processes eat over %s (latency %s)', async (transport, latency) => {
+        const runId = await runDistributed('hierarchy', { topology: ring(3), meals: 5, transport, latency, seed: 1 });
+
+        const log = getEventLog().filter(e => e.runId === runId);
+        const metrics = analyzeRun(log);
+        expect(metrics.mealsPerPhilosopher).toEqual([5, 5, 5]);
+        expect(metrics.mutualExclusionViolations).toBe(0);
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
+
+    test('only runs algorithms with a distributed mode', async () => {
+        await expect(runDistributed('simultaneous', { topology: ring(3) }))
+            .rejects.toThrow('Algorithm simultaneous has no distributed mode');
+        expect(() => new ForkServer([], { transport: 'udp' })).toThrow('Unknown transport: udp (expected tcp, ipc)');
+    });
+});
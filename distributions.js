@@ -0,0 +1,92 @@
+// Duration distributions for thinking and eating
+//
+// A distribution is a function (random) => ms, where random() returns floats in
+// [0, 1) like Math.random (philosophers pass the seeded generator of their run,
+// so sampled durations are reproducible).
+//
+//   constant(ms)          - always ms
+//   uniform(min, max)     - uniformly distributed in [min, max)
+//   exponential(mean)     - exponentially distributed with the given mean
+//
+// createDistribution(spec) accepts a number (constant), a distribution function
+// (custom), or a string: "3", "constant:3", "uniform:1:5", "exponential:2" or "exp:2".
+// It throws "Invalid duration distribution" for a wrong number of parameters or a
+// negative, non-finite or empty value.
+// scaleDistribution(spec, factor) gives the spec of durations `factor` times as long.
+
+function constant(ms) {
+    return () => ms;
+}
+
+function uniform(min, max) {
+    if (!(max >= min)) {
+        throw new Error(`Uniform distribution needs min <= max, got ${min} and ${max}`);
+    }
+    return (random) => min + random() * (max - min);
+}
+
+function exponential(mean) {
+    return (random) => mean * Math.log(1 / (1 - random()));
+}
+
+// Number of parameters of each distribution type
+const ARITY = { constant: 1, uniform: 2, exp: 1, exponential: 1 };
+
+function createDistribution(spec) {
+    if (typeof spec === 'function') {
+        return spec;
+    }
+    const invalid = () => new Error(`Invalid duration distribution: ${spec}`);
+    const valid = value => String(value).trim() !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+    if (typeof spec === 'number') {
+        if (!valid(spec)) throw invalid();
+        return constant(spec);
+    }
+
+    const [type, ...args] = String(spec).split(':');
+    if (!args.every(valid)) {
+        throw invalid();
+    }
+    const numbers = args.map(Number);
+    if (ARITY[type] !== undefined && numbers.length !== ARITY[type]) {
+        throw invalid();
+    }
+    switch (type) {
+        case 'constant':
+            return constant(numbers[0]);
+        case 'uniform':
+            return uniform(numbers[0], numbers[1]);
+        case 'exp':
+        case 'exponential':
+            return exponential(numbers[0]);
+    }
+    if (args.length === 0 && valid(type)) {
+        return constant(Number(type));
+    }
+    throw invalid();
+}
+
+// Spec of the same distribution with every duration multiplied by factor
+// (a spec again, not a function, unless spec is a function)
+function scaleDistribution(spec, factor) {
+    if (typeof spec === 'function') {
+        return (random) => factor * spec(random);
+    }
+    if (typeof spec === 'number') {
+        return spec * factor;
+    }
+    createDistribution(spec);
+    const [type, ...args] = String(spec).split(':');
+    if (args.length === 0) {
+        return Number(type) * factor;
+    }
+    return [type, ...args.map(arg => Number(arg) * factor)].join(':');
+}
+
+module.exports = {
+    constant,
+    uniform,
+    exponential,
+    createDistribution,
+    scaleDistribution
+};
@@ -0,0 +1,59 @@
+const { constant, uniform, exponential, createDistribution, scaleDistribution } = require('./distributions');
+const { createRandom } = require('./clock');
+
+describe('Duration distributions', () => {
+    test('constant always returns the same duration', () => {
+        expect(constant(3)(Math.random)).toBe(3);
+    });
+
+    test('uniform scales random() to [min, max)', () => {
+        const sample = uniform(2, 6);
+        expect(sample(() => 0)).toBe(2);
+        expect(sample(() => 0.5)).toBe(4);
+        expect(() => uniform(5, 1)).toThrow('Uniform distribution needs min <= max, got 5 and 1');
+    });
+
+    test('exponential has the given mean', () => {
+        const sample = exponential(4);
+        const random = createRandom(7);
+        let sum = 0;
+        for (let i = 0; i < 20000; i++) sum += sample(random);
+        expect(sum / 20000).toBeCloseTo(4, 0);
+        expect(sample(() => 0)).toBe(0);
+    });
+
+    test('createDistribution parses numbers, names and functions', () => {
+        const half = () => 0.5;
+        expect(createDistribution(2)(half)).toBe(2);
+        expect(createDistribution('3')(half)).toBe(3);
+        expect(createDistribution('constant:4')(half)).toBe(4);
+        expect(createDistribution('uniform:0:10')(half)).toBe(5);
+        expect(createDistribution('exp:1')(half)).toBeCloseTo(Math.LN2);
+        expect(createDistribution('exponential:2')(half)).toBeCloseTo(2 * Math.LN2);
+
+        const custom = random => random() * 100;
+        expect(createDistribution(custom)).toBe(custom);
+    });
+
+    test('createDistribution rejects unknown specs', () => {
+        expect(() => createDistribution('normal:1:2')).toThrow('Invalid duration distribution: normal:1:2');
+        expect(() => createDistribution('uniform:a:b')).toThrow('Invalid duration distribution: uniform:a:b');
+    });
+
+    test('createDistribution rejects missing, extra, negative and non-finite parameters', () => {
+        for (const spec of ['exp:', 'constant:', 'uniform:5', 'uniform:1:2:3', 'exponential:1:2', '', ' ',
+            '-3', 'constant:-1', 'uniform:-2:1', 'exp:-2', 'Infinity', 'uniform:0:Infinity', -1, NaN]) {
+            expect(() => createDistribution(spec)).toThrow(`Invalid duration distribution: ${spec}`);
+        }
+        expect(createDistribution('uniform:0:0')(Math.random)).toBe(0);
+    });
+
+    test('scaleDistribution multiplies every duration', () => {
+        expect(scaleDistribution(2, 10)).toBe(20);
+        expect(scaleDistribution('3', 2)).toBe(6);
+        expect(scaleDistribution('uniform:1:5', 10)).toBe('uniform:10:50');
+        expect(scaleDistribution('exp:2', 0.5)).toBe('exp:1');
+        expect(scaleDistribution(random => random() * 4, 3)(() => 0.5)).toBe(6);
+        expect(() => scaleDistribution('normal:1', 2)).toThrow('Invalid duration distribution: normal:1');
+    });
+});
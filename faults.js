@@ -0,0 +1,97 @@
+// Fault injection: philosophers that crash at a chosen point
+//
+// A fault { phil, at, meals } crashes philosopher `phil` at point `at` once it has
+// eaten `meals` meals (default 0):
+//   after-meals  - when it gets hungry again (before its next meal)
+//   holding-fork - right after taking a fork with Fork.acquire(), while holding just that one
+//   mid-meal     - right after EAT_START (or DRINK_START)
+// The philosopher logs CRASH (with the forks it still holds and `at`) and its start*
+// promise rejects with a PhilosopherCrash. Run.watch() counts a crashed philosopher as
+// finished, but its forks (and conductor seat) stay taken unless they have a lease: a
+// live philosopher keeps renewing its leases, a crashed one doesn't, so its forks are
+// reclaimed with LEASE_EXPIRED (see Fork and Conductor).
+//
+// Faults are given to a run with startRun(name, { faults }) or new Table({ faults }).
+// parseFaults() reads them from a string like "2:mid-meal:3,0:holding-fork"
+// (phil:point[:meals], as in run-experiments.js --crash).
+
+const POINTS = ['after-meals', 'holding-fork', 'mid-meal'];
+
+class PhilosopherCrash extends Error {
+    constructor(phil, point) {
+        super(`Philosopher ${phil} crashed (${point})`);
+        this.name = 'PhilosopherCrash';
+        this.phil = phil;
+        this.point = point;
+    }
+}
+
+class FaultInjector {
+    constructor(faults = []) {
+        this.faults = faults.map(({ phil, at, meals = 0 }) => {
+            if (!POINTS.includes(at)) {
+                throw new Error(`Unknown crash point: ${at} (expected ${POINTS.join(', ')})`);
+            }
+            return { phil, at, meals };
+        });
+        this.meals = new Map();    // philosopher -> meals eaten
+        this.held = new Map();     // philosopher -> Set of forks held
+        this.crashed = new Set();
+    }
+
+    // Follow the meals and forks of every philosopher (called for every event of the run)
+    observe(entry) {
+        const held = this.heldBy(entry.phil);
+        switch (entry.event) {
+            case 'ACQUIRE':
+                entry.forks.forEach(f => held.add(f));
+                break;
+            case 'RELEASE':
+            case 'SEND_FORK':
+            case 'LEASE_EXPIRED':
+                entry.forks.forEach(f => held.delete(f));
+                break;
+            case 'EAT_END':
+            case 'DRINK_END':
+                this.meals.set(entry.phil, (this.meals.get(entry.phil) || 0) + 1);
+                break;
+        }
+    }
+
+    heldBy(phil) {
+        if (!this.held.has(phil)) this.held.set(phil, new Set());
+        return this.held.get(phil);
+    }
+
+    // Crash philId if a fault is due at this point: logs CRASH to the run and throws
+    check(run, philId, point) {
+        const meals = this.meals.get(philId) || 0;
+        const held = this.heldBy(philId);
+        const due = this.faults.some(fault => fault.phil === philId && fault.at === point &&
+            meals >= fault.meals && (point !== 'holding-fork' || held.size === 1));
+        if (!due || this.crashed.has(philId)) {
+            return;
+        }
+        this.crashed.add(philId);
+        run.log(philId, 'CRASH', Array.from(held), { at: point });
+        throw new PhilosopherCrash(philId, point);
+    }
+}
+
+// Faults from a string: phil:point[:meals], comma-separated
+function parseFaults(spec) {
+    return String(spec).split(',').map(part => {
+        const [phil, at, meals] = part.split(':');
+        if (phil === '' || isNaN(phil) || !at || (meals !== undefined && isNaN(meals))) {
+            throw new Error(`Invalid fault: ${part} (expected phil:point[:meals])`);
+        }
+        return { phil: Number(phil), at, meals: meals === undefined ? 0 : Number(meals) };
+    });
+}
+
+module.exports = {
+    POINTS,
+    PhilosopherCrash,
+    FaultInjector,
+    parseFaults
+};
@@ -0,0 +1,159 @@
+const { FaultInjector, PhilosopherCrash, parseFaults } = require('./faults');
+const { Table, Fork, Conductor, VirtualClock, DeadlockError } = require('./philosophers');
+const { Run } = require('./run');
+const { checkRun } = require('./check-forks');
+const { analyzeRun } = require('./analyze-log');
+const { line } = require('./topology');
+
+// Table on a virtual clock with the given faults and fork lease; philosophers in a
+// line, so the naive algorithm cannot deadlock
+function createTable(faults, lease, options = {}) {
+    return new Table({
+        algorithm: 'naive', topology: line(5), faults, lease,
+        seed: 1, clock: new VirtualClock({ seed: 1 }), quiet: true, ...options
+    });
+}
+
+const mealsOf = (table, phil) => table.events.filter(e => e.phil === phil && e.event === 'EAT_END').length;
+const crashOf = (table) => table.events.find(e => e.event === 'CRASH');
+
+describe('Fault specs', () => {
+    test('parseFaults reads phil:point[:meals] lists', () => {
+        expect(parseFaults('2:mid-meal:3,0:holding-fork')).toEqual([
+            { phil: 2, at: 'mid-meal', meals: 3 },
+            { phil: 0, at: 'holding-fork', meals: 0 }
+        ]);
+        expect(() => parseFaults('x:mid-meal')).toThrow('Invalid fault: x:mid-meal');
+    });
+
+    test('unknown crash points are rejected', () => {
+        expect(() => new FaultInjector([{ phil: 0, at: 'sleeping' }])).toThrow('Unknown crash point: sleeping');
+    });
+});
+
+describe('Crashing philosophers', () => {
+    test('after-meals crashes a philosopher once it has eaten the given meals', async () => {
+        const table = createTable([{ phil: 1, at: 'after-meals', meals: 2 }], null, { topology: line(3) });
+        await table.start(p => p.startNaive(4));
+
+        expect(crashOf(table)).toMatchObject({ phil: 1, forks: [], at: 'after-meals' });
+        expect([mealsOf(table, 0), mealsOf(table, 1), mealsOf(table, 2)]).toEqual([4, 2, 4]);
+        expect(checkRun(table.events)).toEqual([]);
+    });
+
+    test('holding-fork crashes while holding exactly one fork', async () => {
+        const table = createTable([{ phil: 0, at: 'holding-fork', meals: 1 }], 20);
+        await table.start(p => p.startNaive(3));
+
+        expect(crashOf(table)).toMatchObject({ phil: 0, forks: [0], at: 'holding-fork' });
+        expect(mealsOf(table, 0)).toBe(1);
+    });
+
+    test('a crashed philosopher keeps its forks without a lease', async () => {
+        const table = createTable([{ phil: 2, at: 'mid-meal' }], null);
+        await expect(table.start(p => p.startNaive(5), { progressWindow: 2000 })).rejects.toThrow(DeadlockError);
+
+        expect(crashOf(table)).toMatchObject({ phil: 2, forks: [2, 3] });
+        const heldAtEnd = checkRun(table.events).filter(v => v.type === 'HELD_AT_END' && v.phil === 2);
+        expect(heldAtEnd.map(v => v.fork)).toEqual([2, 3]);
+    });
+
+    test('fork leases let the neighbours recover from a crash mid-meal', async () => {
+        const table = createTable([{ phil: 2, at: 'mid-meal', meals: 1 }], 20);
+        await table.start(p => p.startNaive(5));
+
+        const expired = table.events.filter(e => e.event === 'LEASE_EXPIRED');
+        expect(expired.map(e => `${e.phil}:${e.forks}`).sort()).toEqual(['2:2', '2:3']);
+        expect([0, 1, 3, 4].map(phil => mealsOf(table, phil))).toEqual([5, 5, 5, 5]);
+
+        const metrics = analyzeRun(table.events);
+        expect([metrics.crashes, metrics.leaseExpirations, metrics.mutualExclusionViolations]).toEqual([1, 2, 0]);
+        expect(checkRun(table.events)).toEqual([]);
+    });
+
+    test('seat leases let the conductor recover a crashed philosopher\'s seat', async () => {
+        const table = createTable([{ phil: 2, at: 'mid-meal' }], 20, { algorithm: 'conductor' });
+        const conductor = new Conductor(1, { lease: 20, run: table.run });
+        await table.start(async p => {
+            for (let i = 0; i < 2; i++) {
+                await p.think();
+                await conductor.requestSeat(p.id);
+                await p.forks[p.f1].acquire(p.id);
+                await p.forks[p.f2].acquire(p.id);
+                await p.eat();
+                p.forks[p.f1].release(p.id);
+                p.forks[p.f2].release(p.id);
+                conductor.leaveSeat(p.id);
+            }
+        });
+
+        expect(table.events.filter(e => e.event === 'LEASE_EXPIRED' && e.seat)).toMatchObject([{ phil: 2 }]);
+        expect([0, 1, 3, 4].map(phil => mealsOf(table, phil))).toEqual([2, 2, 2, 2]);
+        expect(conductor.seats).toBe(1);
+    });
+});
+
+describe('Fork leases', () => {
+    test('the lease of a crashed holder expires and frees the fork', async () => {
+        const clock = new VirtualClock();
+        const run = new Run({ algorithm: 'lease', clock, quiet: true, faults: [{ phil: 0, at: 'holding-fork' }] });
+        const fork = new Fork(0, { run, lease: 5 });
+
+        await expect(fork.acquire(0)).rejects.toThrow(PhilosopherCrash);
+        await fork.acquire(1);
+        expect(fork.holder).toBe(1);
+        expect(run.events.map(e => `${e.t}:${e.phil}:${e.event}`))
+            .toEqual(['0:0:TRY', '0:0:ACQUIRE', '0:0:CRASH', '0:1:TRY', '5:0:LEASE_EXPIRED', '7:1:ACQUIRE']);
+        fork.release(1);
+    });
+
+    test('leases stop renewing when the run ends or the fork is interrupted', async () => {
+        const clock = new VirtualClock();
+        const run = new Run({ algorithm: 'lease', clock, quiet: true });
+        const forks = [new Fork(0, { run, lease: 5 }), new Fork(1, { run, lease: 5 })];
+
+        await forks[0].acquire(0);
+        forks[0].interrupt(new Error('stop'));
+        await forks[1].acquire(1);
+        await run.watch(forks, []);
+        await clock.sleep(200);  // past the last tick of the deadlock detector
+        expect(clock.timers).toEqual([]);
+        expect(forks.map(fork => fork.holder)).toEqual([0, 1]);
+    });
+
+    test('a live holder keeps renewing its lease', async () => {
+        const clock = new VirtualClock();
+        const run = new Run({ algorithm: 'lease', clock, quiet: true });
+        const fork = new Fork(0, { run, lease: 5 });
+
+        await fork.acquire(1);
+        await clock.sleep(23);
+        expect(fork.holder).toBe(1);
+        fork.release(1);
+        await clock.sleep(10);
+        expect(run.events.map(e => e.event)).toEqual(['TRY', 'ACQUIRE', 'RELEASE']);
+    });
+
+    test('a heartbeat beats until its philosopher crashes', async () => {
+        const clock = new VirtualClock();
+        const run = new Run({ algorithm: 'lease', clock, quiet: true, faults: [{ phil: 0, at: 'mid-meal' }] });
+        const beats = [];
+        run.keepAlive(0, 2, () => beats.push(clock.now()));
+        const stop = run.keepAlive(1, 3, () => beats.push(-clock.now()));
+
+        await clock.sleep(5);
+        expect(() => run.crashPoint(0, 'mid-meal')).toThrow(PhilosopherCrash);
+        await clock.sleep(5);
+        stop();
+        await clock.sleep(10);
+        expect(beats).toEqual([2, -3, 4, -6, -9]);
+        expect(clock.timers).toEqual([]);
+    });
+
+    test('Run.watch counts crashed philosophers as finished', async () => {
+        const run = new Run({ algorithm: 'crash', quiet: true });
+        await expect(run.watch([], [Promise.reject(new PhilosopherCrash(0, 'mid-meal')), Promise.resolve()]))
+            .resolves.toBeDefined();
+        await expect(run.watch([], [Promise.reject(new Error('bug'))])).rejects.toThrow('bug');
+    });
+});
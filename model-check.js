@@ -0,0 +1,381 @@
+// Model checker: every interleaving of a small table, instead of a few random ones
+//
+// The philosophers run their registered start method (see algorithms.js) with real
+// Forks (and Conductor) on a ModelClock (see clock.js): a sleep only ends when the
+// checker fires it. A step ends one or more pending sleeps at the same instant, in a
+// given order; the code that then runs (until every philosopher sleeps or waits again)
+// interleaves at its awaits like timers due at the same time on a real clock. So the
+// interleavings are every order in which the pending sleeps (thinking, eating, backoff
+// waits, timeouts) can end, whatever their durations, alone or together; e.g. the naive
+// philosophers only deadlock when they take their left forks at the same instant.
+// They are explored breadth first: every state is reached by replaying its steps from
+// the start, and states already seen are not explored again (state hashing). A state is
+// the forks, the conductor, the fields of every philosopher (e.g. the Chandy-Misra
+// flags), the meals eaten and the last event of every philosopher. Counters that only
+// grow (lease and seat numbers, the longest queue) are left out, and so are the pending
+// sleeps: what they do follows from the rest of the state, and sleeps left behind by a
+// cancelled wait (e.g. the timeout of an acquisition that succeeded) do nothing.
+//
+// The checker reports one of:
+//   ok        - deadlock-free and mutually exclusive: from every reachable state all
+//               philosophers can still finish their meals, and no two philosophers ever
+//               eat with a shared fork (nor break a fork invariant of check-forks.js)
+//   violation - two philosophers eating with a shared fork, or a fork invariant broken
+//   deadlock  - a reachable state from which the run can no longer finish (a wait-for
+//               cycle, everybody blocked, or philosophers that only keep retrying)
+//   unfinished - the philosophers returned before eating all their meals
+//   error     - a philosopher threw
+//   incomplete - more than maxStates states; nothing found so far
+// with a counterexample: the shortest trace to the problem, as the JSONL events of the
+// run (t counts the steps; a deadlock ends with a DEADLOCK event).
+//
+// Usage:
+//   node model-check.js <algorithm> [--n=<philosophers>] [--meals=<count>] [--topology=<spec>]
+//                       [--strategy=<name>] [--conductor-policy=<name>] [--simultaneous=<count>]
+//                       [--max-states=<count>] [--out=<file.jsonl>] [--json] [--require=<modules>]
+//
+// Arguments:
+//   algorithm   - a registered algorithm (see algorithms.js)
+//   --n         - Optional: number of philosophers (default: 3)
+//   --meals     - Optional: meals per philosopher (default: 1)
+//   --topology  - Optional: ring (default), line, star, complete or a JSON file (see topology.js)
+//   --strategy  - Optional: fork acquisition strategy (default: beb, see strategies.js)
+//   --conductor-policy - Optional: admission policy of the conductor (see admission.js)
+//   --simultaneous - Optional: at most this many sleeps end in one step (default: N); the
+//                 interleavings of more sleeps ending at the same instant are not explored
+//   --max-states - Optional: give up after this many states (default: 100000)
+//   --out       - Optional: write the counterexample trace to this JSONL file
+//   --json      - Optional: print the result as JSON
+//   --require   - Optional: modules to load first (comma-separated), e.g. ones registering algorithms
+//
+// Exits with code 1 unless the algorithm is deadlock-free and mutually exclusive.
+//
+// Examples:
+//   node model-check.js naive                     - finds the deadlock of the naive algorithm
+//   node model-check.js chandy-misra --n=4 --meals=2
+//   node model-check.js naive --topology=line --out=trace.jsonl
+
+const fs = require('fs');
+const path = require('path');
+const { ModelClock } = require('./clock');
+const { Run } = require('./run');
+const { MemorySink } = require('./sinks');
+const { DeadlockDetector } = require('./deadlock');
+const { checkRun } = require('./check-forks');
+const { getAlgorithm } = require('./algorithms');
+const { createTopology } = require('./topology');
+const { Fork, Philosopher, createStrategy } = require('./philosophers');
+const { Semaphore } = require('./sync');
+
+const MAX_STATES = 100000;
+
+// Fields left out of the state: identities and counters that only grow
+const IGNORED_FIELDS = new Set(['id', 'maxQueueLength']);
+
+// Let every promise callback run, so that all philosophers are waiting for a sleep (or blocked)
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// The primitive fields of an object (forks, philosophers, the conductor); sets and arrays
+// are kept with their items, waiters by philosopher, and semaphores (see sync.js) with
+// their fields; references to other objects are skipped
+function fieldsOf(object) {
+    if (!object || typeof object !== 'object') return null;
+    const item = value => (value && typeof value === 'object' ? (value.phil !== undefined ? value.phil : '?') : value);
+    const fields = {};
+    for (const [key, value] of Object.entries(object)) {
+        if (IGNORED_FIELDS.has(key)) continue;
+        if (value === null || ['number', 'string', 'boolean'].includes(typeof value)) {
+            fields[key] = value;
+        } else if (typeof value === 'function') {
+            fields[key] = 'function';
+        } else if (value instanceof Set || Array.isArray(value)) {
+            fields[key] = Array.from(value, item);
+            if (value instanceof Set) fields[key].sort();
+        } else if (value instanceof Semaphore) {
+            fields[key] = fieldsOf(value);
+        }
+    }
+    return fields;
+}
+
+// The steps from a state with `count` pending sleeps: every sequence of 1 to `max`
+// distinct sleeps, the shortest first
+function* orderedSubsets(count, max) {
+    function* sequences(size, prefix) {
+        if (prefix.length === size) {
+            yield prefix;
+            return;
+        }
+        for (let i = 0; i < count; i++) {
+            if (!prefix.includes(i)) yield* sequences(size, [...prefix, i]);
+        }
+    }
+    for (let size = 1; size <= Math.min(count, max); size++) {
+        yield* sequences(size, []);
+    }
+}
+
+// Replay one interleaving: start the philosophers, then take the given steps (each the
+// indexes of the pending sleeps to end) in turn.
+// Stops early at a violation or error.
+async function replay(config, choices) {
+    const { algorithm, topology, meals } = config;
+    const clock = new ModelClock();
+    const run = new Run({ algorithm: algorithm.name, clock, seed: 1, sinks: [new MemorySink()] });
+    const strategy = createStrategy(config.strategy || 'beb');
+    const forks = Array.from({ length: topology.forkCount }, (_, i) => new Fork(i, { run, strategy }));
+    const philosophers = Array.from({ length: topology.n },
+        (_, i) => new Philosopher(i, forks, topology, { eatTime: 1, thinkTime: config.thinkTime }));
+
+    const state = {
+        run, clock, forks, philosophers,
+        shared: null,
+        mealsEaten: Array(topology.n).fill(0),
+        lastEvent: Array(topology.n).fill(null),
+        finished: Array(topology.n).fill(false),
+        problem: null
+    };
+
+    // Mutual exclusion: forks of the philosophers eating (or drinking) right now
+    const eating = new Map();
+    run.onLog(entry => {
+        if (entry.phil === null) return;
+        state.lastEvent[entry.phil] = `${entry.event}:${entry.forks}`;
+        if (entry.event === 'EAT_START' || entry.event === 'DRINK_START') {
+            for (const [other, forkIds] of eating) {
+                const shared = entry.forks.find(f => forkIds.includes(f));
+                if (shared !== undefined && !state.problem) {
+                    state.problem = { type: 'violation', message: `Philosophers ${other} and ${entry.phil} eat at the same time with fork ${shared}` };
+                }
+            }
+            eating.set(entry.phil, entry.forks);
+        } else if (entry.event === 'EAT_END' || entry.event === 'DRINK_END') {
+            eating.delete(entry.phil);
+            state.mealsEaten[entry.phil]++;
+        }
+    });
+
+    state.shared = algorithm.setup ? algorithm.setup(philosophers, forks, { conductorPolicy: config.conductorPolicy }) : null;
+    philosophers.forEach((p, i) => {
+        Promise.resolve()
+            .then(() => algorithm.start(p, meals, state.shared))
+            .then(() => { state.finished[i] = true; })
+            .catch(err => {
+                if (!state.problem) state.problem = { type: 'error', message: `Philosopher ${i}: ${err.message}` };
+            });
+    });
+    await settle();
+
+    for (const choice of choices) {
+        if (state.problem) break;
+        clock.fire(...choice);
+        await settle();
+    }
+
+    if (!state.problem) {
+        const broken = checkRun(run.events).find(v => v.type !== 'HELD_AT_END');
+        if (broken) state.problem = { type: 'violation', message: `${broken.type}: ${broken.error}` };
+    }
+    return state;
+}
+
+// Hash of a replayed state
+function stateKey(state) {
+    return JSON.stringify([
+        state.forks.map(fieldsOf),
+        fieldsOf(state.shared),
+        state.philosophers.map(fieldsOf),
+        state.mealsEaten,
+        state.lastEvent,
+        state.finished
+    ]);
+}
+
+// The counterexample of a state: its events, ending with DEADLOCK for a deadlock
+function counterexample(state, type, message) {
+    if (type === 'deadlock') {
+        const detector = new DeadlockDetector(state.forks);
+        const cycle = detector.findCycle();
+        state.run.log(null, 'DEADLOCK', cycle ? cycle.map(e => e.fork) : [],
+            { reason: cycle ? 'cycle' : 'no-progress', cycle: cycle ? cycle.map(e => e.phil) : [] });
+        message = cycle ? detector.describe({ cycle }) : message;
+    }
+    return { type, message, steps: state.clock.steps, events: state.run.events.slice() };
+}
+
+// Explore every interleaving of an algorithm on a small table. Options:
+//   topology - Topology, or a spec for createTopology (default: ring of n)
+//   n        - number of philosophers (default 3)
+//   meals    - meals per philosopher (default 1)
+//   strategy - fork acquisition strategy name (default 'beb')
+//   conductorPolicy - admission policy for the conductor
+//   thinkTime - thinking time (default 1: thinking ends are steps too; null for none)
+//   simultaneous - at most this many sleeps end in one step (default: the number of philosophers)
+//   maxStates - give up after this many states (default 100000)
+// Resolves with { algorithm, philosophers, meals, result, states, transitions, counterexample }.
+async function modelCheck(name, options = {}) {
+    const topology = typeof options.topology === 'object' && options.topology !== null
+        ? options.topology : createTopology(options.topology, options.n || 3);
+    const config = {
+        algorithm: getAlgorithm(name),
+        topology,
+        meals: options.meals || 1,
+        strategy: options.strategy,
+        conductorPolicy: options.conductorPolicy,
+        thinkTime: options.thinkTime !== undefined ? options.thinkTime : 1
+    };
+    const maxStates = options.maxStates || MAX_STATES;
+    const simultaneous = options.simultaneous || topology.n;
+
+    const nodes = new Map();  // state key -> { choices, pending sleeps, next: Set of state keys, finished }
+    const queue = [];         // keys of the states to explore, breadth first
+    let transitions = 0;
+    const result = (outcome, problem = null) => ({
+        algorithm: name,
+        philosophers: topology.n,
+        meals: config.meals,
+        result: outcome,
+        states: nodes.size,
+        transitions,
+        counterexample: problem
+    });
+
+    // Record a state reached from `parent`; returns the result when it ends the check
+    const visit = (state, choices, parent) => {
+        if (state.problem) {
+            return result(state.problem.type, counterexample(state, state.problem.type, state.problem.message));
+        }
+
+        const key = stateKey(state);
+        if (parent !== null) {
+            nodes.get(parent).next.add(key);
+            transitions++;
+        }
+        if (nodes.has(key)) return null;
+        if (nodes.size >= maxStates) {
+            return result('incomplete');
+        }
+
+        const finished = state.finished.every(Boolean);
+        nodes.set(key, { choices, pending: state.clock.timers.length, next: new Set(), finished });
+        if (finished) {
+            const hungry = state.mealsEaten.findIndex(m => m < config.meals);
+            if (hungry !== -1) {
+                return result('unfinished', counterexample(state, 'unfinished',
+                    `Philosopher ${hungry} finished after ${state.mealsEaten[hungry]} of ${config.meals} meals`));
+            }
+        } else if (state.clock.timers.length === 0) {
+            return result('deadlock', counterexample(state, 'deadlock', 'Every philosopher is blocked'));
+        }
+        queue.push(key);
+        return null;
+    };
+
+    let outcome = visit(await replay(config, []), [], null);
+    for (let head = 0; !outcome && head < queue.length; head++) {
+        const { choices, pending } = nodes.get(queue[head]);
+        for (const step of orderedSubsets(pending, simultaneous)) {
+            const next = [...choices, step];
+            outcome = visit(await replay(config, next), next, queue[head]);
+            if (outcome) break;
+        }
+    }
+    if (outcome) return outcome;
+
+    // Every reachable state must still be able to finish
+    const previous = new Map(Array.from(nodes.keys(), key => [key, []]));
+    for (const [key, node] of nodes) {
+        for (const next of node.next) previous.get(next).push(key);
+    }
+    const canFinish = new Set(Array.from(nodes.keys()).filter(key => nodes.get(key).finished));
+    const pending = Array.from(canFinish);
+    while (pending.length > 0) {
+        for (const key of previous.get(pending.pop())) {
+            if (!canFinish.has(key)) {
+                canFinish.add(key);
+                pending.push(key);
+            }
+        }
+    }
+    // Nodes are in breadth-first order, so the first stuck one has the shortest trace
+    const stuck = Array.from(nodes.keys()).find(key => !canFinish.has(key));
+    if (stuck) {
+        const state = await replay(config, nodes.get(stuck).choices);
+        return result('deadlock', counterexample(state, 'deadlock', 'The philosophers can no longer finish'));
+    }
+    return result('ok');
+}
+
+// One-line description of a result
+function describeResult(r) {
+    const size = `${r.states} states, ${r.transitions} transitions`;
+    const table = `${r.algorithm} (N=${r.philosophers}, meals=${r.meals})`;
+    switch (r.result) {
+        case 'ok':
+            return `${table}: deadlock-free and mutually exclusive (${size})`;
+        case 'incomplete':
+            return `${table}: no problem found in the first ${size}; not all states explored`;
+        default: {
+            const steps = r.counterexample.steps === 1 ? '1 step' : `${r.counterexample.steps} steps`;
+            return `${table}: ${r.result.toUpperCase()} after ${steps} - ${r.counterexample.message} (${size})`;
+        }
+    }
+}
+
+async function main(argv) {
+    const name = argv.find(arg => !arg.startsWith('--'));
+    const option = key => {
+        const arg = argv.find(a => a.startsWith(`--${key}=`));
+        return arg ? arg.slice(key.length + 3) : undefined;
+    };
+
+    if (!name) {
+        console.error('Usage: node model-check.js <algorithm> [--n=<philosophers>] [--meals=<count>] [--topology=<spec>] ' +
+            '[--strategy=<name>] [--conductor-policy=<name>] [--simultaneous=<count>] [--max-states=<count>] [--out=<file.jsonl>] ' +
+            '[--json] [--require=<modules>]');
+        process.exitCode = 1;
+        return;
+    }
+    if (option('require')) {
+        option('require').split(',').forEach(module => require(path.resolve(module)));
+    }
+
+    const result = await modelCheck(name, {
+        n: option('n') !== undefined ? Number(option('n')) : undefined,
+        meals: option('meals') !== undefined ? Number(option('meals')) : undefined,
+        topology: option('topology'),
+        strategy: option('strategy'),
+        conductorPolicy: option('conductor-policy'),
+        simultaneous: option('simultaneous') !== undefined ? Number(option('simultaneous')) : undefined,
+        maxStates: option('max-states') !== undefined ? Number(option('max-states')) : undefined
+    });
+
+    if (argv.includes('--json')) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        console.log(describeResult(result));
+        if (result.counterexample && !option('out')) {
+            console.log('\nCounterexample:');
+            result.counterexample.events.forEach(e => console.log(JSON.stringify(e)));
+        }
+    }
+    if (result.counterexample && option('out')) {
+        fs.writeFileSync(option('out'), result.counterexample.events.map(e => JSON.stringify(e)).join('\n') + '\n');
+        console.log(`Wrote the counterexample to ${option('out')}`);
+    }
+    if (result.result !== 'ok') {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    modelCheck,
+    describeResult
+};
@@ -0,0 +1,98 @@
+const { modelCheck, describeResult } = require('./model-check');
+const { registerAlgorithm } = require('./algorithms');
+const { checkRun } = require('./check-forks');
+const { line } = require('./topology');
+
+// Eats without taking its forks
+registerAlgorithm('test-greedy', {
+    start: async (p, meals) => {
+        for (let i = 0; i < meals; i++) {
+            await p.think();
+            await p.eat();
+        }
+    },
+    inAll: false
+});
+
+// Takes its left fork, then polls the right one without ever putting the left one down
+// (no acquire(), so the deadlock has no wait-for cycle)
+registerAlgorithm('test-stubborn', {
+    start: async (p, meals) => {
+        const [left, right] = p.forkIds.map(f => p.forks[f]);
+        for (let i = 0; i < meals; i++) {
+            await p.think();
+            await left.acquire(p.id);
+            while (right.state !== 0) await p.delay(1);
+            await right.acquire(p.id);
+            await p.eat();
+            left.release(p.id);
+            right.release(p.id);
+        }
+    },
+    inAll: false
+});
+
+// Skips its last meal
+registerAlgorithm('test-hasty', {
+    start: (p, meals) => p.startNaive(meals - 1),
+    inAll: false
+});
+
+describe('Model checking', () => {
+    test('finds the deadlock of the naive philosophers with the shortest trace', async () => {
+        const result = await modelCheck('naive', { n: 3 });
+        expect(result.result).toBe('deadlock');
+
+        const { events, steps } = result.counterexample;
+        expect(steps).toBe(1);
+        expect(events[events.length - 1]).toMatchObject({ event: 'DEADLOCK', reason: 'cycle', cycle: [0, 1, 2] });
+        expect(events.filter(e => e.event === 'ACQUIRE').map(e => e.forks[0])).toEqual([0, 1, 2]);
+        expect(describeResult(result)).toContain('DEADLOCK after 1 step - Deadlock detected: philosopher 0 waits for fork 1');
+    });
+
+    test.each([
+        ['naive', { topology: line(3) }],
+        ['naive-timeout', { n: 3 }],
+        ['chandy-misra', { n: 3 }],
+        ['drinking', { n: 3 }],
+        ['hierarchy', { n: 3 }],
+        ['tanenbaum', { n: 3 }]
+    ])('%s is deadlock-free and mutually exclusive', async (algorithm, options) => {
+        const result = await modelCheck(algorithm, options);
+        expect(result).toMatchObject({ result: 'ok', counterexample: null });
+        expect(result.states).toBeGreaterThan(10);
+        expect(describeResult(result)).toContain('deadlock-free and mutually exclusive');
+    }, 30000);
+
+    test('reports philosophers eating without their forks', async () => {
+        const result = await modelCheck('test-greedy', { n: 2 });
+        expect(result.result).toBe('violation');
+        expect(result.counterexample).toMatchObject({
+            steps: 1,
+            message: 'EAT_WITHOUT_FORKS: Philosopher 0 logged EAT_START without holding fork 0'
+        });
+        expect(checkRun(result.counterexample.events)[0].type).toBe('EAT_WITHOUT_FORKS');
+    });
+
+    test('reports states from which the philosophers can no longer finish', async () => {
+        const result = await modelCheck('test-stubborn', { n: 3 });
+        expect(result.result).toBe('deadlock');
+        expect(result.counterexample.message).toBe('The philosophers can no longer finish');
+        expect(result.counterexample.events.pop()).toMatchObject({ event: 'DEADLOCK', reason: 'no-progress', cycle: [] });
+    });
+
+    test('reports philosophers returning before all their meals', async () => {
+        const result = await modelCheck('test-hasty', { n: 2, meals: 2 });
+        expect(result.result).toBe('unfinished');
+        expect(result.counterexample.message).toBe('Philosopher 0 finished after 1 of 2 meals');
+    });
+
+    test('gives up after maxStates states', async () => {
+        const result = await modelCheck('chandy-misra', { n: 3, maxStates: 20 });
+        expect(result).toMatchObject({ result: 'incomplete', states: 20, counterexample: null });
+    });
+
+    test('only runs registered algorithms', async () => {
+        await expect(modelCheck('waiter')).rejects.toThrow('Unknown algorithm: waiter');
+    });
+});
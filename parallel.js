@@ -0,0 +1,315 @@
+// True parallel mode: every philosopher runs in its own worker thread
+//
+// In the normal mode all philosophers share one event loop, so checking and
+// setting two fork states in a row can never be interrupted. Here the forks live
+// in a SharedArrayBuffer and each Philosopher runs in a worker_threads worker,
+// so races between philosophers really happen.
+//
+// Shared memory (Int32Array):
+//   [0] SEQ   - global event counter, taken by every log call
+//   [1] STOP  - set to 1 to interrupt all philosophers (deadlock)
+//   [2] SEATS - free seats of the AtomicConductor
+//   then 3 cells per fork: state (0 = free, 1 = taken), holder (-1 = none),
+//   and a bitmask of the philosophers waiting for it (for the deadlock detector)
+//
+// AtomicFork.acquire() takes a fork with Atomics.compareExchange and sleeps in
+// Atomics.wait until a release() calls Atomics.notify. The state and holder
+// properties read and write the shared cells, so code that checks fork.state
+// directly (e.g. startSimultaneous) runs unchanged and may race.
+//
+// Workers number their events with SEQ: RELEASE is logged before the fork is
+// freed and ACQUIRE after it is taken, so the main thread, which records the
+// events in SEQ order, produces a log consistent with the real fork ownership.
+// Events use the same JSONL format as the single-threaded mode.
+//
+// Not supported: the virtual clock, and algorithms that pass messages between
+// philosophers (Chandy-Misra).
+
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { BackoffStrategy } = require('./strategies');
+const { DeadlockDetector } = require('./deadlock');
+const { RealClock } = require('./clock');
+const { Topology } = require('./topology');
+const { Philosopher, TimeoutError, startRun, getDefaultRun, log, recordEvent } = require('./philosophers');
+const { Run } = require('./run');
+const { getAlgorithm } = require('./algorithms');
+
+const SEQ = 0;
+const STOP = 1;
+const SEATS = 2;
+const HEADER = 3;
+const CELLS_PER_FORK = 3;
+const MAX_PHILOSOPHERS = 32;
+
+// Longest single Atomics.wait, so interrupts are noticed even without a notify
+const WAIT_SLICE = 50;
+
+function createSharedState(forkCount, seats = 0) {
+    const cells = new Int32Array(new SharedArrayBuffer((HEADER + CELLS_PER_FORK * forkCount) * 4));
+    cells[SEATS] = seats;
+    for (let f = 0; f < forkCount; f++) {
+        cells[HEADER + CELLS_PER_FORK * f + 1] = -1;
+    }
+    return cells;
+}
+
+function interruptionOf(cells) {
+    return Atomics.load(cells, STOP) ? new Error('Run interrupted') : null;
+}
+
+// Set of waiting philosophers stored as a bitmask in a shared cell
+class SharedWaitSet {
+    constructor(cells, index) {
+        this.cells = cells;
+        this.index = index;
+    }
+
+    add(id) {
+        Atomics.or(this.cells, this.index, 1 << id);
+    }
+
+    delete(id) {
+        Atomics.and(this.cells, this.index, ~(1 << id));
+    }
+
+    has(id) {
+        return (Atomics.load(this.cells, this.index) & (1 << id)) !== 0;
+    }
+
+    get size() {
+        return Array.from(this).length;
+    }
+
+    * [Symbol.iterator]() {
+        const mask = Atomics.load(this.cells, this.index);
+        for (let id = 0; id < MAX_PHILOSOPHERS; id++) {
+            if (mask & (1 << id)) yield id;
+        }
+    }
+}
+
+// Fork stored in shared memory; same interface as Fork in philosophers.js
+class AtomicFork {
+    // run - Run the fork logs TRY/ACQUIRE/RELEASE to (see run.js)
+    constructor(id, cells, run, options = {}) {
+        this.id = id;
+        this.cells = cells;
+        this.run = run;
+        this.base = HEADER + CELLS_PER_FORK * id;
+        this.strategy = options.strategy || new BackoffStrategy({ base: 1, cap: 1000 });
+        this.waitQueue = [];
+        this.waiting = new SharedWaitSet(cells, this.base + 2);
+    }
+
+    get state() {
+        return Atomics.load(this.cells, this.base);
+    }
+
+    set state(value) {
+        Atomics.store(this.cells, this.base, value);
+        if (value === 0) Atomics.notify(this.cells, this.base);
+    }
+
+    get holder() {
+        const holder = Atomics.load(this.cells, this.base + 1);
+        return holder === -1 ? null : holder;
+    }
+
+    set holder(value) {
+        Atomics.store(this.cells, this.base + 1, value === null ? -1 : value);
+    }
+
+    get interruption() {
+        return interruptionOf(this.cells);
+    }
+
+    // Take the fork if it is free; returns true on success
+    tryTake(requesterId) {
+        if (Atomics.compareExchange(this.cells, this.base, 0, 1) !== 0) {
+            return false;
+        }
+        this.holder = requesterId;
+        return true;
+    }
+
+    // Blocks the calling worker in Atomics.wait until the fork is released.
+    // options: { signal, timeout } as for Fork.acquire (the signal is checked between waits)
+    async acquire(requesterId, { signal, timeout } = {}) {
+        this.run.log(requesterId, 'TRY', [this.id]);
+
+        const deadline = timeout !== undefined && timeout !== null ? this.run.clock.now() + timeout : null;
+        this.waiting.add(requesterId);
+        try {
+            while (!this.tryTake(requesterId)) {
+                if (this.interruption) {
+                    throw this.interruption;
+                }
+                if (signal && signal.aborted) {
+                    throw signal.reason;
+                }
+                const remaining = deadline === null ? WAIT_SLICE : deadline - this.run.clock.now();
+                if (remaining <= 0) {
+                    throw new TimeoutError(`Timed out after ${timeout}ms`);
+                }
+                Atomics.wait(this.cells, this.base, 1, Math.min(remaining, WAIT_SLICE));
+            }
+        } finally {
+            this.waiting.delete(requesterId);
+        }
+        this.run.log(requesterId, 'ACQUIRE', [this.id]);
+    }
+
+    // Stop every philosopher of the run (called by the deadlock detector)
+    interrupt() {
+        Atomics.store(this.cells, STOP, 1);
+        Atomics.notify(this.cells, this.base);
+        Atomics.notify(this.cells, SEATS);
+    }
+
+    release(requesterId) {
+        if (this.holder !== requesterId) {
+            throw new Error(`Philosopher ${requesterId} cannot release fork held by ${this.holder}`);
+        }
+        this.run.log(requesterId, 'RELEASE', [this.id]);
+        this.holder = null;
+        this.state = 0;
+    }
+}
+
+// Conductor whose free seats are a shared counter; requestSeat(id)/leaveSeat(id) ignore
+// the philosopher id (no admission policy, no SEAT_ events)
+class AtomicConductor {
+    constructor(cells) {
+        this.cells = cells;
+    }
+
+    async requestSeat() {
+        for (;;) {
+            const seats = Atomics.load(this.cells, SEATS);
+            if (seats > 0) {
+                if (Atomics.compareExchange(this.cells, SEATS, seats, seats - 1) === seats) return;
+                continue;
+            }
+            const interruption = interruptionOf(this.cells);
+            if (interruption) {
+                throw interruption;
+            }
+            Atomics.wait(this.cells, SEATS, 0, WAIT_SLICE);
+        }
+    }
+
+    leaveSeat() {
+        Atomics.add(this.cells, SEATS, 1);
+        Atomics.notify(this.cells, SEATS, 1);
+    }
+}
+
+// Run one algorithm with every philosopher in its own worker thread. Options:
+//   topology       - Topology (required)
+//   meals          - meals per philosopher (default 10)
+//   seats          - conductor seats (default: philosophers - 1)
+//   eatTime, thinkTime - see Philosopher
+//   seed           - seed for the run ID
+//   preload        - modules each worker requires first (e.g. the path of solutions.js, or
+//                    modules registering algorithms; the main thread must have loaded them too)
+//   progressWindow, interval - deadlock detector options (see deadlock.js)
+// Resolves with the run ID; rejects with a DeadlockError when the run deadlocks.
+async function runParallel(algorithm, options = {}) {
+    if (!getAlgorithm(algorithm).parallel) {
+        throw new Error(`Algorithm ${algorithm} has no parallel mode`);
+    }
+    if ([options.eatTime, options.thinkTime].flat().some(spec => typeof spec === 'function')) {
+        throw new Error('Duration functions cannot be passed to worker threads; use a distribution name');
+    }
+    const topology = options.topology;
+    if (topology.n > MAX_PHILOSOPHERS) {
+        throw new Error(`Parallel mode supports at most ${MAX_PHILOSOPHERS} philosophers`);
+    }
+
+    const clock = new RealClock();
+    const startTime = clock.now();
+    const runId = startRun(algorithm, { seed: options.seed, clock, startTime });
+    const seats = options.seats !== undefined ? options.seats : topology.n - 1;
+    const cells = createSharedState(topology.forkCount, seats);
+    const forks = Array.from({ length: topology.forkCount }, (_, f) => new AtomicFork(f, cells, getDefaultRun()));
+
+    // Record events in SEQ order, whatever order the workers' messages arrive in
+    const pending = new Map();
+    let nextSeq = 0;
+    const receive = ({ seq, entry }) => {
+        pending.set(seq, entry);
+        while (pending.has(nextSeq)) {
+            recordEvent(pending.get(nextSeq));
+            pending.delete(nextSeq++);
+        }
+    };
+
+    const workers = [];
+    const finished = Array.from({ length: topology.n }, (_, id) => new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, {
+            workerData: {
+                id, algorithm, runId, startTime, cells,
+                meals: options.meals || 10,
+                timing: { eatTime: options.eatTime, thinkTime: options.thinkTime },
+                topology: { name: topology.name, forksOf: topology.forksOf },
+                preload: (options.preload || []).map(module => path.resolve(module))
+            }
+        });
+        workers.push(worker);
+        worker.on('message', message => {
+            if (message.type === 'event') {
+                receive(message);
+            } else if (message.type === 'done') {
+                resolve();
+            } else if (message.type === 'error') {
+                reject(new Error(`Philosopher ${id}: ${message.message}`));
+            }
+        });
+        worker.on('error', reject);
+    }));
+
+    const detector = new DeadlockDetector(forks, {
+        clock,
+        log,
+        progress: () => Atomics.load(cells, SEQ),
+        progressWindow: options.progressWindow,
+        interval: options.interval
+    });
+    try {
+        await detector.watch(finished);
+    } finally {
+        finished.forEach(promise => promise.catch(() => {}));
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+    return runId;
+}
+
+// Worker thread: run one philosopher and send its events to the main thread
+async function runWorker({ id, algorithm, runId, startTime, cells, meals, timing, topology, preload }) {
+    preload.forEach(module => require(module));
+
+    const run = new Run({ algorithm, runId, startTime, sinks: [] });
+    run.onLog(entry => parentPort.postMessage({ type: 'event', seq: Atomics.add(cells, SEQ, 1), entry }));
+
+    const layout = new Topology(topology.name, topology.forksOf);
+    const forks = Array.from({ length: layout.forkCount }, (_, f) => new AtomicFork(f, cells, run));
+    const philosopher = new Philosopher(id, forks, layout, timing);
+    // Algorithms start as registered (see algorithms.js), sharing the AtomicConductor
+    await getAlgorithm(algorithm).start(philosopher, meals, new AtomicConductor(cells));
+}
+
+if (!isMainThread && workerData && workerData.cells) {
+    runWorker(workerData).then(
+        () => parentPort.postMessage({ type: 'done' }),
+        err => parentPort.postMessage({ type: 'error', message: err.message })
+    );
+}
+
+module.exports = {
+    AtomicFork,
+    AtomicConductor,
+    SharedWaitSet,
+    createSharedState,
+    runParallel
+};
@@ -0,0 +1,107 @@
+const { AtomicFork, AtomicConductor, SharedWaitSet, createSharedState, runParallel } = require('./parallel');
+const { getEventLog, clearEventLog } = require('./philosophers');
+const { checkRun } = require('./check-forks');
+const { ring, line, complete } = require('./topology');
+const { RealClock } = require('./clock');
+
+// Run stand-in that records events instead of printing them
+function recordingRun() {
+    const events = [];
+    return { events, clock: new RealClock(), log: (phil, event, forks) => events.push(`${phil}:${event}:${forks}`) };
+}
+
+describe('Shared fork state', () => {
+    test('SharedWaitSet stores philosophers as a bitmask', () => {
+        const set = new SharedWaitSet(createSharedState(1), 5);
+        set.add(0);
+        set.add(3);
+        set.add(31);
+        set.delete(3);
+        expect(Array.from(set)).toEqual([0, 31]);
+        expect(set.has(31)).toBe(true);
+        expect(set.size).toBe(2);
+    });
+
+    test('AtomicFork acquire and release update the shared cells', async () => {
+        const run = recordingRun();
+        const cells = createSharedState(2);
+        const fork = new AtomicFork(1, cells, run);
+        const view = new AtomicFork(1, cells, run);
+
+        expect([fork.state, fork.holder]).toEqual([0, null]);
+        await fork.acquire(4);
+        expect([view.state, view.holder]).toEqual([1, 4]);
+        expect(view.tryTake(2)).toBe(false);
+
+        fork.release(4);
+        expect([view.state, view.holder]).toEqual([0, null]);
+        expect(run.events).toEqual(['4:TRY:1', '4:ACQUIRE:1', '4:RELEASE:1']);
+    });
+
+    test('AtomicFork release by a non-holder throws', async () => {
+        const fork = new AtomicFork(0, createSharedState(1), recordingRun());
+        await fork.acquire(0);
+        expect(() => fork.release(1)).toThrow('Philosopher 1 cannot release fork held by 0');
+    });
+
+    test('interrupt stops a philosopher waiting for a fork', async () => {
+        const cells = createSharedState(1);
+        const fork = new AtomicFork(0, cells, recordingRun());
+        await fork.acquire(0);
+        fork.interrupt();
+        await expect(fork.acquire(1)).rejects.toThrow('Run interrupted');
+        expect(fork.waiting.size).toBe(0);
+    });
+
+    test('AtomicFork acquire gives up after its timeout', async () => {
+        const fork = new AtomicFork(0, createSharedState(1), recordingRun());
+        await fork.acquire(0);
+        await expect(fork.acquire(1, { timeout: 5 })).rejects.toMatchObject({ name: 'TimeoutError' });
+        expect([fork.holder, fork.waiting.size]).toEqual([0, 0]);
+    });
+
+    test('AtomicConductor hands out the shared seats', async () => {
+        const cells = createSharedState(0, 2);
+        const conductor = new AtomicConductor(cells);
+        await conductor.requestSeat();
+        await conductor.requestSeat();
+        expect(cells[2]).toBe(0);
+        conductor.leaveSeat();
+        expect(cells[2]).toBe(1);
+    });
+});
+
+describe('Parallel runs', () => {
+    beforeEach(() => {
+        clearEventLog();
+    });
+
+    test('philosophers in worker threads log one consistent run', async () => {
+        const topology = line(3);
+        const runId = await runParallel('naive', { topology, meals: 5 });
+        const log = getEventLog();
+
+        expect(log.every(e => e.runId === runId && e.algorithm === 'naive')).toBe(true);
+        for (let i = 0; i < topology.n; i++) {
+            expect(log.filter(e => e.phil === i && e.event === 'EAT_END').length).toBe(5);
+        }
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
+
+    test('drinking philosophers never share a bottle', async () => {
+        await runParallel('drinking', { topology: complete(3), meals: 5 });
+        expect(checkRun(getEventLog())).toEqual([]);
+    }, 30000);
+
+    test('naive-timeout philosophers around a ring all finish', async () => {
+        await runParallel('naive-timeout', { topology: ring(3), meals: 3 });
+        const log = getEventLog();
+        expect(log.filter(e => e.event === 'EAT_END').length).toBe(9);
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
+
+    test('algorithms passing messages have no parallel mode', async () => {
+        await expect(runParallel('chandy-misra', { topology: line(2) }))
+            .rejects.toThrow('Algorithm chandy-misra has no parallel mode');
+    });
+});
@@ -1,102 +1,349 @@
 // Concurrency Theory, implementation of the Dining Philosophers problem in node.js
 // Problem description: http://en.wikipedia.org/wiki/Dining_philosophers_problem
 
+const { RealClock, VirtualClock } = require('./clock');
+const { DeadlockDetector, DeadlockError } = require('./deadlock');
+const { BackoffStrategy, createStrategy } = require('./strategies');
+const { ring, createTopology } = require('./topology');
+const { Run } = require('./run');
+const { createDistribution } = require('./distributions');
+const { createPolicy } = require('./admission');
+const { PhilosopherCrash } = require('./faults');
+const { Semaphore, Mutex, Monitor, TimeoutError } = require('./sync');
+const { registerAlgorithm, getAlgorithm, startAlgorithm } = require('./algorithms');
+
+// Default run: the event log, clock and random generator used by the module-level
+// functions below and by forks and philosophers created without a run of their own
+// (see run.js and Table). The clock can be replaced for reproducible runs.
+const defaultRun = new Run();
+
 // Promisified delay helper
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const delay = (ms) => defaultRun.delay(ms);
+
+// Replace the clock of the default run, also for later startRun() calls without a clock
+function useClock(newClock) {
+    defaultRun.useClock(newClock);
+}
 
-// Event log for analysis (JSONL format)
-const eventLog = [];
-let startTime = Date.now();
-let currentAlgorithm = 'unknown';
-let currentRunId = null;
+function getRandom() {
+    return defaultRun.random();
+}
 
 function setAlgorithm(name) {
-    currentAlgorithm = name;
+    defaultRun.algorithm = name;
 }
 
-function generateShortId() {
-    return Math.random().toString(36).slice(2, 8);
+// Start a new run of the default run's event log; see Run.start() for the options
+// (seed, clock, runId, startTime, quiet)
+function startRun(algorithm, options = {}) {
+    return defaultRun.start(algorithm, options);
 }
 
-function startRun(algorithm) {
-    currentAlgorithm = algorithm || currentAlgorithm;
-    currentRunId = generateShortId();
-    startTime = Date.now();
-    return currentRunId;
+// Optional extra fields (e.g. the cycle of a DEADLOCK event) are appended to the entry
+function log(philId, event, forks, extra) {
+    defaultRun.log(philId, event, forks, extra);
 }
 
-function log(philId, event, forks) {
-    const entry = {
-        runId: currentRunId,
-        algorithm: currentAlgorithm,
-        t: Date.now() - startTime,
-        phil: philId,
-        event: event,
-        forks: forks
-    };
-    eventLog.push(entry);
-    console.log(JSON.stringify(entry));
+// Append an entry logged elsewhere (e.g. by a worker thread) to the event log
+function recordEvent(entry) {
+    defaultRun.record(entry);
+}
+
+// Call listener(entry) for every event logged from now on; returns a function removing it
+function onLog(listener) {
+    return defaultRun.onLog(listener);
 }
 
 function getEventLog() {
-    return eventLog;
+    return defaultRun.events;
 }
 
 function clearEventLog() {
-    eventLog.length = 0;
+    defaultRun.clear();
+}
+
+// The default run, e.g. to choose its log sinks: getDefaultRun().setSinks([...])
+function getDefaultRun() {
+    return defaultRun;
+}
+
+// Wait for the start* promises of a run under a deadlock watchdog (see deadlock.js).
+// Rejects with a DeadlockError (and logs a DEADLOCK event) instead of hanging forever.
+// The run the forks belong to is watched and receives the DEADLOCK event.
+function watchDeadlocks(forks, promises, options = {}) {
+    const run = forks.length > 0 ? forks[0].run : defaultRun;
+    return run.watch(forks, promises, options);
+}
+
+// Cancellation of an acquisition by options.signal (an AbortSignal) and/or after
+// options.timeout ms of run time; null when neither is given. `aborted` rejects with
+// the signal's reason or a TimeoutError; dispose() stops listening once the wait is over.
+function cancellation(run, { signal, timeout } = {}) {
+    const hasTimeout = timeout !== undefined && timeout !== null;
+    if (!signal && !hasTimeout) {
+        return null;
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    if (signal) {
+        if (signal.aborted) abort();
+        else signal.addEventListener('abort', abort);
+    }
+    const cancelTimer = hasTimeout ?
+        run.clock.timer(timeout, () => controller.abort(new TimeoutError(`Timed out after ${timeout}ms`))) : null;
+
+    const aborted = new Promise((_, reject) => {
+        if (controller.signal.aborted) reject(controller.signal.reason);
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+    });
+    return {
+        signal: controller.signal,
+        aborted,
+        dispose() {
+            if (signal) signal.removeEventListener('abort', abort);
+            if (cancelTimer) cancelTimer();
+        }
+    };
+}
+
+// Wait until tryTake() succeeds, using the acquisition strategy of the given forks
+// (see strategies.js). tryTake() must take all the forks and return true, or return false.
+// While waiting, requesterId is listed in fork.waiting for the deadlock detector.
+// options: { signal, timeout } cancel the wait (see Fork.acquire); once cancelled,
+// tryTake() is never called again.
+async function waitFor(forks, requesterId, tryTake, options = {}) {
+    const run = forks[0].run;
+    const cancel = cancellation(run, options);
+    let taken = false;
+    const take = () => {
+        if (cancel && cancel.signal.aborted) {
+            throw cancel.signal.reason;
+        }
+        const interrupted = forks.find(fork => fork.interruption);
+        if (interrupted) {
+            throw interrupted.interruption;
+        }
+        taken = tryTake();
+        return taken;
+    };
+
+    forks.forEach(fork => fork.waiting.add(requesterId));
+    try {
+        const acquired = forks[0].strategy.acquire(forks, take, {
+            sleep: ms => run.delay(ms),
+            random: () => run.random(),
+            signal: cancel ? cancel.signal : null
+        });
+        if (cancel) {
+            // A polling strategy only notices the cancellation at its next attempt,
+            // so don't wait for it (its rejection is dropped)
+            acquired.catch(() => {});
+            await Promise.race([acquired, cancel.aborted]).catch(err => {
+                if (!taken) throw err;
+            });
+        } else {
+            await acquired;
+        }
+    } finally {
+        forks.forEach(fork => fork.waiting.delete(requesterId));
+        if (cancel) cancel.dispose();
+    }
+}
+
+// Lease of a fork or seat held by philosopher `holder` (see options.lease of Fork and
+// Conductor). It expires `ms` ms after it was last renewed and then calls onExpire();
+// the holder renews it every ms / 2 while it is alive (see Run.keepAlive), so only the
+// lease of a crashed holder runs out. end() gives it back. Once the run has ended it
+// neither renews nor expires.
+class Lease {
+    constructor(run, holder, ms, onExpire) {
+        this.run = run;
+        this.ms = ms;
+        this.onExpire = onExpire;
+        this.lifetime = run.lifetime;
+        this.cancelExpiry = () => {};
+        this.renew();
+        this.stopRenewing = run.keepAlive(holder, ms / 2, () => this.renew());
+    }
+
+    renew() {
+        this.cancelExpiry();
+        this.cancelExpiry = this.run.clock.timer(this.ms, () => this.expire());
+    }
+
+    expire() {
+        this.stopRenewing();
+        if (!this.lifetime.ended) {
+            this.onExpire();
+        }
+    }
+
+    end() {
+        this.cancelExpiry();
+        this.stopRenewing();
+    }
 }
 
-// Fork class with async acquire using Binary Exponential Backoff (BEB)
+// Fork class with async acquire using a pluggable acquisition strategy,
+// Binary Exponential Backoff (BEB) by default.
+// The fork is a Mutex (sync.js): state and holder are the mutex's, taking the fork locks it
+// and releasing it unlocks it. Waiting is left to the strategy rather than mutex.lock(),
+// since waitFor() takes several forks at once and polls or queues as configured.
 class Fork {
-    constructor(id) {
+    // options.strategy - acquisition strategy (default: BEB starting at 1ms, capped at 1000ms)
+    // options.run      - run the fork logs to (default: the default run)
+    // options.lease    - lease time in ms (default: no lease, see Lease). The holder renews
+    //                    its lease while it is alive; once it has crashed (see faults.js) the
+    //                    lease runs out and the fork is reclaimed with a LEASE_EXPIRED event.
+    //                    Interrupting the fork ends the lease, leaving the fork taken.
+    constructor(id, options = {}) {
         this.id = id;
-        this.state = 0;  // 0 = free, 1 = taken
-        this.holder = null;
+        this.run = options.run || defaultRun;
+        this.mutex = new Mutex({ name: `fork ${id}`, run: this.run, log: false });
+        this.strategy = options.strategy || new BackoffStrategy({ base: 1, cap: 1000 });
+        this.waitQueue = [];       // waiters parked by a queue strategy
+        this.waiting = new Set();  // philosophers currently in acquire()
+        this.interruption = null;
+        this.lease = options.lease || null;
+        this.holderLease = null;  // Lease of the current holder
     }
 
-    // Acquire fork using BEB algorithm:
-    // 1. Before the first attempt, wait 1ms
-    // 2. If fork is taken, double the wait time and retry
-    // 3. On success, set state = 1 and holder = requesterId
-    async acquire(requesterId) {
-        log(requesterId, 'TRY', [this.id]);
+    // 0 = free, 1 = taken; algorithms may also set state and holder directly
+    get state() {
+        return this.mutex.state;
+    }
 
-        let waitTime = 1;
-        const maxWait = 1000;
+    set state(value) {
+        this.mutex.state = value;
+    }
 
-        while (true) {
-            if (this.state === 0) {
-                this.state = 1;
-                this.holder = requesterId;
-                log(requesterId, 'ACQUIRE', [this.id]);
-                return;
+    get holder() {
+        return this.mutex.holder;
+    }
+
+    set holder(value) {
+        this.mutex.holder = value;
+    }
+
+    // Acquire fork using the fork's strategy, e.g. BEB:
+    // 1. Try to take the fork
+    // 2. If fork is taken, wait, double the wait time and retry
+    // 3. On success, set state = 1 and holder = requesterId
+    // options (optional):
+    //   signal  - AbortSignal cancelling the acquisition
+    //   timeout - give up after this many ms
+    // A cancelled acquire() rejects with the signal's reason or a TimeoutError and
+    // leaves the fork alone (it stops retrying and leaves the wait queue).
+    async acquire(requesterId, options = {}) {
+        this.run.log(requesterId, 'TRY', [this.id]);
+
+        await waitFor([this], requesterId, () => {
+            if (!this.mutex.tryLock(requesterId)) {
+                return false;
             }
-            await delay(waitTime);
-            waitTime = Math.min(waitTime * 2, maxWait);
-        }
+            this.run.log(requesterId, 'ACQUIRE', [this.id]);
+            this.startLease(requesterId);
+            return true;
+        }, options);
+        this.run.crashPoint(requesterId, 'holding-fork');
+    }
+
+    startLease(requesterId) {
+        if (!this.lease) return;
+        this.holderLease = new Lease(this.run, requesterId, this.lease, () => {
+            this.holderLease = null;
+            this.mutex.unlock(requesterId);
+            this.run.log(requesterId, 'LEASE_EXPIRED', [this.id]);
+            this.wakeWaiters();
+        });
+    }
+
+    endLease() {
+        if (this.holderLease) this.holderLease.end();
+        this.holderLease = null;
+    }
+
+    // Make pending and future acquire() calls reject with the given error
+    // (used by the deadlock detector to stop philosophers stuck waiting)
+    interrupt(error) {
+        this.interruption = error;
+        this.endLease();
+        this.waitQueue.slice().forEach(waiter => waiter.fail(error));
     }
 
     release(requesterId) {
         if (this.holder !== requesterId) {
             throw new Error(`Philosopher ${requesterId} cannot release fork held by ${this.holder}`);
         }
-        this.state = 0;
-        this.holder = null;
-        log(requesterId, 'RELEASE', [this.id]);
+        this.mutex.unlock(requesterId);
+        this.endLease();
+        this.run.log(requesterId, 'RELEASE', [this.id]);
+        this.wakeWaiters();
+    }
+
+    // Offer the fork to queued waiters in arrival order until one takes it
+    wakeWaiters() {
+        for (const waiter of this.waitQueue.slice()) {
+            if (waiter.wake()) {
+                break;
+            }
+        }
     }
 }
 
 // Philosopher class
+// The forks a philosopher needs come from a topology (see topology.js);
+// by default the circular table, where philosopher i uses forks i and i + 1.
+// A philosopher logs to the run of its forks.
+// Every algorithm should think() before getting hungry and eat() once it holds its
+// forks, so the configured durations apply (and injected crashes happen, see faults.js). Options:
+//   eatTime   - duration of each meal (default 1ms)
+//   thinkTime - duration of the thinking phase before each meal (default: no thinking phase)
+// A duration is a number of ms, a distribution like 'uniform:1:5' or 'exp:2', or a function
+// (random) => ms (see distributions.js); an array gives one duration per philosopher id.
 class Philosopher {
-    constructor(id, forks) {
+    constructor(id, forks, topology = ring(forks.length), options = {}) {
         this.id = id;
         this.forks = forks;
-        this.f1 = id % forks.length;           // left fork
-        this.f2 = (id + 1) % forks.length;     // right fork
+        this.run = forks.length > 0 ? forks[0].run : defaultRun;
+        this.topology = topology;
+        this.forkIds = topology.forksOf[id];  // all forks needed to eat
+        this.f1 = this.forkIds[0];           // left fork
+        this.f2 = this.forkIds[1];           // right fork
+        const own = spec => Array.isArray(spec) ? spec[id] : spec;
+        const eatTime = own(options.eatTime);
+        const thinkTime = own(options.thinkTime);
+        this.eatTime = createDistribution(eatTime !== undefined ? eatTime : 1);
+        this.thinkTime = thinkTime !== undefined && thinkTime !== null ? createDistribution(thinkTime) : null;
     }
 
-    log(event) {
-        log(this.id, event, [this.f1, this.f2]);
+    // Log an event of this philosopher (with all its forks unless given)
+    log(event, forks = this.forkIds, extra) {
+        this.run.log(this.id, event, forks, extra);
+    }
+
+    delay(ms) {
+        return this.run.delay(ms);
+    }
+
+    // Log THINK_START, think for a thinkTime sample and log THINK_END
+    // (nothing when the philosopher has no thinking phase); crash point after-meals
+    async think() {
+        this.run.crashPoint(this.id, 'after-meals');
+        if (this.thinkTime) {
+            this.log('THINK_START');
+            await this.delay(this.thinkTime(() => this.run.random()));
+            this.log('THINK_END');
+        }
+    }
+
+    // Log EAT_START, eat for an eatTime sample and log EAT_END; crash point mid-meal
+    async eat() {
+        this.log('EAT_START');
+        this.run.crashPoint(this.id, 'mid-meal');
+        await this.delay(this.eatTime(() => this.run.random()));
+        this.log('EAT_END');
     }
 
     // Naive algorithm - WARNING: This will DEADLOCK!
@@ -105,22 +352,64 @@ class Philosopher {
     // This is provided as a reference implementation.
     async startNaive(count) {
         const forks = this.forks;
-        const f1 = this.f1;
-        const f2 = this.f2;
 
         for (let i = 0; i < count; i++) {
-            // Pick up left fork first, then right
-            await forks[f1].acquire(this.id);
-            await forks[f2].acquire(this.id);
+            // Think - repeat this in every implementation
+            await this.think();
+
+            // Pick up left fork first, then right (then any further forks)
+            for (const f of this.forkIds) {
+                await forks[f].acquire(this.id);
+            }
 
             // Eat - repeat this in every implementation
-            this.log('EAT_START');
-            await delay(1);
-            this.log('EAT_END');
+            await this.eat();
 
             // Release forks
-            forks[f1].release(this.id);
-            forks[f2].release(this.id);
+            for (const f of this.forkIds) {
+                forks[f].release(this.id);
+            }
+        }
+    }
+
+    // Naive algorithm with timeouts
+    // Like startNaive, but after taking its left fork a philosopher waits at most
+    // `timeout` ms for each further fork. If one doesn't arrive in time it logs TIMEOUT,
+    // puts back the forks it holds, waits retryDelay ms (null: a random delay of up to
+    // `timeout` ms, so neighbours don't retry in lockstep) and starts over.
+    // This breaks the deadlock, but philosophers may still starve.
+    async startNaiveTimeout(count, retryDelay, timeout) {
+        const forks = this.forks;
+        const [first, ...others] = this.forkIds;
+
+        for (let i = 0; i < count; i++) {
+            await this.think();
+
+            for (;;) {
+                await forks[first].acquire(this.id);
+                const held = [first];
+                try {
+                    for (const f of others) {
+                        await forks[f].acquire(this.id, { timeout });
+                        held.push(f);
+                    }
+                    break;
+                } catch (err) {
+                    if (!(err instanceof TimeoutError)) {
+                        throw err;
+                    }
+                }
+
+                this.log('TIMEOUT');
+                held.forEach(f => forks[f].release(this.id));
+                await this.delay(retryDelay !== null ? retryDelay : this.run.random() * timeout);
+            }
+
+            await this.eat();
+
+            for (const f of this.forkIds) {
+                forks[f].release(this.id);
+            }
         }
     }
 
@@ -137,7 +426,9 @@ class Philosopher {
 
     // Conductor (butler/waiter) solution
     // Use a Conductor that limits the number of philosophers
-    // that can attempt to eat simultaneously to N-
+    // that can attempt to eat simultaneously to N-1:
+    // await conductor.requestSeat(this.id) before picking up the forks and
+    // call conductor.leaveSeat(this.id) after releasing them
     async startConductor(count, conductor) {
         const forks = this.forks;
         const f1 = this.f1;
@@ -155,11 +446,15 @@ class Philosopher {
     // NOTE: In this implementation you need to access fork.state directly
     // (not use acquire/release methods) to check and set both forks atomically.
     // You must manually:
-    // - Call log(this.id, 'TRY', [f1, f2]) when starting to acquire
+    // - Call this.log('TRY', [f1, f2]) when starting to acquire
     // - Check if BOTH forks[f1].state === 0 && forks[f2].state === 0
-    // - If yes, set both states to 1, set holders, and call log(this.id, 'ACQUIRE', [f1, f2])
+    // - If yes, set both states to 1, set holders, and call this.log('ACQUIRE', [f1, f2])
     // - If no, wait using BEB and retry
     // - Use forks[x].release() for releasing (this method can still be used)
+    //
+    // Instead of copying the BEB loop you may also write the check-and-set as a
+    // function returning true/false and let the forks' acquisition strategy wait:
+    //   await waitFor([forks[f1], forks[f2]], this.id, () => { ... });
     async startSimultaneous(count) {
         const forks = this.forks;
         const f1 = this.f1;
@@ -167,22 +462,423 @@ class Philosopher {
 
         // TODO: Implement the simultaneous fork pickup solution
     }
+
+    // Chandy-Misra solution (dirty/clean forks passed as messages)
+    // Every fork is always owned by one of its (at most two) users and is either clean or dirty.
+    // Initially each fork is dirty and owned by the user with the lower id.
+    // - A hungry philosopher sends a REQUEST for every fork it does not own.
+    // - The owner of a requested fork gives it up (SEND_FORK) if the fork is dirty
+    //   and the owner is not eating; the fork is cleaned when sent. Otherwise the
+    //   request is deferred until the owner has eaten.
+    // - After eating both forks become dirty and deferred requests are answered.
+    // Messages are delivered asynchronously (after this.delay(0)). When a philosopher
+    // has finished all meals it releases the forks it still owns; a free fork is
+    // simply taken by the neighbour.
+    async startChandyMisra(count) {
+        const forks = this.forks;
+        const myForks = this.forkIds;
+
+        myForks.forEach(f => this.cmInitFork(f));
+        this.cmRequested = new Set();  // forks requested and not yet received
+        this.cmHungry = false;
+        this.cmEating = false;
+        this.cmWake = null;
+
+        for (let i = 0; i < count; i++) {
+            await this.think();
+            this.cmHungry = true;
+
+            while (!myForks.every(f => forks[f].holder === this.id)) {
+                const interrupted = myForks.find(f => forks[f].interruption);
+                if (interrupted !== undefined) {
+                    throw forks[interrupted].interruption;
+                }
+
+                const missing = myForks.filter(f => forks[f].holder !== this.id);
+                for (const f of missing) {
+                    if (forks[f].state === 0) {
+                        // Released by a neighbour that has finished
+                        this.log('REQUEST', [f]);
+                        this.cmReceiveFork(f);
+                    } else if (!this.cmRequested.has(f)) {
+                        this.cmRequested.add(f);
+                        this.log('REQUEST', [f]);
+                        const owner = this.cmNeighbor(f);
+                        this.delay(0).then(() => forks[f].cmPeers.get(owner).cmOnRequest(f, this.id));
+                    }
+                }
+                if (myForks.every(f => forks[f].holder === this.id)) break;
+
+                missing.forEach(f => forks[f].waiting.add(this.id));
+                try {
+                    await this.cmWait(missing);
+                } finally {
+                    missing.forEach(f => forks[f].waiting.delete(this.id));
+                }
+            }
+
+            this.cmEating = true;
+            await this.eat();
+            this.cmEating = false;
+            this.cmHungry = false;
+
+            for (const f of myForks) {
+                forks[f].cmDirty = true;
+                if (forks[f].cmRequestedBy !== null) {
+                    this.cmSendFork(f);
+                }
+            }
+        }
+
+        // Finished: put down the forks nobody has asked for yet
+        for (const f of myForks) {
+            if (forks[f].holder === this.id) {
+                forks[f].release(this.id);
+            }
+        }
+    }
+
+    // Resource hierarchy solution (Dijkstra)
+    // The forks are numbered and every philosopher picks up the forks it needs in
+    // ascending order (on the ring all but the last philosopher take the left fork first).
+    // A wait-for cycle would need a philosopher holding a higher fork while waiting for a
+    // lower one, so there is no deadlock.
+    async startHierarchy(count) {
+        const forks = this.forks;
+        const ordered = [...this.forkIds].sort((a, b) => a - b);
+
+        for (let i = 0; i < count; i++) {
+            await this.think();
+
+            for (const f of ordered) {
+                await forks[f].acquire(this.id);
+            }
+
+            await this.eat();
+
+            for (const f of this.forkIds) {
+                forks[f].release(this.id);
+            }
+        }
+    }
+
+    // Tanenbaum's solution (monitor with THINKING/HUNGRY/EATING states)
+    // A hungry philosopher asks the TanenbaumMonitor for permission to eat, which it
+    // gets once none of its neighbours is eating; its forks are then free.
+    async startTanenbaum(count, monitor) {
+        const forks = this.forks;
+
+        for (let i = 0; i < count; i++) {
+            await this.think();
+
+            await monitor.takeForks(this);
+            for (const f of this.forkIds) {
+                await forks[f].acquire(this.id);
+            }
+
+            await this.eat();
+
+            for (const f of this.forkIds) {
+                forks[f].release(this.id);
+            }
+            await monitor.putForks(this);
+        }
+    }
+
+    // Drinking philosophers
+    // The forks of the topology are bottles. For each session the philosopher needs a
+    // random non-empty subset of its bottles. Bottles are always acquired in ascending
+    // id order (a global resource ordering), so no wait-for cycle can form.
+    // DRINK_START/DRINK_END list the bottles used in the session.
+    async startDrinking(count) {
+        const forks = this.forks;
+
+        for (let i = 0; i < count; i++) {
+            await this.think();
+            let bottles = this.forkIds.filter(() => this.run.random() < 0.5);
+            if (bottles.length === 0) {
+                bottles = [this.forkIds[Math.floor(this.run.random() * this.forkIds.length)]];
+            }
+            bottles.sort((a, b) => a - b);
+
+            for (const b of bottles) {
+                await forks[b].acquire(this.id);
+            }
+
+            this.log('DRINK_START', bottles);
+            this.run.crashPoint(this.id, 'mid-meal');
+            await this.delay(this.eatTime(() => this.run.random()));
+            this.log('DRINK_END', bottles);
+
+            for (const b of bottles) {
+                forks[b].release(this.id);
+            }
+        }
+    }
+
+    // The other user of fork f (undefined for a fork nobody else uses)
+    cmNeighbor(f) {
+        const others = this.topology.users(f).filter(user => user !== this.id);
+        if (others.length > 1) {
+            throw new Error(`Chandy-Misra requires every fork to be shared by at most two philosophers (fork ${f})`);
+        }
+        return others[0];
+    }
+
+    // Set up the Chandy-Misra state of fork f, owned by its lower-id user
+    cmInitFork(f) {
+        const fork = this.forks[f];
+        const neighbor = this.cmNeighbor(f);
+        if (!fork.cmPeers) {
+            const owner = neighbor === undefined ? this.id : Math.min(this.id, neighbor);
+            fork.cmPeers = new Map();
+            fork.cmDirty = true;
+            fork.cmRequestedBy = null;
+            fork.state = 1;
+            fork.holder = owner;
+            this.run.log(owner, 'ACQUIRE', [f], { initial: true });
+        }
+        fork.cmPeers.set(this.id, this);
+    }
+
+    // Wait until woken by an incoming fork or request (or a released fork)
+    cmWait(forkIds) {
+        return new Promise((resolve, reject) => {
+            const forks = this.forks;
+            const remove = () => forkIds.forEach(f => {
+                const index = forks[f].waitQueue.indexOf(waiter);
+                if (index !== -1) forks[f].waitQueue.splice(index, 1);
+            });
+            const waiter = {
+                wake() {
+                    remove();
+                    resolve();
+                    return false;
+                },
+                fail(error) {
+                    remove();
+                    reject(error);
+                }
+            };
+            this.cmWake = () => waiter.wake();
+            forkIds.forEach(f => forks[f].waitQueue.push(waiter));
+        });
+    }
+
+    // Message handler: neighbour `from` requests fork f
+    cmOnRequest(f, from) {
+        const fork = this.forks[f];
+        if (fork.holder === from) {
+            return;  // stale: the requester took the fork after it was put down
+        }
+        fork.cmRequestedBy = from;
+        if (fork.holder === this.id && fork.cmDirty && !this.cmEating) {
+            this.cmSendFork(f);
+        } else if (fork.state === 0) {
+            // Already put down after the last meal: let the requester take it
+            fork.cmRequestedBy = null;
+            const requester = fork.cmPeers.get(from);
+            if (requester && requester.cmWake) requester.cmWake();
+        }
+    }
+
+    // Give fork f (cleaned) to the neighbour that requested it
+    cmSendFork(f) {
+        const fork = this.forks[f];
+        const to = fork.cmRequestedBy;
+        fork.cmRequestedBy = null;
+        fork.cmDirty = false;
+        fork.holder = null;  // in transit
+        this.log('SEND_FORK', [f], { to });
+        this.delay(0).then(() => fork.cmPeers.get(to).cmReceiveFork(f));
+
+        // A hungry philosopher has to ask for the fork again
+        if (this.cmHungry && this.cmWake) this.cmWake();
+    }
+
+    // Message handler: fork f arrives (clean)
+    cmReceiveFork(f) {
+        const fork = this.forks[f];
+        fork.cmDirty = false;
+        fork.state = 1;
+        fork.holder = this.id;
+        this.cmRequested.delete(f);
+        this.log('ACQUIRE', [f]);
+        if (this.cmWake) this.cmWake();
+    }
 }
 
 // Conductor class for the waiter solution
-// Limits the number of philosophers that can eat at the same time
+// Limits the number of philosophers that can eat at the same time: a Semaphore
+// (see sync.js) with one permit per seat. A philosopher calls requestSeat(id) before
+// picking up its forks and leaveSeat(id) after putting them down. When seats are short,
+// the admission policy picks who is seated next (see admission.js). The conductor logs,
+// without forks:
+//   SEAT_REQUEST - { queue: philosophers already waiting, ticket (ticket policy only) }
+//   SEAT_GRANTED - { wait: ms since the request }
+//   SEAT_LEFT
+//   LEASE_EXPIRED - { seat: true }: the seat was taken back (see options.lease)
+// Options:
+//   policy - admission policy name or object (default 'fifo')
+//   run    - run the conductor logs to (default: the default run)
+//   lease  - seat lease in ms (default: no lease, see Lease); renewed while the philosopher
+//            is alive, so the seat of a crashed philosopher is taken back within `lease` ms
 class Conductor {
-    constructor(maxSeats) {
-        this.seats = maxSeats;
-        this.waiting = [];
+    constructor(maxSeats, options = {}) {
+        this.policy = typeof options.policy === 'object' ? options.policy : createPolicy(options.policy);
+        this.run = options.run || defaultRun;
+        this.semaphore = new Semaphore(maxSeats, {
+            name: 'Conductor',
+            run: this.run,
+            log: false,  // logs SEAT_ events instead
+            select: waiting => this.policy.select(waiting, this),
+            onEvent: (event, details) => {
+                if (event === 'ACQUIRE') this.seat(details.phil, details.wait);
+            }
+        });
+        this.meals = new Map();            // philosopher -> seats granted
+        this.lastLeft = new Map();         // philosopher -> time it last left its seat
+        this.admissionWaits = new Map();   // philosopher -> [ms waited for each seat]
+        this.maxQueueLength = 0;
+        this.lease = options.lease || null;
+        this.leases = new Map();           // philosopher -> Lease of its seat
+    }
+
+    // Free seats
+    get seats() {
+        return this.semaphore.permits;
+    }
+
+    // { phil, since, ticket } in arrival order
+    get waiting() {
+        return this.semaphore.waiters;
+    }
+
+    get queueLength() {
+        return this.semaphore.queueLength;
+    }
+
+    // Resolves once the philosopher has a seat
+    async requestSeat(philId) {
+        const extra = { queue: this.queueLength };
+        if (this.policy.issue) {
+            extra.ticket = this.policy.issue();
+        }
+        this.run.log(philId, 'SEAT_REQUEST', [], extra);
+
+        const granted = this.semaphore.acquire(philId, extra.ticket !== undefined ? { ticket: extra.ticket } : {});
+        this.maxQueueLength = Math.max(this.maxQueueLength, this.queueLength);
+        await granted;
+    }
+
+    // Frees the philosopher's seat and seats the next waiter
+    leaveSeat(philId) {
+        if (this.leases.has(philId)) this.leases.get(philId).end();
+        this.leases.delete(philId);
+        this.meals.set(philId, (this.meals.get(philId) || 0) + 1);
+        this.lastLeft.set(philId, this.run.clock.now());
+        this.run.log(philId, 'SEAT_LEFT', []);
+        this.semaphore.release(philId);
+    }
+
+    // The semaphore gave the philosopher a seat after `wait` ms
+    seat(philId, wait) {
+        if (!this.admissionWaits.has(philId)) this.admissionWaits.set(philId, []);
+        this.admissionWaits.get(philId).push(wait);
+        this.run.log(philId, 'SEAT_GRANTED', [], { wait });
+        this.startLease(philId);
+    }
+
+    startLease(philId) {
+        if (!this.lease) return;
+        this.leases.set(philId, new Lease(this.run, philId, this.lease, () => {
+            this.leases.delete(philId);
+            this.run.log(philId, 'LEASE_EXPIRED', [], { seat: true });
+            this.semaphore.release(philId);
+        }));
+    }
+}
+
+// Monitor of Tanenbaum's solution (Modern Operating Systems)
+// Every philosopher is THINKING, HUNGRY or EATING and may only start eating while none of
+// its neighbours (the philosophers sharing a fork with it, see topology.js) is EATING.
+// A philosopher calls takeForks(philosopher) before picking up its forks and
+// putForks(philosopher) after putting them down. takeForks() logs HUNGRY (with the
+// philosopher's forks) and waits on the philosopher's own condition variable (Tanenbaum's
+// semaphore s[i]) until a neighbour putting down its forks lets it eat. Neighbours eating
+// in turn can starve a philosopher, and a crashed one is never taken out of EATING.
+// Options:
+//   run - run the monitor logs to (default: the default run)
+class TanenbaumMonitor {
+    constructor(topology, options = {}) {
+        this.topology = topology;
+        this.run = options.run || defaultRun;
+        this.states = Array(topology.n).fill('THINKING');
+        this.monitor = new Monitor({ name: 'tanenbaum', run: this.run, log: false });
+    }
+
+    // Resolves once the philosopher may eat
+    takeForks(philosopher) {
+        const id = philosopher.id;
+        return this.monitor.enter(id, async () => {
+            this.states[id] = 'HUNGRY';
+            philosopher.log('HUNGRY');
+            this.test(id);
+            await this.monitor.waitUntil(id, id, () => this.states[id] === 'EATING');
+        });
+    }
+
+    // Back to THINKING; lets hungry neighbours eat
+    putForks(philosopher) {
+        const id = philosopher.id;
+        return this.monitor.enter(id, () => {
+            this.states[id] = 'THINKING';
+            this.topology.neighbors(id).forEach(neighbor => this.test(neighbor));
+        });
+    }
+
+    // Let philosopher `id` eat if it is hungry and none of its neighbours is eating
+    test(id) {
+        if (this.states[id] === 'HUNGRY' && this.topology.neighbors(id).every(n => this.states[n] !== 'EATING')) {
+            this.states[id] = 'EATING';
+            this.monitor.notify(id);
+        }
     }
+}
 
-    // TODO: Implement requestSeat() - async method that waits if no seats available
-    async requestSeat() {
+// Table: one run with its own forks, philosophers, clock and event log,
+// so several tables can run at the same time. Options:
+//   algorithm - algorithm name for the log (default 'unknown')
+//   topology  - which forks each philosopher needs (default: ring of n philosophers)
+//   n         - number of philosophers for the default ring (default N)
+//   strategy  - fork acquisition strategy (default: BEB, see Fork)
+//   lease     - fork lease in ms (default: none, see Fork)
+//   faults    - philosophers to crash (see faults.js)
+//   eatTime, thinkTime - see Philosopher
+//   seed, clock, sinks, quiet - see Run.start()
+class Table {
+    constructor(options = {}) {
+        this.run = new Run();
+        this.run.start(options.algorithm, options);
+        this.topology = options.topology || ring(options.n || N);
+        this.forks = Array.from({ length: this.topology.forkCount },
+            (_, i) => new Fork(i, { strategy: options.strategy, lease: options.lease, run: this.run }));
+        this.philosophers = Array.from({ length: this.topology.n },
+            (_, i) => new Philosopher(i, this.forks, this.topology, options));
     }
 
-    // TODO: Implement leaveSeat() - frees a seat and wakes up waiting philosopher
-    leaveSeat() {
+    get runId() {
+        return this.run.runId;
+    }
+
+    get events() {
+        return this.run.events;
+    }
+
+    // Call start(philosopher) for every philosopher, e.g. p => p.startAsym(10), and wait
+    // for all of them under the deadlock watchdog (options: see DeadlockDetector)
+    start(start, options = {}) {
+        return this.run.watch(this.forks, this.philosophers.map(start), options);
     }
 }
 
@@ -194,12 +890,24 @@ const MEALS_PER_PHILOSOPHER = 10;
 const forks = Array.from({ length: N }, (_, i) => new Fork(i));
 const philosophers = Array.from({ length: N }, (_, i) => new Philosopher(i, forks));
 
-// Run the naive algorithm (will deadlock!)
-async function main() {
-    startRun('naive');
-    console.log('Starting naive algorithm (will likely deadlock)...\n');
-
-    await Promise.all(philosophers.map(p => p.startNaive(MEALS_PER_PHILOSOPHER)));
+// Run an algorithm from the registry (see algorithms.js), by default the naive one (will deadlock!)
+// Usage: node philosophers.js [algorithm] [meals]
+async function main(argv = process.argv.slice(2)) {
+    const name = argv.find(arg => isNaN(arg)) || 'naive';
+    const mealsArg = argv.find(arg => !isNaN(arg));
+    const meals = mealsArg !== undefined ? Number(mealsArg) : MEALS_PER_PHILOSOPHER;
+    getAlgorithm(name);
+    startRun(name);
+    console.log(`Starting ${name} algorithm${name === 'naive' ? ' (will likely deadlock)' : ''}...\n`);
+
+    try {
+        await watchDeadlocks(forks, startAlgorithm(name, philosophers, forks, meals));
+    } catch (err) {
+        if (!(err instanceof DeadlockError)) throw err;
+        console.log(`\n${err.message}`);
+        process.exitCode = 1;
+        return;
+    }
 
     console.log('\nAll philosophers finished eating.');
 }
@@ -215,13 +923,32 @@ if (typeof module !== 'undefined' && module.exports) {
         Fork,
         Philosopher,
         Conductor,
+        TanenbaumMonitor,
+        Table,
+        Run,
         N,
         MEALS_PER_PHILOSOPHER,
         getEventLog,
         clearEventLog,
+        getDefaultRun,
         log,
+        recordEvent,
+        onLog,
         setAlgorithm,
         startRun,
-        delay
+        delay,
+        waitFor,
+        createStrategy,
+        createTopology,
+        watchDeadlocks,
+        DeadlockError,
+        TimeoutError,
+        PhilosopherCrash,
+        registerAlgorithm,
+        startAlgorithm,
+        useClock,
+        getRandom,
+        RealClock,
+        VirtualClock
     };
 }
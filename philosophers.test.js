@@ -1,4 +1,8 @@
-const { Fork, Philosopher, N, MEALS_PER_PHILOSOPHER, getEventLog, clearEventLog, startRun } = require('./philosophers');
+const { Fork, Philosopher, N, MEALS_PER_PHILOSOPHER, getEventLog, clearEventLog, startRun, startAlgorithm } = require('./philosophers');
+const { checkRun } = require('./check-forks');
+const { analyzeRun, checkBoundedWaiting } = require('./analyze-log');
+const { ring, line, star, complete, explicit } = require('./topology');
+const { parseAdversary, adversaryTiming } = require('./adversary');
 
 describe('Fork', () => {
     let fork;
@@ -253,7 +257,8 @@ describe('Event logging', () => {
 // Note: The logging format logs [f1, f2] (both philosopher's forks) for context,
 // but in sequential acquire algorithms, only one fork is being acquired/released at a time.
 // We need to track state more carefully - looking at the sequence of TRY->ACQUIRE pairs.
-function analyzeLog(log, n) {
+// The topology (default: the circular table) defines which philosophers are neighbors.
+function analyzeLog(log, n, topology = ring(n)) {
     const results = {
         // Per-philosopher stats
         mealsPerPhilosopher: Array(n).fill(0),
@@ -276,20 +281,13 @@ function analyzeLog(log, n) {
         switch (event) {
             case 'EAT_START':
                 // Check mutual exclusion - no adjacent philosopher should be eating
-                const leftNeighbor = (phil - 1 + n) % n;
-                const rightNeighbor = (phil + 1) % n;
-
-                if (results.currentlyEating.has(leftNeighbor)) {
-                    results.mutualExclusionViolations.push({
-                        index: i,
-                        error: `Philosopher ${phil} started eating while neighbor ${leftNeighbor} is eating`
-                    });
-                }
-                if (results.currentlyEating.has(rightNeighbor)) {
-                    results.mutualExclusionViolations.push({
-                        index: i,
-                        error: `Philosopher ${phil} started eating while neighbor ${rightNeighbor} is eating`
-                    });
+                for (const neighbor of topology.neighbors(phil)) {
+                    if (results.currentlyEating.has(neighbor)) {
+                        results.mutualExclusionViolations.push({
+                            index: i,
+                            error: `Philosopher ${phil} started eating while neighbor ${neighbor} is eating`
+                        });
+                    }
                 }
 
                 results.currentlyEating.add(phil);
@@ -318,15 +316,17 @@ function analyzeLog(log, n) {
     return results;
 }
 
-// Helper to run an algorithm and get its log
-async function runAlgorithm(name, n, startMethod) {
+// Helper to run an algorithm and get its log; `start` is the number of meals for an
+// algorithm of the registry (see algorithms.js) or a function starting the philosophers;
+// `timing` are the thinking and eating times (see Philosopher)
+async function runAlgorithm(name, n, start, topology = ring(n), timing = {}) {
     clearEventLog();
     startRun(name);
 
-    const forks = Array.from({ length: n }, (_, i) => new Fork(i));
-    const philosophers = Array.from({ length: n }, (_, i) => new Philosopher(i, forks));
+    const forks = Array.from({ length: topology.forkCount }, (_, i) => new Fork(i));
+    const philosophers = Array.from({ length: n }, (_, i) => new Philosopher(i, forks, topology, timing));
 
-    await Promise.all(startMethod(philosophers));
+    await Promise.all(typeof start === 'function' ? start(philosophers) : startAlgorithm(name, philosophers, forks, start));
 
     return getEventLog().filter(e => e.algorithm === name);
 }
@@ -340,9 +340,7 @@ describe('Asymmetric algorithm - log analysis', () => {
     });
 
     test('all philosophers complete required meals', async () => {
-        const log = await runAlgorithm('asymmetric', N,
-            (philosophers) => philosophers.map(p => p.startAsym(MEALS))
-        );
+        const log = await runAlgorithm('asymmetric', N, MEALS);
 
         const analysis = analyzeLog(log, N);
 
@@ -352,27 +350,27 @@ describe('Asymmetric algorithm - log analysis', () => {
     }, 30000);
 
     test('no mutual exclusion violations', async () => {
-        const log = await runAlgorithm('asymmetric', N,
-            (philosophers) => philosophers.map(p => p.startAsym(MEALS))
-        );
+        const log = await runAlgorithm('asymmetric', N, MEALS);
 
         const analysis = analyzeLog(log, N);
         expect(analysis.mutualExclusionViolations).toEqual([]);
     }, 30000);
 
     test('valid event sequences', async () => {
-        const log = await runAlgorithm('asymmetric', N,
-            (philosophers) => philosophers.map(p => p.startAsym(MEALS))
-        );
+        const log = await runAlgorithm('asymmetric', N, MEALS);
 
         const analysis = analyzeLog(log, N);
         expect(analysis.sequenceErrors).toEqual([]);
     }, 30000);
 
+    test('fork invariants hold', async () => {
+        const log = await runAlgorithm('asymmetric', N, MEALS);
+
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
+
     test('fairness - no philosopher starved (reasonable distribution)', async () => {
-        const log = await runAlgorithm('asymmetric', N,
-            (philosophers) => philosophers.map(p => p.startAsym(50))
-        );
+        const log = await runAlgorithm('asymmetric', N, 50);
 
         const analysis = analyzeLog(log, N);
 
@@ -392,13 +390,7 @@ describe('Conductor algorithm - log analysis', () => {
     });
 
     test('all philosophers complete required meals', async () => {
-        const { Conductor } = require('./philosophers');
-        const log = await runAlgorithm('conductor', N,
-            (philosophers) => {
-                const conductor = new Conductor(N - 1);
-                return philosophers.map(p => p.startConductor(MEALS, conductor));
-            }
-        );
+        const log = await runAlgorithm('conductor', N, MEALS);
 
         const analysis = analyzeLog(log, N);
 
@@ -408,30 +400,24 @@ describe('Conductor algorithm - log analysis', () => {
     }, 30000);
 
     test('no mutual exclusion violations', async () => {
-        const { Conductor } = require('./philosophers');
-        const log = await runAlgorithm('conductor', N,
-            (philosophers) => {
-                const conductor = new Conductor(N - 1);
-                return philosophers.map(p => p.startConductor(MEALS, conductor));
-            }
-        );
+        const log = await runAlgorithm('conductor', N, MEALS);
 
         const analysis = analyzeLog(log, N);
         expect(analysis.mutualExclusionViolations).toEqual([]);
     }, 30000);
 
     test('valid event sequences', async () => {
-        const { Conductor } = require('./philosophers');
-        const log = await runAlgorithm('conductor', N,
-            (philosophers) => {
-                const conductor = new Conductor(N - 1);
-                return philosophers.map(p => p.startConductor(MEALS, conductor));
-            }
-        );
+        const log = await runAlgorithm('conductor', N, MEALS);
 
         const analysis = analyzeLog(log, N);
         expect(analysis.sequenceErrors).toEqual([]);
     }, 30000);
+
+    test('fork invariants hold', async () => {
+        const log = await runAlgorithm('conductor', N, MEALS);
+
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
 });
 
 describe('Simultaneous algorithm - log analysis', () => {
@@ -443,9 +429,7 @@ describe('Simultaneous algorithm - log analysis', () => {
     });
 
     test('all philosophers complete required meals', async () => {
-        const log = await runAlgorithm('simultaneous', N,
-            (philosophers) => philosophers.map(p => p.startSimultaneous(MEALS))
-        );
+        const log = await runAlgorithm('simultaneous', N, MEALS);
 
         const analysis = analyzeLog(log, N);
 
@@ -455,27 +439,27 @@ describe('Simultaneous algorithm - log analysis', () => {
     }, 30000);
 
     test('no mutual exclusion violations', async () => {
-        const log = await runAlgorithm('simultaneous', N,
-            (philosophers) => philosophers.map(p => p.startSimultaneous(MEALS))
-        );
+        const log = await runAlgorithm('simultaneous', N, MEALS);
 
         const analysis = analyzeLog(log, N);
         expect(analysis.mutualExclusionViolations).toEqual([]);
     }, 30000);
 
     test('valid event sequences', async () => {
-        const log = await runAlgorithm('simultaneous', N,
-            (philosophers) => philosophers.map(p => p.startSimultaneous(MEALS))
-        );
+        const log = await runAlgorithm('simultaneous', N, MEALS);
 
         const analysis = analyzeLog(log, N);
         expect(analysis.sequenceErrors).toEqual([]);
     }, 30000);
 
+    test('fork invariants hold', async () => {
+        const log = await runAlgorithm('simultaneous', N, MEALS);
+
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
+
     test('acquires both forks atomically (TRY followed by ACQUIRE for both)', async () => {
-        const log = await runAlgorithm('simultaneous', N,
-            (philosophers) => philosophers.map(p => p.startSimultaneous(MEALS))
-        );
+        const log = await runAlgorithm('simultaneous', N, MEALS);
 
         // In simultaneous algorithm, each ACQUIRE should have both forks
         const acquireEvents = log.filter(e => e.event === 'ACQUIRE');
@@ -487,3 +471,315 @@ describe('Simultaneous algorithm - log analysis', () => {
         }
     }, 30000);
 });
+
+describe('Naive-timeout algorithm - log analysis', () => {
+    const N = 5;
+    const MEALS = 10;
+
+    beforeEach(() => {
+        clearEventLog();
+    });
+
+    test('all philosophers complete required meals', async () => {
+        const log = await runAlgorithm('naive-timeout', N, MEALS);
+
+        const analysis = analyzeLog(log, N);
+
+        for (let i = 0; i < N; i++) {
+            expect(analysis.mealsPerPhilosopher[i]).toBe(MEALS);
+        }
+    }, 30000);
+
+    test('no mutual exclusion violations', async () => {
+        const log = await runAlgorithm('naive-timeout', N, MEALS);
+
+        const analysis = analyzeLog(log, N);
+        expect(analysis.mutualExclusionViolations).toEqual([]);
+    }, 30000);
+
+    test('fork invariants hold', async () => {
+        const log = await runAlgorithm('naive-timeout', N, MEALS);
+
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
+
+    test('a timeout puts the left fork back', async () => {
+        // Every philosopher grabs its left fork at once, so the first round must time out
+        const log = await runAlgorithm('naive-timeout', N,
+            (philosophers) => philosophers.map(p => p.startNaiveTimeout(2, 5, 10))
+        );
+
+        const timeouts = log.filter(e => e.event === 'TIMEOUT');
+        expect(timeouts.length).toBeGreaterThan(0);
+        for (const timeout of timeouts) {
+            const [f1, f2] = timeout.forks;
+            expect(f2).toBe((f1 + 1) % N);
+            const next = log.slice(log.indexOf(timeout) + 1).find(e => e.phil === timeout.phil);
+            expect(next).toMatchObject({ event: 'RELEASE', forks: [f1] });
+        }
+    }, 30000);
+});
+
+describe('Chandy-Misra algorithm - log analysis', () => {
+    const N = 5;
+    const MEALS = 10;
+
+    beforeEach(() => {
+        clearEventLog();
+    });
+
+    test('all philosophers complete required meals', async () => {
+        const log = await runAlgorithm('chandy-misra', N, MEALS);
+
+        const analysis = analyzeLog(log, N);
+
+        for (let i = 0; i < N; i++) {
+            expect(analysis.mealsPerPhilosopher[i]).toBe(MEALS);
+        }
+    }, 30000);
+
+    test('no mutual exclusion violations', async () => {
+        const log = await runAlgorithm('chandy-misra', N, MEALS);
+
+        const analysis = analyzeLog(log, N);
+        expect(analysis.mutualExclusionViolations).toEqual([]);
+    }, 30000);
+
+    test('valid event sequences', async () => {
+        const log = await runAlgorithm('chandy-misra', N, MEALS);
+
+        const analysis = analyzeLog(log, N);
+        expect(analysis.sequenceErrors).toEqual([]);
+    }, 30000);
+
+    test('fork invariants hold', async () => {
+        const log = await runAlgorithm('chandy-misra', N, MEALS);
+
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
+
+    test('forks are only sent to neighbours that requested them', async () => {
+        const log = await runAlgorithm('chandy-misra', N, MEALS);
+
+        const requested = new Set();
+        for (const event of log) {
+            if (event.event === 'REQUEST') {
+                requested.add(`${event.phil}:${event.forks[0]}`);
+            }
+            if (event.event === 'SEND_FORK') {
+                const key = `${event.to}:${event.forks[0]}`;
+                expect(requested.has(key)).toBe(true);
+                requested.delete(key);
+            }
+        }
+        expect(log.some(e => e.event === 'SEND_FORK')).toBe(true);
+    }, 30000);
+});
+
+describe('Resource hierarchy algorithm - log analysis', () => {
+    const N = 5;
+    const MEALS = 10;
+
+    beforeEach(() => {
+        clearEventLog();
+    });
+
+    test('all philosophers complete required meals', async () => {
+        const log = await runAlgorithm('hierarchy', N, MEALS);
+
+        const analysis = analyzeLog(log, N);
+
+        for (let i = 0; i < N; i++) {
+            expect(analysis.mealsPerPhilosopher[i]).toBe(MEALS);
+        }
+    }, 30000);
+
+    test('no mutual exclusion violations', async () => {
+        const log = await runAlgorithm('hierarchy', N, MEALS);
+
+        const analysis = analyzeLog(log, N);
+        expect(analysis.mutualExclusionViolations).toEqual([]);
+        expect(analysis.sequenceErrors).toEqual([]);
+    }, 30000);
+
+    test('fork invariants hold', async () => {
+        const log = await runAlgorithm('hierarchy', N, MEALS);
+
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
+
+    test('forks are picked up lowest number first', async () => {
+        const log = await runAlgorithm('hierarchy', N, MEALS);
+
+        for (let i = 0; i < N; i++) {
+            const tries = log.filter(e => e.phil === i && e.event === 'TRY').map(e => e.forks[0]);
+            const [low, high] = [i, (i + 1) % N].sort((a, b) => a - b);
+            expect(tries).toEqual(Array(MEALS).fill([low, high]).flat());
+        }
+    }, 30000);
+});
+
+describe('Tanenbaum algorithm - log analysis', () => {
+    const N = 5;
+    const MEALS = 10;
+
+    beforeEach(() => {
+        clearEventLog();
+    });
+
+    test('all philosophers complete required meals', async () => {
+        const log = await runAlgorithm('tanenbaum', N, MEALS);
+
+        const analysis = analyzeLog(log, N);
+
+        for (let i = 0; i < N; i++) {
+            expect(analysis.mealsPerPhilosopher[i]).toBe(MEALS);
+        }
+    }, 30000);
+
+    test('no mutual exclusion violations', async () => {
+        const log = await runAlgorithm('tanenbaum', N, MEALS);
+
+        const analysis = analyzeLog(log, N);
+        expect(analysis.mutualExclusionViolations).toEqual([]);
+        expect(analysis.sequenceErrors).toEqual([]);
+    }, 30000);
+
+    test('fork invariants hold', async () => {
+        const log = await runAlgorithm('tanenbaum', N, MEALS);
+
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
+
+    test('philosophers are HUNGRY once per meal, before taking their forks', async () => {
+        const log = await runAlgorithm('tanenbaum', N, MEALS);
+
+        for (let i = 0; i < N; i++) {
+            const events = log.filter(e => e.phil === i).map(e => e.event);
+            expect(events.filter(e => e === 'HUNGRY').length).toBe(MEALS);
+            expect(events.slice(0, 2)).toEqual(['HUNGRY', 'TRY']);
+        }
+        expect(log.find(e => e.event === 'HUNGRY').forks).toEqual([0, 1]);
+    }, 30000);
+
+    test('the forks are free once the monitor lets a philosopher eat', async () => {
+        const log = await runAlgorithm('tanenbaum', N, MEALS);
+
+        log.forEach((event, i) => {
+            if (event.event === 'TRY') {
+                expect(log[i + 1]).toMatchObject({ phil: event.phil, event: 'ACQUIRE', forks: event.forks });
+            }
+        });
+    }, 30000);
+});
+
+describe('Bounded waiting under adversarial schedules', () => {
+    const N = 5;
+    const MEALS = 20;
+
+    beforeEach(() => {
+        clearEventLog();
+    });
+
+    // Each neighbour of a hungry Chandy-Misra philosopher eats at most once before it does:
+    // afterwards their shared fork is dirty and has to be handed over
+    test.each(['greedy', 'skewed'])('chandy-misra: %s neighbours overtake philosopher 0 at most once each', async mode => {
+        const timing = adversaryTiming(parseAdversary(`${mode}:0:5`), ring(N), { thinkTime: 2 });
+        const log = await runAlgorithm('chandy-misra', N, MEALS, ring(N), timing);
+
+        const metrics = analyzeRun(log);
+        expect(metrics.mealsPerPhilosopher).toEqual(Array(N).fill(MEALS));
+        expect(checkBoundedWaiting(metrics, { overtakes: 2 })).toEqual([]);
+    }, 30000);
+});
+
+describe('Other topologies - log analysis', () => {
+    const topologies = {
+        line: line(5),
+        star: star(5),
+        complete: complete(4),
+        explicit: explicit([[0, 1, 2], [2, 3], [3, 4, 0], [1, 4]])
+    };
+
+    beforeEach(() => {
+        clearEventLog();
+    });
+
+    test.each(Object.keys(topologies))('chandy-misra on %s completes without violations', async (name) => {
+        const topology = topologies[name];
+
+        const log = await runAlgorithm('chandy-misra', topology.n, 5, topology);
+
+        const analysis = analyzeLog(log, topology.n, topology);
+        expect(analysis.mealsPerPhilosopher).toEqual(Array(topology.n).fill(5));
+        expect(analysis.mutualExclusionViolations).toEqual([]);
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
+
+    test.each(['hierarchy', 'tanenbaum'].flatMap(algorithm => Object.keys(topologies).map(name => [algorithm, name])))(
+        '%s on %s completes without violations', async (algorithm, name) => {
+            const topology = topologies[name];
+
+            const log = await runAlgorithm(algorithm, topology.n, 5, topology);
+
+            const analysis = analyzeLog(log, topology.n, topology);
+            expect(analysis.mealsPerPhilosopher).toEqual(Array(topology.n).fill(5));
+            expect(analysis.mutualExclusionViolations).toEqual([]);
+            expect(checkRun(log)).toEqual([]);
+        }, 30000);
+
+    test('philosophers log all forks they need', async () => {
+        const topology = topologies.explicit;
+        const forks = Array.from({ length: topology.forkCount }, (_, i) => new Fork(i));
+        const philosopher = new Philosopher(0, forks, topology);
+        philosopher.log('EAT_START');
+        expect(getEventLog()[0].forks).toEqual([0, 1, 2]);
+    });
+
+    test('mutual exclusion checker uses topology neighbors', () => {
+        const topology = topologies.star;
+        const log = [
+            { phil: 1, event: 'EAT_START', forks: [0] },
+            { phil: 2, event: 'EAT_START', forks: [1] },
+            { phil: 0, event: 'EAT_START', forks: [0, 1, 2, 3] }
+        ];
+        const analysis = analyzeLog(log, topology.n, topology);
+        expect(analysis.mutualExclusionViolations.map(v => v.index)).toEqual([2, 2]);
+    });
+});
+
+describe('Drinking philosophers - log analysis', () => {
+    const SESSIONS = 10;
+
+    beforeEach(() => {
+        clearEventLog();
+    });
+
+    test('all philosophers complete their sessions', async () => {
+        const topology = complete(4);
+        const log = await runAlgorithm('drinking', topology.n, SESSIONS, topology);
+
+        const sessions = log.filter(e => e.event === 'DRINK_END');
+        for (let i = 0; i < topology.n; i++) {
+            expect(sessions.filter(e => e.phil === i).length).toBe(SESSIONS);
+        }
+    }, 30000);
+
+    test('each session uses a non-empty subset of the incident bottles', async () => {
+        const topology = complete(4);
+        const log = await runAlgorithm('drinking', topology.n, SESSIONS, topology);
+
+        for (const event of log.filter(e => e.event === 'DRINK_START')) {
+            expect(event.forks.length).toBeGreaterThan(0);
+            event.forks.forEach(b => expect(topology.forksOf[event.phil]).toContain(b));
+        }
+    }, 30000);
+
+    test('no two drinkers ever share a bottle', async () => {
+        const topology = complete(5);
+        const log = await runAlgorithm('drinking', topology.n, SESSIONS, topology);
+
+        expect(analyzeRun(log).mutualExclusionViolations).toBe(0);
+        expect(checkRun(log)).toEqual([]);
+    }, 30000);
+});
@@ -1,12 +1,83 @@
 // Run experiments for all algorithms and collect logs
 //
 // Usage:
-//   node run-experiments.js [algorithm] [meals] [--solutions]
+//   node run-experiments.js [algorithm] [meals] [--solutions] [--seed=<n>] [--virtual] [--progress-window=<ms>]
+//                           [--strategy=<name>] [--backoff-base=<ms>] [--backoff-cap=<ms>] [--poll-interval=<ms>]
+//                           [--topology=<ring|line|star|complete|file.json>] [--parallel]
+//                           [--quiet] [--gzip] [--out=<file>] [--crash=<faults>] [--lease=<ms>]
+//                           [--n=<values>] [--meals=<values>] [--eat-time=<values>] [--think-time=<values>]
+//                           [--conductor-policy=<names>] [--repeat=<count>] [--config=<sweep.json>]
+//                           [--serve[=<port>]] [--require=<modules>] [--adversary=<mode[:victim[:factor]]>]
+//                           [--bound=<bounds>] [--distributed] [--latency=<ms|dist>] [--transport=<tcp|ipc>]
 //
 // Arguments:
-//   algorithm   - Optional: asymmetric, conductor, simultaneous, naive-timeout, or all (default: all)
+//   algorithm   - Optional: asymmetric, conductor, simultaneous, naive-timeout, chandy-misra, naive,
+//                 drinking, hierarchy, tanenbaum, any algorithm registered by a --require module
+//                 (see algorithms.js),
+//                 or all (default: all; naive and drinking only when named)
 //   meals       - Optional: number of meals per philosopher (default: 100)
 //   --solutions - Optional: use reference solutions instead of student implementations
+//   --seed      - Optional: seed for run IDs and (with --virtual) the interleaving;
+//                 the i-th run (counting from 0) uses seed + i
+//   --virtual   - Optional: run on a virtual clock, so delays take no real time
+//   --progress-window - Optional: report a deadlock after this many ms without any logged event
+//   --strategy  - Optional: fork acquisition strategy: beb (default), beb-jitter, polling or queue
+//   --backoff-base, --backoff-cap - Optional: first and maximum BEB wait in ms (default: 1 and 1000)
+//   --n         - Optional: number of philosophers (default: 5; ignored for a topology file)
+//   --meals     - Optional: meals per philosopher, like the meals argument
+//   --eat-time, --think-time - Optional: duration of each meal (default 1ms) and of the thinking phase
+//                 before each meal (default: none), in ms or as a distribution: uniform:<min>:<max>,
+//                 exp:<mean> (see distributions.js)
+//   --poll-interval - Optional: retry interval in ms for the polling strategy (default: 1)
+//   --conductor-policy - Optional: who gets a free seat of the conductor: fifo (default), longest-wait,
+//                 least-eaten or ticket (see admission.js); a list (fifo,ticket) compares them
+//   --topology  - Optional: which forks each philosopher needs (default: ring); a JSON file
+//                 holds an explicit list of fork lists, e.g. [[0, 1, 2], [2, 3], [3, 0]]
+//   --parallel  - Optional: run every philosopher in its own worker thread with forks in
+//                 shared memory (see parallel.js); not with --virtual or chandy-misra
+//   --quiet     - Optional: do not print every event to the terminal
+//   --gzip      - Optional: write the log gzip-compressed (.jsonl.gz)
+//   --out       - Optional: log file (default: logs/all-experiments-<solutions|student>-<timestamp>.jsonl[.gz])
+//   --crash     - Optional: crash philosophers, phil:point[:meals] comma-separated, with point
+//                 after-meals, holding-fork or mid-meal (see faults.js); not with --parallel.
+//                 Unless --progress-window is given, a run stalled by a crash ends after 5000ms
+//   --lease     - Optional: lease in ms for forks and conductor seats, so the forks and seat of a
+//                 crashed philosopher are reclaimed (LEASE_EXPIRED)
+//   --repeat    - Optional: run every configuration this many times (default: 1)
+//   --config    - Optional: JSON file with the sweep, e.g.
+//                 { "algorithms": ["asymmetric"], "n": [3, 5, 7], "thinkTime": "0-10:5", "repeat": 3 }
+//                 (keys: algorithms, n, meals, eatTime, thinkTime, backoffBase, backoffCap,
+//                 conductorPolicy, repeat);
+//                 command line flags take precedence
+//   --serve     - Optional: stream the events to a live dashboard page (see dashboard.js) on
+//                 http://127.0.0.1:<port>/ (default port 8080); the experiments start once the
+//                 page is opened, and the dashboard keeps running afterwards until Ctrl+C
+//   --require   - Optional: modules to load first (comma-separated), e.g. ones that register
+//                 more algorithms with registerAlgorithm() (also loaded by the --parallel workers)
+//   --adversary - Optional: let the neighbours of philosopher `victim` (default 0) starve it:
+//                 greedy (they never think) or skewed (they eat `factor` times longer, default 10),
+//                 see adversary.js
+//   --bound     - Optional: bounded waiting to check in every run, e.g. wait:50,overtakes:3 (the
+//                 longest wait to eat in ms, the most neighbour meals during one wait; see
+//                 analyze-log.js); exits with code 1 when a run exceeds it
+//   --distributed - Optional: run every philosopher in its own process, taking the forks from a
+//                 fork server in this process (see distributed.js); not with --virtual,
+//                 --parallel or --crash; `all` skips the algorithms without a distributed
+//                 mode (see algorithms.js)
+//   --latency   - Optional: with --distributed, delay every message by this many ms or a
+//                 distribution, e.g. uniform:1:5 (default: none)
+//   --transport - Optional: with --distributed, tcp (default) or ipc (Unix domain socket)
+//
+// The sweep parameters (--n, --meals, --eat-time, --think-time, --backoff-base, --backoff-cap,
+// --conductor-policy) take one value, a list (3,5,7) or a range (3-9 or 3-9:2); every combination
+// is run for every algorithm (see sweep.js), except that only conductor runs vary the policy. Events are written to the log file while the experiments
+// run (see sinks.js). The metrics of every run (duration, meals/s, mean and p99 wait,
+// fairness, longest wait to eat and most overtakes, and for the conductor the admission wait
+// and longest queue) are written next to it,
+// to <log>-summary.csv and <log>-summary.json.
+//
+// Every run is watched by the deadlock detector (deadlock.js): a deadlocked run is
+// stopped, a DEADLOCK event with the wait-for cycle is logged and the next run starts.
 //
 // Examples:
 //   node run-experiments.js                      - run all student implementations with 100 meals
@@ -14,29 +85,139 @@
 //   node run-experiments.js asymmetric 50        - run asymmetric with 50 meals
 //   node run-experiments.js conductor --solutions - run conductor with reference solution
 //   node run-experiments.js all 1000 --solutions  - run all algorithms with 1000 meals using solutions
+//   node run-experiments.js asymmetric --virtual --seed=42 - replayable run in virtual time
+//   node run-experiments.js naive 10              - show the deadlock of the naive algorithm
+//   node run-experiments.js all 100 --strategy=queue - FIFO wait queues instead of BEB polling
+//   node run-experiments.js chandy-misra --topology=complete - every pair of philosophers shares a fork
+//   node run-experiments.js drinking 50 --topology=complete - drinking philosophers, forks are bottles
+//   node run-experiments.js simultaneous --parallel - look for real races between worker threads
+//   node run-experiments.js all 1000 --quiet --gzip - long runs without terminal output
+//   node run-experiments.js asymmetric --n=3-9:2 --think-time=0,5 --repeat=3 --quiet - parameter sweep
+//   node run-experiments.js chandy-misra --think-time=exp:5 --eat-time=uniform:1:3 - random durations
+//   node run-experiments.js conductor --conductor-policy=fifo,least-eaten,ticket --quiet - compare admission policies
+//   node run-experiments.js all 20 --virtual --crash=2:mid-meal:5 --lease=50 - recovery from a crash
+//   node run-experiments.js asymmetric 50 --serve --quiet - watch the run in the browser
+//   node run-experiments.js my-algorithm --require=./my-algorithm.js - run an algorithm from another module
+//   node run-experiments.js all 50 --think-time=5 --adversary=greedy:2 --bound=overtakes:3 - starve philosopher 2
+//   node run-experiments.js hierarchy 20 --distributed --latency=uniform:1:5 - philosophers in separate processes
 
 const fs = require('fs');
+const path = require('path');
+const { PARAMETERS, parseValues, combinations, summaryRow, groupRows, toCsv } = require('./sweep');
+const { parseFaults } = require('./faults');
+const { parseAdversary, adversaryTiming, describeAdversary } = require('./adversary');
+const { hasAlgorithm, algorithmNames, defaultAlgorithms, getAlgorithm, startAlgorithm } = require('./algorithms');
 
 // Parse command line arguments
-const args = process.argv.slice(2).filter(arg => arg !== '--solutions');
+const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+// Value of a --name=value flag (as a number if numeric), or undefined
+const option = (name) => {
+    const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+    if (!arg) return undefined;
+    const value = arg.slice(name.length + 3);
+    return value !== '' && !isNaN(value) ? Number(value) : value;
+};
+
 const useSolutions = process.argv.includes('--solutions');
+const useVirtualClock = process.argv.includes('--virtual');
+const useParallel = process.argv.includes('--parallel');
+const useDistributed = process.argv.includes('--distributed');
+const useQuiet = process.argv.includes('--quiet');
+const useGzip = process.argv.includes('--gzip');
+const servePort = process.argv.includes('--serve') ? 8080 : option('serve');
+const seed = option('seed');
+const faults = option('crash') !== undefined ? parseFaults(option('crash')) : [];
+const lease = option('lease');
+const progressWindow = option('progress-window') || (faults.length > 0 ? 5000 : undefined);
+const strategyName = option('strategy') || 'beb';
+const adversary = option('adversary') !== undefined ? parseAdversary(option('adversary')) : null;
+
+const config = option('config') ? JSON.parse(fs.readFileSync(option('config'), 'utf8')) : {};
 
-const validAlgorithms = ['asymmetric', 'conductor', 'simultaneous', 'naive-timeout', 'all'];
-let algorithmArg = args.find(arg => validAlgorithms.includes(arg));
+// Modules that register more algorithms (see algorithms.js)
+const required = option('require') !== undefined ? String(option('require')).split(',').map(m => path.resolve(m)) : [];
+required.forEach(module => require(module));
+
+let algorithmArg = args.find(arg => arg === 'all' || hasAlgorithm(arg));
 const mealsArg = args.find(arg => /^\d+$/.test(arg));
+const unknownArg = args.find(arg => arg !== algorithmArg && arg !== mealsArg);
+if (unknownArg) {
+    console.error(`Unknown algorithm: ${unknownArg} (expected ${algorithmNames().join(', ')} or all)`);
+    process.exit(1);
+}
 
-const selectedAlgorithms = algorithmArg === 'all' || !algorithmArg ?
-    (useSolutions ? ['asymmetric', 'conductor', 'simultaneous', 'naive-timeout'] : ['asymmetric', 'conductor', 'simultaneous']) :
-    [algorithmArg];
+const selectedAlgorithms = algorithmArg && algorithmArg !== 'all' ? [algorithmArg] :
+    (!algorithmArg && config.algorithms) ||
+        // with --distributed, skip the algorithms that cannot run in processes
+        defaultAlgorithms(useSolutions).filter(name => !useDistributed || getAlgorithm(name).distributed);
+selectedAlgorithms.forEach(getAlgorithm);
 
-const MEALS = mealsArg ? parseInt(mealsArg, 10) : 100;
-const N = 5;
+// Values of every sweep parameter: command line, then config file, then defaults
+const sweepValues = {};
+for (const { key, flag, defaults, duration, choices } of PARAMETERS) {
+    const value = option(flag) !== undefined ? option(flag) :
+        key === 'meals' && mealsArg ? mealsArg :
+            config[key];
+    sweepValues[key] = value === undefined ? defaults : [].concat(value).flatMap(v => parseValues(v, duration, choices));
+}
+const configurations = combinations(sweepValues);
+// Only conductor runs vary the admission policy; the others run for the first policy
+const runsConfiguration = (algorithm, params) =>
+    algorithm === 'conductor' || params.conductorPolicy === sweepValues.conductorPolicy[0];
+const repeat = option('repeat') || config.repeat || 1;
+const pollInterval = option('poll-interval');
+const topologySpec = option('topology');
 
 console.log(`Loading implementations from: ${useSolutions ? './solutions' : './philosophers'}`);
 console.log(`Running algorithms: ${selectedAlgorithms.join(', ')}`);
-console.log(`Running with ${MEALS} meals per philosopher`);
+console.log(`Running with ${sweepValues.meals.join(', ')} meals per philosopher`);
+console.log(`Fork acquisition strategy: ${strategyName}`);
+console.log(`Topology: ${topologySpec || 'ring'}`);
+
+// Parameters with more than one value, shown in the summary
+const swept = PARAMETERS.map(p => p.key).filter(key => sweepValues[key].length > 1);
+if (swept.length > 0 || repeat > 1) {
+    const values = swept.map(key => `${key}=${sweepValues[key].join(',')}`).join(' ');
+    const runs = repeat * selectedAlgorithms.reduce((sum, algorithm) =>
+        sum + configurations.filter(params => runsConfiguration(algorithm, params)).length, 0);
+    console.log(`Sweep: ${values}${values ? ' ' : ''}repeat=${repeat} (${runs} runs)`);
+}
+
+if (useParallel && useVirtualClock) {
+    console.error('--parallel cannot be combined with --virtual');
+    process.exit(1);
+}
+if (useParallel && faults.length > 0) {
+    console.error('--parallel cannot be combined with --crash');
+    process.exit(1);
+}
+if (useDistributed && (useVirtualClock || useParallel || faults.length > 0)) {
+    console.error('--distributed cannot be combined with --virtual, --parallel or --crash');
+    process.exit(1);
+}
+if (!useDistributed && (option('latency') !== undefined || option('transport') !== undefined)) {
+    console.error('--latency and --transport need --distributed');
+    process.exit(1);
+}
+const local = selectedAlgorithms.filter(name => useDistributed && !getAlgorithm(name).distributed);
+if (local.length > 0) {
+    console.error(`--distributed cannot run ${local.join(', ')} (no distributed mode, see algorithms.js)`);
+    process.exit(1);
+}
+if (faults.length > 0) {
+    console.log(`Crashes: ${faults.map(f => `philosopher ${f.phil} ${f.at} after ${f.meals} meals`).join(', ')}`);
+}
 
-const { Fork, Philosopher, Conductor: StudentConductor, getEventLog, clearEventLog, startRun } = require('./philosophers');
+const { Fork, Philosopher, Conductor: StudentConductor, getDefaultRun, startRun, VirtualClock,
+    watchDeadlocks, DeadlockError, createStrategy, createTopology } = require('./philosophers');
+const { MemorySink, StdoutSink, createSink } = require('./sinks');
+const { runParallel } = require('./parallel');
+const { runDistributed } = require('./distributed');
+const { analyzeRun, checkBoundedWaiting, parseBounds } = require('./analyze-log');
+const { Dashboard } = require('./dashboard');
+
+const bounds = option('bound') !== undefined ? parseBounds(option('bound')) : null;
 
 // Load reference solutions if requested (overrides methods on Philosopher prototype)
 let Conductor = StudentConductor;
@@ -45,64 +226,162 @@ if (useSolutions) {
     Conductor = solutions.Conductor;
 }
 
-// Helper function to run an experiment
-async function runExperiment(name, n, mealsPerPhilosopher, startMethod) {
-    const runId = startRun(name);
-
-    const forks = Array.from({ length: n }, (_, i) => new Fork(i));
-    const philosophers = Array.from({ length: n }, (_, i) => new Philosopher(i, forks));
+// Run one experiment (the registered algorithm, or every philosopher in a worker thread
+// with --parallel or in a process of its own with --distributed) with the given sweep
+// parameters; returns its result and summary row
+async function runExperiment(name, params, repetition, runIndex) {
+    const topology = createTopology(topologySpec, params.n);
+    const runSeed = seed !== undefined ? seed + runIndex : undefined;
+    const configured = { eatTime: params.eatTime, thinkTime: params.thinkTime };
+    const timing = adversary ? adversaryTiming(adversary, topology, configured) : configured;
+    const mode = useParallel ? ' in parallel' : useDistributed ? ' distributed' : '';
+    const against = adversary ? `, ${describeAdversary(adversary, topology)}` : '';
+    console.log(`\n=== Running ${name}${mode} (N=${topology.n}, meals=${params.meals}${against}) ===\n`);
 
-    console.log(`\n=== Running ${name} (N=${n}, meals=${mealsPerPhilosopher}) ===\n`);
+    // Keep this run's events in memory for its metrics
+    const run = getDefaultRun();
+    const memory = new MemorySink();
+    run.addSink(memory);
+    const eventsBefore = run.eventCount;
 
-    const eventsBefore = getEventLog().length;
-    await Promise.all(startMethod(philosophers, forks, mealsPerPhilosopher));
-    const eventsAfter = getEventLog().length;
+    let deadlock = null;
+    try {
+        if (useParallel) {
+            await runParallel(name, {
+                topology,
+                meals: params.meals,
+                ...timing,
+                seed: runSeed,
+                progressWindow,
+                preload: [...(useSolutions ? [require.resolve('./solutions')] : []), ...required]
+            });
+        } else if (useDistributed) {
+            await runDistributed(name, {
+                topology,
+                meals: params.meals,
+                ...timing,
+                transport: option('transport'),
+                latency: option('latency'),
+                strategy: createStrategy(strategyName, {
+                    base: params.backoffBase,
+                    cap: params.backoffCap,
+                    interval: pollInterval
+                }),
+                Conductor,
+                conductorPolicy: params.conductorPolicy,
+                seed: runSeed,
+                progressWindow,
+                preload: [...(useSolutions ? [require.resolve('./solutions')] : []), ...required]
+            });
+        } else {
+            const clock = useVirtualClock ? new VirtualClock({ seed: runSeed }) : undefined;
+            startRun(name, { seed: runSeed, clock, faults });
+            const strategy = createStrategy(strategyName, {
+                base: params.backoffBase,
+                cap: params.backoffCap,
+                interval: pollInterval
+            });
+            const forks = Array.from({ length: topology.forkCount }, (_, i) => new Fork(i, { strategy, lease }));
+            const philosophers = Array.from({ length: topology.n }, (_, i) => new Philosopher(i, forks, topology, timing));
+            const started = startAlgorithm(name, philosophers, forks, params.meals,
+                { Conductor, conductorPolicy: params.conductorPolicy, lease });
+            await watchDeadlocks(forks, started, { progressWindow });
+        }
+    } catch (err) {
+        if (!(err instanceof DeadlockError)) throw err;
+        console.log(`\n${err.message}`);
+        deadlock = err.report;
+    }
+    run.setSinks(run.sinks.filter(sink => sink !== memory));
 
-    return {
-        runId,
+    const metrics = memory.events.length > 0 ? analyzeRun(memory.events) : null;
+    const result = {
+        runId: run.runId,
         name,
-        eventCount: eventsAfter - eventsBefore
+        params: { ...params, n: topology.n },
+        repetition,
+        eventCount: run.eventCount - eventsBefore,
+        deadlock,
+        crashes: metrics ? metrics.crashes : 0,
+        boundViolations: bounds && metrics ? checkBoundedWaiting(metrics, bounds) : []
     };
+    result.boundViolations.forEach(v => console.log(`\nBounded waiting violated: ${v.message}`));
+    return { result, row: summaryRow(result, metrics) };
 }
 
 async function main() {
     const results = [];
+    const rows = [];
 
-    clearEventLog();
-
-    // Define all available experiments
-    const experiments = {
-        'asymmetric': (philosophers, _forks, meals) => philosophers.map(p => p.startAsym(meals)),
-        'conductor': (philosophers, _forks, meals) => {
-            const conductor = new Conductor(N - 1);
-            return philosophers.map(p => p.startConductor(meals, conductor));
-        },
-        'simultaneous': (philosophers, _forks, meals) => philosophers.map(p => p.startSimultaneous(meals)),
-        'naive-timeout': (philosophers, _forks, meals) => philosophers.map(p => p.startNaiveTimeout(meals, null, 10))
-    };
+    // Stream the events to the log file (and the terminal)
+    fs.mkdirSync('logs', { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const suffix = useSolutions ? '-solutions' : '-student';
+    const logFile = option('out') || `logs/all-experiments${suffix}-${timestamp}.jsonl${useGzip ? '.gz' : ''}`;
+    const run = getDefaultRun();
+    run.setSinks([
+        createSink(useGzip && !logFile.endsWith('.gz') ? `gzip:${logFile}` : logFile),
+        ...(useQuiet ? [] : [new StdoutSink()])
+    ]);
+    await run.drain();  // fails here if the log file cannot be written
 
-    // Run selected experiments
-    for (const algorithm of selectedAlgorithms) {
-        if (experiments[algorithm]) {
-            results.push(await runExperiment(algorithm, N, MEALS, experiments[algorithm]));
+    // Stream the events to the dashboard page too
+    let dashboard = null;
+    if (servePort !== undefined) {
+        dashboard = new Dashboard();
+        const url = await dashboard.listen(servePort);
+        console.log(`Dashboard at ${url} - the experiments start when the page is opened`);
+        await dashboard.waitForClient();
+        run.addSink(dashboard);
+    }
+
+    // Run selected experiments for every configuration of the sweep
+    for (const params of configurations) {
+        for (const algorithm of selectedAlgorithms) {
+            if (!runsConfiguration(algorithm, params)) continue;
+            for (let repetition = 0; repetition < repeat; repetition++) {
+                const { result, row } = await runExperiment(algorithm, params, repetition, results.length);
+                results.push(result);
+                rows.push(row);
+                await run.drain();  // let the log file catch up before the next run
+            }
         }
     }
 
-    // Save logs
-    fs.mkdirSync('logs', { recursive: true });
+    // The dashboard outlives the run, so the page keeps showing the last state
+    run.setSinks(run.sinks.filter(sink => sink !== dashboard));
+    await run.close();
+    console.log(`\nSaved ${run.eventCount} total events to ${logFile}`);
 
-    const allLogs = getEventLog();
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const suffix = useSolutions ? '-solutions' : '-student';
-    const combinedFilename = `logs/all-experiments${suffix}-${timestamp}.jsonl`;
-    fs.writeFileSync(combinedFilename, allLogs.map(e => JSON.stringify(e)).join('\n'));
-    console.log(`\nSaved ${allLogs.length} total events to ${combinedFilename}`);
+    const summaryBase = logFile.replace(/\.jsonl(\.gz)?$/, '');
+    fs.writeFileSync(`${summaryBase}-summary.csv`, toCsv(rows));
+    fs.writeFileSync(`${summaryBase}-summary.json`, JSON.stringify({ runs: rows, configurations: groupRows(rows) }, null, 2));
+    console.log(`Saved run metrics to ${summaryBase}-summary.csv and ${summaryBase}-summary.json`);
 
     console.log('\n=== Experiment Summary ===');
-    for (const result of results) {
-        console.log(`  ${result.name}: runId=${result.runId}, events=${result.eventCount}`);
-    }
+    results.forEach((result, i) => {
+        const row = rows[i];
+        const params = swept.map(key => `, ${key}=${result.params[key]}`).join('') +
+            (repeat > 1 ? `, repetition=${result.repetition}` : '');
+        const metrics = (row.throughput !== null ? `, meals/s=${row.throughput}, wait mean=${row.waitMean}ms p99=${row.waitP99}ms` +
+            `, longest wait=${row.longestWait}ms overtakes=${row.maxOvertakes}` : '') +
+            (row.maxQueue !== null ? `, seat wait mean=${row.admissionWaitMean}ms max=${row.admissionWaitMax}ms queue=${row.maxQueue}` : '');
+        const status = (result.crashes > 0 ? `, crashes=${result.crashes}` : '') +
+            (result.deadlock ? `, DEADLOCK (${result.deadlock.reason})` : '') +
+            (result.boundViolations.length > 0 ? `, UNBOUNDED WAITING (${result.boundViolations.length})` : '');
+        console.log(`  ${result.name}: runId=${result.runId}${params}, events=${result.eventCount}${metrics}${status}`);
+    });
     console.log('\n=== All experiments completed ===\n');
+    if (results.some(result => result.boundViolations.length > 0)) {
+        console.log(`Bounded waiting (${option('bound')}) violated, see above`);
+        process.exitCode = 1;
+    }
+    if (dashboard) {
+        console.log(`Dashboard still at ${dashboard.url} (Ctrl+C to stop)`);
+    }
 }
 
-main().catch(console.error);
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
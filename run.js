@@ -0,0 +1,216 @@
+// Run: the event logger, clock and random generator of one experiment
+//
+// Every Fork and Philosopher logs to the Run it belongs to, so several runs
+// (e.g. Tables in philosophers.js) can execute at the same time in one process.
+// The module-level log()/startRun()/getEventLog() of philosophers.js use a
+// shared default Run.
+//
+// Entries have the JSONL format of the logs:
+//   { runId, algorithm, t, phil, event, forks, ...extra }
+// where t is the clock time in ms since the run started. They are written to the
+// run's sinks (see sinks.js): by default kept in memory and printed to stdout.
+//
+// A run may also inject faults: philosophers that crash at chosen points (see faults.js).
+
+const { RealClock, createRandom } = require('./clock');
+const { DeadlockDetector } = require('./deadlock');
+const { MemorySink, StdoutSink } = require('./sinks');
+const { FaultInjector, PhilosopherCrash } = require('./faults');
+
+class Run {
+    // options: see start(); the run is started with them unless options.algorithm is missing
+    constructor(options = {}) {
+        this.clock = new RealClock();
+        this.defaultClock = null;  // clock of runs started without one, see useClock()
+        this.random = Math.random;
+        this.algorithm = 'unknown';
+        this.runId = null;
+        this.startTime = this.clock.now();
+        this.eventCount = 0;  // events logged so far, including cleared ones
+        this.listeners = [];
+        this.faults = null;
+        this.lifetime = { ended: false };  // replaced by every start(), see end()
+        this.heartbeats = new Map();       // philosopher -> Set of functions stopping its heartbeats
+        this.setSinks(options.sinks || [new MemorySink(), new StdoutSink()]);
+        if (options.algorithm) {
+            this.start(options.algorithm, options);
+        }
+    }
+
+    // Start a new run. Options:
+    //   seed      - seed for run IDs and random(), making them reproducible
+    //   clock     - clock to use from now on, e.g. new VirtualClock({ seed }) for replayable interleavings
+    //   runId     - join an existing run instead of generating a new ID (used by parallel.js workers)
+    //   startTime - clock time at which the run started (default: now)
+    //   sinks     - replace the sinks of the run (see sinks.js)
+    //   quiet     - do not print events to stdout (removes StdoutSinks)
+    //   faults    - philosophers to crash, [{ phil, at, meals }] (see faults.js)
+    // Without sinks or quiet the sinks stay as they are. Faults, the clock and the seed apply
+    // to one run only: without them the run gets Math.random and the clock set with
+    // useClock(), or a RealClock.
+    start(algorithm, options = {}) {
+        this.end();
+        this.lifetime = { ended: false };
+        this.heartbeats = new Map();
+        this.clock = options.clock || this.defaultClock || new RealClock();
+        if (options.seed !== undefined) {
+            const random = createRandom(options.seed);
+            this.random = () => random();
+        } else {
+            this.random = Math.random;
+        }
+        this.algorithm = algorithm || this.algorithm;
+        this.runId = options.runId || this.generateShortId();
+        this.startTime = options.startTime !== undefined ? options.startTime : this.clock.now();
+        this.faults = options.faults && options.faults.length > 0 ? new FaultInjector(options.faults) : null;
+        if (options.sinks) {
+            this.setSinks(options.sinks);
+        } else if (options.quiet) {
+            this.setSinks(this.sinks.filter(sink => !(sink instanceof StdoutSink)));
+        }
+        return this.runId;
+    }
+
+    // Use this clock now and for the runs started without a clock (null: a RealClock)
+    useClock(clock) {
+        this.defaultClock = clock || null;
+        this.clock = clock || new RealClock();
+    }
+
+    generateShortId() {
+        const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
+        let id = '';
+        for (let i = 0; i < 6; i++) {
+            id += chars[Math.floor(this.random() * chars.length)];
+        }
+        return id;
+    }
+
+    delay(ms) {
+        return this.clock.sleep(ms);
+    }
+
+    // Optional extra fields (e.g. the cycle of a DEADLOCK event) are appended to the entry
+    log(philId, event, forks, extra) {
+        const entry = {
+            runId: this.runId,
+            algorithm: this.algorithm,
+            t: this.clock.now() - this.startTime,
+            phil: philId,
+            event: event,
+            forks: forks,
+            ...extra
+        };
+        this.listeners.forEach(listener => listener(entry));
+        if (this.faults) this.faults.observe(entry);
+        this.record(entry);
+    }
+
+    // Crash the philosopher here if one of the run's faults is due (throws a PhilosopherCrash).
+    // point: after-meals, holding-fork or mid-meal
+    // A crashed philosopher's heartbeats stop with it.
+    crashPoint(philId, point) {
+        if (!this.faults) return;
+        try {
+            this.faults.check(this, philId, point);
+        } catch (err) {
+            (this.heartbeats.get(philId) || new Set()).forEach(stop => stop());
+            throw err;
+        }
+    }
+
+    // The philosopher's side of a lease (see Lease in philosophers.js): call beat() every
+    // `interval` ms while the philosopher is alive, i.e. until it crashes, the run ends or
+    // the returned function is called.
+    keepAlive(philId, interval, beat) {
+        if (!this.heartbeats.has(philId)) this.heartbeats.set(philId, new Set());
+        const heartbeats = this.heartbeats.get(philId);
+        const lifetime = this.lifetime;
+        let cancel = null;
+        const schedule = () => {
+            cancel = this.clock.timer(interval, () => {
+                if (lifetime.ended) return;
+                beat();
+                schedule();
+            });
+        };
+        const stop = () => {
+            cancel();
+            heartbeats.delete(stop);
+        };
+        heartbeats.add(stop);
+        schedule();
+        return stop;
+    }
+
+    // Mark the run as over, so fork and seat leases neither renew nor expire any more
+    // (see philosophers.js). watch() ends the run once its philosophers have finished or
+    // deadlocked.
+    end() {
+        this.lifetime.ended = true;
+    }
+
+    // Append an entry logged elsewhere (e.g. by a worker thread) to the event log
+    record(entry) {
+        this.eventCount++;
+        this.sinks.forEach(sink => sink.write(entry));
+    }
+
+    // The first sink keeping events (memory or ring buffer) backs run.events
+    setSinks(sinks) {
+        this.sinks = sinks;
+        this.buffer = sinks.find(sink => sink.events !== undefined) || null;
+    }
+
+    addSink(sink) {
+        this.setSinks([...this.sinks, sink]);
+    }
+
+    // Events kept in memory (empty when no sink keeps them)
+    get events() {
+        return this.buffer ? this.buffer.events : [];
+    }
+
+    // Resolves once every sink has caught up with the events written so far (see sinks.js)
+    drain() {
+        return Promise.all(this.sinks.filter(sink => sink.drain).map(sink => sink.drain()));
+    }
+
+    // Flush and close all sinks (e.g. finish writing a gzip file)
+    close() {
+        return Promise.all(this.sinks.map(sink => sink.close()));
+    }
+
+    // Call listener(entry) for every event logged from now on; returns a function removing it
+    onLog(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    clear() {
+        if (this.buffer) this.buffer.clear();
+    }
+
+    // Wait for the start* promises of the run under a deadlock watchdog (see deadlock.js).
+    // Rejects with a DeadlockError (and logs a DEADLOCK event) instead of hanging forever.
+    // Philosophers that crashed (PhilosopherCrash) count as finished.
+    watch(forks, promises, options = {}) {
+        const settled = promises.map(promise => Promise.resolve(promise).catch(err => {
+            if (!(err instanceof PhilosopherCrash)) throw err;
+        }));
+        const detector = new DeadlockDetector(forks, {
+            clock: this.clock,
+            log: (...args) => this.log(...args),
+            progress: () => this.eventCount,
+            ...options
+        });
+        return detector.watch(settled).finally(() => this.end());
+    }
+}
+
+module.exports = {
+    Run
+};
@@ -0,0 +1,135 @@
+const { Run } = require('./run');
+const { Table, Fork, VirtualClock, getEventLog, clearEventLog, startRun, log, useClock, getDefaultRun, delay } = require('./philosophers');
+const { checkRun } = require('./check-forks');
+const { RealClock } = require('./clock');
+const { line, complete } = require('./topology');
+
+describe('Run', () => {
+    test('logs entries with its own run ID, algorithm and start time', () => {
+        const clock = new VirtualClock();
+        clock.time = 100;
+        const run = new Run({ algorithm: 'test', clock, seed: 1, quiet: true });
+        clock.time = 105;
+        run.log(2, 'TRY', [2, 3], { extra: true });
+
+        expect(run.events).toEqual([
+            { runId: run.runId, algorithm: 'test', t: 5, phil: 2, event: 'TRY', forks: [2, 3], extra: true }
+        ]);
+        expect(run.runId).toBe(new Run({ algorithm: 'test', seed: 1, quiet: true }).runId);
+    });
+
+    test('listeners see every entry until removed', () => {
+        const run = new Run({ algorithm: 'test', quiet: true });
+        const seen = [];
+        const remove = run.onLog(entry => seen.push(entry.event));
+        run.log(0, 'TRY', [0]);
+        remove();
+        run.log(0, 'ACQUIRE', [0]);
+
+        expect(seen).toEqual(['TRY']);
+        expect(run.eventCount).toBe(2);
+        run.clear();
+        expect(run.events).toEqual([]);
+        expect(run.eventCount).toBe(2);
+    });
+
+    test('a run without clock or seed does not inherit those of the previous run', () => {
+        const run = new Run({ algorithm: 'replay', clock: new VirtualClock({ seed: 1 }), seed: 1, quiet: true });
+        const seeded = run.random;
+        run.start('next');
+        expect(run.clock).toBeInstanceOf(RealClock);
+        expect(run.random).not.toBe(seeded);
+        expect(run.random).toBe(Math.random);
+    });
+
+    test('runs started without a clock keep the one set with useClock()', async () => {
+        const clock = new VirtualClock();
+        useClock(clock);
+        try {
+            startRun('virtual', { quiet: true });
+            expect(getDefaultRun().clock).toBe(clock);
+            await delay(1000);
+            expect(clock.now()).toBe(1000);
+
+            startRun('virtual', { quiet: true, clock: new VirtualClock() });
+            expect(getDefaultRun().clock).not.toBe(clock);
+            startRun('virtual', { quiet: true });
+            expect(getDefaultRun().clock).toBe(clock);
+        } finally {
+            useClock(null);
+        }
+        startRun('real', { quiet: true });
+        expect(getDefaultRun().clock).toBeInstanceOf(RealClock);
+    });
+
+    test('forks created without a run log to the default run', async () => {
+        clearEventLog();
+        startRun('default', { quiet: true });
+        const fork = new Fork(0);
+        await fork.acquire(1);
+        log(null, 'NOTE', []);
+
+        expect(getEventLog().map(e => `${e.algorithm}:${e.event}`)).toEqual(['default:TRY', 'default:ACQUIRE', 'default:NOTE']);
+    });
+});
+
+describe('Table', () => {
+    test('owns its forks and philosophers', () => {
+        const table = new Table({ algorithm: 'drinking', topology: complete(4), quiet: true });
+        expect(table.forks.length).toBe(6);
+        expect(table.philosophers.length).toBe(4);
+        expect(table.forks.every(f => f.run === table.run)).toBe(true);
+        expect(table.philosophers.every(p => p.run === table.run)).toBe(true);
+    });
+
+    test('philosophers think and eat for the configured times', async () => {
+        const table = new Table({
+            algorithm: 'naive', topology: line(2), eatTime: 5, thinkTime: 3,
+            seed: 1, clock: new VirtualClock({ seed: 1 }), quiet: true
+        });
+        await table.start(p => p.startNaive(2));
+
+        const times = (phil, event) => table.events.filter(e => e.phil === phil && e.event === event).map(e => e.t);
+        const starts = times(0, 'EAT_START');
+        expect(times(0, 'EAT_END')).toEqual(starts.map(t => t + 5));
+        expect(times(0, 'THINK_START')[0]).toBe(0);
+        expect(times(0, 'THINK_END')[0]).toBe(3);
+        expect(times(0, 'TRY')[0]).toBe(3);
+    });
+
+    test('durations can differ per philosopher and follow a distribution', async () => {
+        const table = new Table({
+            algorithm: 'naive', topology: line(2), eatTime: ['uniform:2:4', () => 7],
+            seed: 1, clock: new VirtualClock({ seed: 1 }), quiet: true
+        });
+        await table.start(p => p.startNaive(5));
+
+        const meals = (phil) => {
+            const times = table.events.filter(e => e.phil === phil && e.event.startsWith('EAT_')).map(e => e.t);
+            return times.filter((_, i) => i % 2 === 1).map((end, i) => end - times[2 * i]);
+        };
+        meals(0).forEach(d => expect(d >= 2 && d < 4).toBe(true));
+        expect(meals(1)).toEqual([7, 7, 7, 7, 7]);
+        expect(table.events.some(e => e.event === 'THINK_START')).toBe(false);
+    });
+
+    test('two tables run at the same time with separate logs', async () => {
+        clearEventLog();
+        const options = { topology: complete(4), quiet: true };
+        const drinking = new Table({ ...options, algorithm: 'drinking', seed: 1, clock: new VirtualClock({ seed: 1 }) });
+        const chandyMisra = new Table({ ...options, algorithm: 'chandy-misra', seed: 2, clock: new VirtualClock({ seed: 2 }) });
+
+        await Promise.all([
+            drinking.start(p => p.startDrinking(5)),
+            chandyMisra.start(p => p.startChandyMisra(5))
+        ]);
+
+        for (const table of [drinking, chandyMisra]) {
+            expect(table.events.every(e => e.runId === table.runId && e.algorithm === table.run.algorithm)).toBe(true);
+            expect(table.events.filter(e => e.event === 'EAT_END' || e.event === 'DRINK_END').length).toBe(20);
+            expect(checkRun(table.events)).toEqual([]);
+        }
+        expect(drinking.runId).not.toBe(chandyMisra.runId);
+        expect(getEventLog()).toEqual([]);
+    });
+});
@@ -0,0 +1,180 @@
+// Log sinks: where the events of a Run go (see run.js)
+//
+//   MemorySink       - keeps every event in an array (the default, behind getEventLog())
+//   RingBufferSink   - keeps only the last `size` events
+//   StdoutSink       - prints every event as a JSON line (the default console output)
+//   JsonlFileSink    - appends JSON lines to a file while the run is going
+//   GzipFileSink     - the same, gzip-compressed (like logs/reference-solutions-500meals.jsonl.gz)
+//
+// A run without any sink is silent and keeps nothing. Every sink has write(entry)
+// and close(); close() returns a promise that resolves once files are flushed.
+// File sinks apply backpressure like streams: write() returns false once the file
+// falls behind, and drain() resolves when it has caught up (run.drain() waits for
+// every sink, run-experiments.js does so after each run).
+//
+// createSink(spec) builds a sink from a string:
+//   memory | stdout | ring:<size> | jsonl:<file> | gzip:<file> | <file>  (gzip if it ends in .gz)
+// Any other spec is a file path.
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+class MemorySink {
+    constructor() {
+        this.events = [];
+    }
+
+    write(entry) {
+        this.events.push(entry);
+    }
+
+    clear() {
+        this.events.length = 0;
+    }
+
+    close() {
+        return Promise.resolve();
+    }
+}
+
+class RingBufferSink {
+    constructor(size) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`Ring buffer size must be a positive integer, got ${size}`);
+        }
+        this.size = size;
+        this.buffer = [];
+        this.next = 0;  // index of the oldest entry once the buffer is full
+    }
+
+    write(entry) {
+        if (this.buffer.length < this.size) {
+            this.buffer.push(entry);
+        } else {
+            this.buffer[this.next] = entry;
+            this.next = (this.next + 1) % this.size;
+        }
+    }
+
+    // The kept events, oldest first
+    get events() {
+        return [...this.buffer.slice(this.next), ...this.buffer.slice(0, this.next)];
+    }
+
+    clear() {
+        this.buffer = [];
+        this.next = 0;
+    }
+
+    close() {
+        return Promise.resolve();
+    }
+}
+
+class StdoutSink {
+    write(entry) {
+        console.log(JSON.stringify(entry));
+    }
+
+    close() {
+        return Promise.resolve();
+    }
+}
+
+// Writes to a stream that ends in a file; close() resolves when the file is complete.
+// An error of the file (e.g. a directory that does not exist) is kept: write() throws
+// it, and drain() and close() reject with it.
+class StreamSink {
+    constructor(path, stream, file) {
+        this.path = path;
+        this.stream = stream;
+        this.error = null;
+        this.drained = null;  // pending while the stream's buffer is full
+        this.failed = new Promise((_, reject) => {
+            const fail = err => {
+                this.error = this.error || err;
+                reject(this.error);
+            };
+            file.on('error', fail);
+            stream.on('error', fail);
+        });
+        this.closed = new Promise((resolve, reject) => {
+            file.on('close', () => (this.error ? reject(this.error) : resolve()));
+            this.failed.catch(reject);
+        });
+        this.closed.catch(() => {});  // reported by write(), drain() and close()
+        this.opened = Promise.race([new Promise(resolve => file.once('ready', resolve)), this.failed]);
+    }
+
+    // Returns false when the stream is backed up (see drain())
+    write(entry) {
+        if (this.error) {
+            throw this.error;
+        }
+        const ok = this.stream.write(JSON.stringify(entry) + '\n');
+        if (!ok && !this.drained) {
+            this.drained = Promise.race([new Promise(resolve => this.stream.once('drain', resolve)), this.failed])
+                .then(() => { this.drained = null; });
+        }
+        return ok;
+    }
+
+    // Resolves once the file is open and the stream has taken in everything written so far
+    drain() {
+        if (this.error) {
+            return Promise.reject(this.error);
+        }
+        return Promise.all([this.opened, this.drained]).then(() => {});
+    }
+
+    close() {
+        if (!this.error) {
+            this.stream.end();
+        }
+        return this.closed;
+    }
+}
+
+class JsonlFileSink extends StreamSink {
+    constructor(path) {
+        const file = fs.createWriteStream(path);
+        super(path, file, file);
+    }
+}
+
+class GzipFileSink extends StreamSink {
+    constructor(path) {
+        const file = fs.createWriteStream(path);
+        const gzip = zlib.createGzip();
+        gzip.pipe(file);
+        super(path, gzip, file);
+    }
+}
+
+function createSink(spec) {
+    const [type, ...rest] = spec.split(':');
+    const arg = rest.join(':');
+    switch (type) {
+        case 'memory':
+            return new MemorySink();
+        case 'stdout':
+            return new StdoutSink();
+        case 'ring':
+            return new RingBufferSink(Number(arg));
+        case 'jsonl':
+            return new JsonlFileSink(arg);
+        case 'gzip':
+            return new GzipFileSink(arg);
+    }
+    // Anything else is a file
+    return spec.endsWith('.gz') ? new GzipFileSink(spec) : new JsonlFileSink(spec);
+}
+
+module.exports = {
+    MemorySink,
+    RingBufferSink,
+    StdoutSink,
+    JsonlFileSink,
+    GzipFileSink,
+    createSink
+};
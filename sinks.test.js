@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySink, RingBufferSink, StdoutSink, JsonlFileSink, GzipFileSink, createSink } = require('./sinks');
+const { Run } = require('./run');
+const { readLog } = require('./analyze-log');
+
+const entry = (i) => ({ runId: 'run001', algorithm: 'test', t: i, phil: 0, event: 'TRY', forks: [i] });
+
+describe('Log sinks', () => {
+    test('ring buffer keeps the last events, oldest first', () => {
+        const ring = new RingBufferSink(3);
+        [0, 1, 2, 3, 4].forEach(i => ring.write(entry(i)));
+        expect(ring.events.map(e => e.t)).toEqual([2, 3, 4]);
+        ring.clear();
+        expect(ring.events).toEqual([]);
+        expect(() => new RingBufferSink(0)).toThrow('Ring buffer size must be a positive integer, got 0');
+    });
+
+    test('createSink parses sink specs', () => {
+        expect(createSink('memory')).toBeInstanceOf(MemorySink);
+        expect(createSink('stdout')).toBeInstanceOf(StdoutSink);
+        expect(createSink('ring:10')).toMatchObject({ size: 10 });
+        expect(() => createSink('ring:0')).toThrow('Ring buffer size must be a positive integer, got 0');
+    });
+
+    test('any other spec is a file path, also without an extension', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sinks-'));
+        const sink = createSink(path.join(dir, 'log'));
+        expect(sink).toBeInstanceOf(JsonlFileSink);
+        sink.write({ event: 'TRY' });
+        await sink.close();
+        expect(readLog(path.join(dir, 'log')).map(e => e.event)).toEqual(['TRY']);
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    test('a file that cannot be opened fails writes, drain and close with its error', async () => {
+        const file = path.join(os.tmpdir(), 'no-such-directory-for-sinks', 'log.jsonl');
+        const sink = createSink(file);
+        sink.write(entry(0));
+        await expect(sink.drain()).rejects.toThrow('ENOENT');
+        expect(() => sink.write(entry(1))).toThrow('ENOENT');
+        await expect(sink.close()).rejects.toThrow(`ENOENT: no such file or directory, open '${file}'`);
+    });
+
+    test('file sinks report backpressure and drain', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sinks-'));
+        const sink = new JsonlFileSink(path.join(dir, 'log.jsonl'));
+        const run = new Run({ algorithm: 'test', sinks: [sink, new MemorySink()] });
+        const note = 'x'.repeat(1024);
+        let ok = true;
+        for (let i = 0; ok; i++) {
+            ok = sink.write({ i, note });
+        }
+        expect(sink.drained).not.toBeNull();
+        await run.drain();
+        expect(sink.drained).toBeNull();
+        expect(sink.write({ note })).toBe(true);
+        await run.close();
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    test('file sinks write JSONL while the run goes on, plain or gzipped', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sinks-'));
+        const plain = createSink(path.join(dir, 'log.jsonl'));
+        const gzip = createSink(path.join(dir, 'log.jsonl.gz'));
+        expect(plain).toBeInstanceOf(JsonlFileSink);
+        expect(gzip).toBeInstanceOf(GzipFileSink);
+
+        const run = new Run({ algorithm: 'test', sinks: [plain, gzip] });
+        run.log(0, 'TRY', [0]);
+        run.log(0, 'ACQUIRE', [0]);
+        await run.close();
+
+        for (const file of ['log.jsonl', 'log.jsonl.gz']) {
+            expect(readLog(path.join(dir, file)).map(e => e.event)).toEqual(['TRY', 'ACQUIRE']);
+        }
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    test('a run without sinks is silent and keeps nothing but the count', () => {
+        const spy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const run = new Run({ algorithm: 'test', sinks: [] });
+        run.log(0, 'TRY', [0]);
+        expect(spy).not.toHaveBeenCalled();
+        spy.mockRestore();
+
+        expect(run.events).toEqual([]);
+        expect(run.eventCount).toBe(1);
+    });
+
+    test('run.events follows a ring buffer sink', () => {
+        const run = new Run({ algorithm: 'test', sinks: [new RingBufferSink(2)] });
+        [0, 1, 2].forEach(i => run.log(0, 'TRY', [i]));
+        expect(run.events.map(e => e.forks[0])).toEqual([1, 2]);
+    });
+
+    test('quiet removes only the stdout sink', () => {
+        const run = new Run();
+        run.start('test', { quiet: true });
+        expect(run.sinks.map(s => s.constructor.name)).toEqual(['MemorySink']);
+    });
+});
@@ -0,0 +1,126 @@
+// Fork acquisition strategies
+//
+// A strategy decides how a philosopher waits until it can take one or more forks.
+// strategy.acquire(forks, tryTake, context) resolves once tryTake() returned true:
+//   forks   - the Fork objects being acquired
+//   tryTake - takes the forks if possible (setting state/holder and logging ACQUIRE)
+//             and returns true, otherwise returns false; it throws when the forks
+//             were interrupted or the acquisition was cancelled
+//   context - { sleep(ms), random(), signal } from the current clock and random generator;
+//             signal is the AbortSignal of a cancellable acquisition, otherwise null
+//
+// A cancelled acquisition must stop: polling strategies do so at their next attempt
+// (tryTake() throws), strategies parking the requester must drop it right away.
+//
+// Polling strategies (BackoffStrategy, PollingStrategy) retry after a delay.
+// QueueStrategy parks the requester in a FIFO wait queue on every fork and is
+// woken directly by Fork.release(), without polling.
+
+// Binary Exponential Backoff: wait base, 2*base, 4*base, ... up to cap ms between attempts.
+// With jitter, each wait is drawn uniformly from [0, current wait] instead.
+class BackoffStrategy {
+    constructor({ base = 1, cap = 1000, jitter = false } = {}) {
+        this.name = jitter ? 'beb-jitter' : 'beb';
+        this.base = base;
+        this.cap = cap;
+        this.jitter = jitter;
+    }
+
+    async acquire(forks, tryTake, { sleep, random }) {
+        let waitTime = this.base;
+        while (!tryTake()) {
+            await sleep(this.jitter ? random() * waitTime : waitTime);
+            waitTime = Math.min(waitTime * 2, this.cap);
+        }
+    }
+}
+
+// Retry at a fixed interval
+class PollingStrategy {
+    constructor({ interval = 1 } = {}) {
+        this.name = 'polling';
+        this.interval = interval;
+    }
+
+    async acquire(forks, tryTake, { sleep }) {
+        while (!tryTake()) {
+            await sleep(this.interval);
+        }
+    }
+}
+
+// FIFO wait queue: the requester is appended to the waitQueue of every fork it needs;
+// whenever one of them is released, the waiters are offered the fork in arrival order.
+class QueueStrategy {
+    constructor() {
+        this.name = 'queue';
+    }
+
+    acquire(forks, tryTake, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const cancel = () => waiter.fail(signal.reason);
+            const remove = () => {
+                for (const fork of forks) {
+                    const index = fork.waitQueue.indexOf(waiter);
+                    if (index !== -1) fork.waitQueue.splice(index, 1);
+                }
+                if (signal) signal.removeEventListener('abort', cancel);
+            };
+            const waiter = {
+                // Called by Fork.release(); returns true if the waiter took the forks
+                wake() {
+                    let taken;
+                    try {
+                        taken = tryTake();
+                    } catch (err) {
+                        remove();
+                        reject(err);
+                        return false;
+                    }
+                    if (taken) {
+                        remove();
+                        resolve();
+                    }
+                    return taken;
+                },
+                fail(error) {
+                    remove();
+                    reject(error);
+                }
+            };
+
+            if (signal) signal.addEventListener('abort', cancel);
+            forks.forEach(fork => fork.waitQueue.push(waiter));
+            // Earlier waiters get the first chance at forks that are free right now
+            forks.forEach(fork => fork.wakeWaiters());
+        });
+    }
+}
+
+// Create a strategy by name: beb, beb-jitter, polling or queue
+// options: { base, cap } for beb/beb-jitter, { interval } for polling
+function createStrategy(name = 'beb', options = {}) {
+    switch (name) {
+        case 'beb':
+            return new BackoffStrategy(options);
+        case 'beb-jitter':
+            return new BackoffStrategy({ ...options, jitter: true });
+        case 'polling':
+            return new PollingStrategy(options);
+        case 'queue':
+            return new QueueStrategy();
+        default:
+            throw new Error(`Unknown acquisition strategy: ${name}`);
+    }
+}
+
+module.exports = {
+    BackoffStrategy,
+    PollingStrategy,
+    QueueStrategy,
+    createStrategy
+};
@@ -0,0 +1,199 @@
+const { BackoffStrategy, PollingStrategy, QueueStrategy, createStrategy } = require('./strategies');
+const { Fork, getEventLog, clearEventLog, startRun, waitFor, delay } = require('./philosophers');
+
+// Context that records requested sleeps instead of waiting
+function recordingContext(randomValue = 0.5) {
+    const sleeps = [];
+    return {
+        sleeps,
+        sleep: (ms) => { sleeps.push(ms); return Promise.resolve(); },
+        random: () => randomValue
+    };
+}
+
+// tryTake that fails `failures` times before succeeding
+function failingTake(failures) {
+    let attempts = 0;
+    return () => attempts++ >= failures;
+}
+
+describe('BackoffStrategy', () => {
+    test('doubles the wait up to the cap', async () => {
+        const context = recordingContext();
+        await new BackoffStrategy({ base: 2, cap: 10 }).acquire([], failingTake(5), context);
+        expect(context.sleeps).toEqual([2, 4, 8, 10, 10]);
+    });
+
+    test('does not wait when the first attempt succeeds', async () => {
+        const context = recordingContext();
+        await new BackoffStrategy().acquire([], failingTake(0), context);
+        expect(context.sleeps).toEqual([]);
+    });
+
+    test('jitter draws each wait from [0, current wait]', async () => {
+        const context = recordingContext(0.25);
+        await new BackoffStrategy({ base: 4, cap: 16, jitter: true }).acquire([], failingTake(4), context);
+        expect(context.sleeps).toEqual([1, 2, 4, 4]);
+    });
+});
+
+describe('PollingStrategy', () => {
+    test('retries at a fixed interval', async () => {
+        const context = recordingContext();
+        await new PollingStrategy({ interval: 3 }).acquire([], failingTake(3), context);
+        expect(context.sleeps).toEqual([3, 3, 3]);
+    });
+});
+
+describe('createStrategy', () => {
+    test('creates strategies by name', () => {
+        expect(createStrategy('beb', { base: 5 })).toMatchObject({ name: 'beb', base: 5, cap: 1000 });
+        expect(createStrategy('beb-jitter')).toMatchObject({ name: 'beb-jitter', jitter: true });
+        expect(createStrategy('polling', { interval: 2 })).toMatchObject({ name: 'polling', interval: 2 });
+        expect(createStrategy('queue')).toBeInstanceOf(QueueStrategy);
+    });
+
+    test('rejects unknown names', () => {
+        expect(() => createStrategy('spin')).toThrow('Unknown acquisition strategy: spin');
+    });
+});
+
+describe('Fork with queue strategy', () => {
+    let fork;
+
+    beforeEach(() => {
+        clearEventLog();
+        startRun('queue');
+        fork = new Fork(0, { strategy: new QueueStrategy() });
+    });
+
+    test('release hands the fork to waiters in FIFO order', async () => {
+        await fork.acquire(0);
+        const order = [];
+        const waiters = [1, 2, 3].map(id => fork.acquire(id).then(() => {
+            order.push(id);
+            fork.release(id);
+        }));
+
+        await delay(5);
+        expect(fork.waitQueue.length).toBe(3);
+        fork.release(0);
+        await Promise.all(waiters);
+
+        expect(order).toEqual([1, 2, 3]);
+        expect(fork.waitQueue.length).toBe(0);
+    });
+
+    test('waiter is woken by release without any polling', async () => {
+        await fork.acquire(0);
+        const pending = fork.acquire(1);
+
+        fork.release(0);
+        // The ACQUIRE is logged synchronously inside release()
+        const events = getEventLog().map(e => `${e.phil}:${e.event}`);
+        expect(events.slice(-2)).toEqual(['0:RELEASE', '1:ACQUIRE']);
+        await pending;
+        expect(fork.holder).toBe(1);
+    });
+
+    test('waiter for several forks is woken once all of them are free', async () => {
+        const other = new Fork(1, { strategy: fork.strategy });
+        await fork.acquire(0);
+        await other.acquire(2);
+
+        let done = false;
+        const both = waitFor([fork, other], 1, () => {
+            if (fork.state !== 0 || other.state !== 0) return false;
+            fork.state = other.state = 1;
+            fork.holder = other.holder = 1;
+            return true;
+        }).then(() => { done = true; });
+
+        fork.release(0);
+        await delay(1);
+        expect(done).toBe(false);
+
+        other.release(2);
+        await both;
+        expect([fork.holder, other.holder]).toEqual([1, 1]);
+    });
+
+    test('interrupt rejects queued waiters', async () => {
+        await fork.acquire(0);
+        const pending = fork.acquire(1);
+        fork.interrupt(new Error('stop'));
+        await expect(pending).rejects.toThrow('stop');
+        expect(fork.waitQueue.length).toBe(0);
+        expect(fork.waiting.size).toBe(0);
+    });
+});
+
+describe('Fork with backoff strategy', () => {
+    test('uses the configured strategy for retries', async () => {
+        clearEventLog();
+        startRun('beb');
+        const fork = new Fork(0, { strategy: new PollingStrategy({ interval: 1 }) });
+        await fork.acquire(0);
+        const pending = fork.acquire(1);
+        await delay(3);
+        fork.release(0);
+        await pending;
+        expect(fork.holder).toBe(1);
+    });
+
+    test('default strategy is BEB from 1ms to 1000ms', () => {
+        expect(new Fork(0).strategy).toMatchObject({ name: 'beb', base: 1, cap: 1000 });
+    });
+});
+
+describe('Cancelling Fork.acquire', () => {
+    beforeEach(() => {
+        clearEventLog();
+        startRun('cancel');
+    });
+
+    test('timeout rejects without waiting for the next backoff attempt', async () => {
+        const fork = new Fork(0, { strategy: new BackoffStrategy({ base: 500, cap: 500 }) });
+        await fork.acquire(0);
+
+        const started = Date.now();
+        await expect(fork.acquire(1, { timeout: 10 })).rejects.toMatchObject({ name: 'TimeoutError' });
+        expect(Date.now() - started).toBeLessThan(250);
+        expect(fork.waiting.size).toBe(0);
+
+        fork.release(0);
+        expect([fork.state, fork.holder]).toEqual([0, null]);
+    });
+
+    test('an aborted signal removes the waiter from the wait queue', async () => {
+        const fork = new Fork(0, { strategy: new QueueStrategy() });
+        await fork.acquire(0);
+        const controller = new AbortController();
+        const pending = fork.acquire(1, { signal: controller.signal });
+        expect(fork.waitQueue.length).toBe(1);
+
+        controller.abort(new Error('not hungry'));
+        await expect(pending).rejects.toThrow('not hungry');
+        expect(fork.waitQueue.length).toBe(0);
+        expect(fork.waiting.size).toBe(0);
+
+        fork.release(0);
+        expect(fork.holder).toBe(null);
+        expect(getEventLog().map(e => `${e.phil}:${e.event}`)).toEqual(['0:TRY', '0:ACQUIRE', '1:TRY', '0:RELEASE']);
+    });
+
+    test('a signal aborted beforehand never takes the fork', async () => {
+        const fork = new Fork(0);
+        await expect(fork.acquire(1, { signal: AbortSignal.abort() })).rejects.toMatchObject({ name: 'AbortError' });
+        expect(fork.holder).toBe(null);
+    });
+
+    test('an acquisition that succeeds in time is not cancelled later', async () => {
+        const fork = new Fork(0, { strategy: new QueueStrategy() });
+        const controller = new AbortController();
+        await fork.acquire(1, { signal: controller.signal, timeout: 5 });
+        controller.abort();
+        await delay(10);
+        expect(fork.holder).toBe(1);
+    });
+});
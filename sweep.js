@@ -0,0 +1,145 @@
+// Parameter sweeps for run-experiments.js
+//
+// A sweep runs every combination of parameter values, e.g. n = 3,5,7 and
+// thinkTime = 0,5 gives six configurations, each run `repeat` times for every
+// algorithm. The metrics of each run (see analyze-log.js) are summarized in a
+// CSV file (one row per run) and a JSON file (the runs plus the mean of every
+// metric over the repetitions of a configuration).
+
+const { createDistribution } = require('./distributions');
+const { POLICIES } = require('./admission');
+
+// Parameters that can be swept, with the run-experiments.js flag and default values;
+// durations may also be distributions (see distributions.js), choices are names
+const PARAMETERS = [
+    { key: 'n', flag: 'n', defaults: [5] },
+    { key: 'meals', flag: 'meals', defaults: [100] },
+    { key: 'eatTime', flag: 'eat-time', defaults: [1], duration: true },
+    { key: 'thinkTime', flag: 'think-time', defaults: [null], duration: true },
+    { key: 'backoffBase', flag: 'backoff-base', defaults: [1] },
+    { key: 'backoffCap', flag: 'backoff-cap', defaults: [1000] },
+    { key: 'conductorPolicy', flag: 'conductor-policy', defaults: ['fifo'], choices: POLICIES }
+];
+
+// Metrics of a run as written to the summaries
+const METRICS = ['totalMeals', 'duration', 'throughput', 'waitMean', 'waitP99', 'fairnessMeals', 'fairnessWait',
+    'longestWait', 'maxOvertakes', 'admissionWaitMean', 'admissionWaitMax', 'maxQueue'];
+
+// Values of a parameter: a number, or a string with a list (3,5,7) and/or ranges (3-9, 3-9:2).
+// With durations, distributions such as uniform:1:5 are allowed too (kept as strings).
+// With choices, the values are names from that list (e.g. fifo,ticket).
+function parseValues(value, durations = false, choices = null) {
+    if (choices) {
+        return String(value).split(',').map(part => {
+            if (!choices.includes(part)) {
+                throw new Error(`Invalid parameter value: ${part} (expected ${choices.join(', ')})`);
+            }
+            return part;
+        });
+    }
+    if (typeof value === 'number' || value === null) {
+        return [value];
+    }
+    return String(value).split(',').flatMap(part => {
+        if (durations && /^[a-z]/i.test(part)) {
+            createDistribution(part);
+            return [part];
+        }
+        const range = part.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?$/);
+        if (range) {
+            const from = Number(range[1]);
+            const to = Number(range[2]);
+            const step = range[3] ? Number(range[3]) : 1;
+            if (step <= 0 || to < from) {
+                throw new Error(`Invalid range: ${part}`);
+            }
+            const values = [];
+            for (let v = from; v <= to + 1e-9; v += step) {
+                values.push(Number(v.toFixed(9)));
+            }
+            return values;
+        }
+        if (part.trim() === '' || isNaN(part)) {
+            throw new Error(`Invalid parameter value: ${part}`);
+        }
+        return [Number(part)];
+    });
+}
+
+// Every combination of the given values: { n: [3, 5], meals: [10] } -> [{ n: 3, meals: 10 }, { n: 5, meals: 10 }]
+function combinations(values) {
+    return Object.entries(values).reduce(
+        (configs, [key, list]) => configs.flatMap(config => list.map(value => ({ ...config, [key]: value }))),
+        [{}]
+    );
+}
+
+const round = (value) => (typeof value === 'number' ? Number(value.toFixed(3)) : value);
+
+// Summary row of a run: { algorithm, runId, repetition, ...params, events, deadlock, ...metrics }
+// `metrics` is the result of analyzeRun() (null when the run logged no events)
+function summaryRow(result, metrics) {
+    const admission = metrics ? metrics.admission : null;
+    return {
+        algorithm: result.name,
+        runId: result.runId,
+        repetition: result.repetition,
+        ...result.params,
+        events: result.eventCount,
+        deadlock: Boolean(result.deadlock),
+        totalMeals: metrics ? metrics.totalMeals : 0,
+        duration: round(metrics ? metrics.duration : null),
+        throughput: round(metrics ? metrics.throughput : null),
+        waitMean: round(metrics ? metrics.waitTime.mean : null),
+        waitP99: round(metrics ? metrics.waitTime.p99 : null),
+        fairnessMeals: round(metrics ? metrics.fairness.meals : null),
+        fairnessWait: round(metrics ? metrics.fairness.wait : null),
+        longestWait: round(metrics ? metrics.starvation.worstWait : null),
+        maxOvertakes: metrics ? metrics.starvation.worstOvertakes : null,
+        admissionWaitMean: round(admission ? admission.waitTime.mean : null),
+        admissionWaitMax: admission ? admission.waitTime.max : null,
+        maxQueue: admission ? admission.maxQueue : null
+    };
+}
+
+// Mean of every metric over the repetitions of each algorithm and configuration
+function groupRows(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+        const params = {};
+        PARAMETERS.forEach(({ key }) => { params[key] = row[key]; });
+        const key = JSON.stringify([row.algorithm, params]);
+        if (!groups.has(key)) groups.set(key, { algorithm: row.algorithm, ...params, rows: [] });
+        groups.get(key).rows.push(row);
+    }
+
+    return Array.from(groups.values(), ({ rows: runs, ...group }) => {
+        const summary = { ...group, runs: runs.length, deadlocks: runs.filter(r => r.deadlock).length };
+        for (const metric of METRICS) {
+            const values = runs.map(r => r[metric]).filter(v => v !== null);
+            summary[metric] = values.length === 0 ? null : round(values.reduce((a, b) => a + b, 0) / values.length);
+        }
+        return summary;
+    });
+}
+
+function toCsv(rows) {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+    PARAMETERS,
+    METRICS,
+    parseValues,
+    combinations,
+    summaryRow,
+    groupRows,
+    toCsv
+};
@@ -0,0 +1,82 @@
+const { parseValues, combinations, summaryRow, groupRows, toCsv } = require('./sweep');
+
+describe('Sweep parameters', () => {
+    test('parseValues accepts numbers, lists and ranges', () => {
+        expect(parseValues(5)).toEqual([5]);
+        expect(parseValues('3,5,7')).toEqual([3, 5, 7]);
+        expect(parseValues('3-6')).toEqual([3, 4, 5, 6]);
+        expect(parseValues('3-9:2')).toEqual([3, 5, 7, 9]);
+        expect(parseValues('0-1:0.5,10')).toEqual([0, 0.5, 1, 10]);
+        expect(parseValues('uniform:1:5,exp:2,3', true)).toEqual(['uniform:1:5', 'exp:2', 3]);
+    });
+
+    test('parseValues rejects invalid values', () => {
+        expect(() => parseValues('3,x')).toThrow('Invalid parameter value: x');
+        expect(() => parseValues('9-3')).toThrow('Invalid range: 9-3');
+        expect(() => parseValues('uniform:1:5')).toThrow('Invalid parameter value: uniform:1:5');
+        expect(() => parseValues('normal:1', true)).toThrow('Invalid duration distribution: normal:1');
+    });
+
+    test('parseValues with choices accepts only the listed names', () => {
+        const policies = ['fifo', 'ticket'];
+        expect(parseValues('fifo,ticket', false, policies)).toEqual(['fifo', 'ticket']);
+        expect(() => parseValues('lifo', false, policies)).toThrow('Invalid parameter value: lifo (expected fifo, ticket)');
+    });
+
+    test('combinations builds the cartesian product', () => {
+        expect(combinations({ n: [3, 5], meals: [10], thinkTime: [0, 2] })).toEqual([
+            { n: 3, meals: 10, thinkTime: 0 },
+            { n: 3, meals: 10, thinkTime: 2 },
+            { n: 5, meals: 10, thinkTime: 0 },
+            { n: 5, meals: 10, thinkTime: 2 }
+        ]);
+    });
+});
+
+describe('Sweep summaries', () => {
+    const params = { n: 5, meals: 10, eatTime: 1, thinkTime: 0, backoffBase: 1, backoffCap: 1000 };
+    const metrics = (throughput, waitMean) => ({
+        totalMeals: 50, duration: 100, throughput,
+        waitTime: { mean: waitMean, p99: 4 },
+        fairness: { meals: 1, wait: 0.9 },
+        starvation: { worstWait: 12.5, worstOvertakes: 2 }
+    });
+    const result = (runId, repetition, deadlock = null) =>
+        ({ name: 'asymmetric', runId, repetition, params, eventCount: 300, deadlock });
+
+    test('summaryRow flattens parameters and metrics', () => {
+        expect(summaryRow(result('aaa', 0), metrics(500, 1.23456))).toEqual({
+            algorithm: 'asymmetric', runId: 'aaa', repetition: 0, ...params,
+            events: 300, deadlock: false, totalMeals: 50, duration: 100, throughput: 500,
+            waitMean: 1.235, waitP99: 4, fairnessMeals: 1, fairnessWait: 0.9, longestWait: 12.5, maxOvertakes: 2,
+            admissionWaitMean: null, admissionWaitMax: null, maxQueue: null
+        });
+        expect(summaryRow(result('bbb', 0, { reason: 'cycle' }), null)).toMatchObject({
+            deadlock: true, totalMeals: 0, throughput: null, waitMean: null
+        });
+    });
+
+    test('summaryRow includes the admission metrics of conductor runs', () => {
+        const admission = { waitTime: { mean: 2.5, max: 7 }, maxQueue: 3 };
+        expect(summaryRow(result('aaa', 0), { ...metrics(500, 1), admission })).toMatchObject({
+            admissionWaitMean: 2.5, admissionWaitMax: 7, maxQueue: 3
+        });
+    });
+
+    test('groupRows averages the repetitions of a configuration', () => {
+        const rows = [
+            summaryRow(result('aaa', 0), metrics(400, 1)),
+            summaryRow(result('bbb', 1), metrics(600, 2)),
+            summaryRow(result('ccc', 2, { reason: 'cycle' }), null)
+        ];
+        const [group] = groupRows(rows);
+        expect(group).toMatchObject({ algorithm: 'asymmetric', n: 5, runs: 3, deadlocks: 1, throughput: 500, waitMean: 1.5 });
+        expect(group.totalMeals).toBeCloseTo(100 / 3, 2);
+    });
+
+    test('toCsv writes a header and quotes special characters', () => {
+        expect(toCsv([{ a: 1, b: 'x,y' }, { a: null, b: 'say "hi"' }]))
+            .toBe('a,b\n1,"x,y"\n,"say ""hi"""\n');
+        expect(toCsv([])).toBe('');
+    });
+});
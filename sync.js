@@ -0,0 +1,324 @@
+// Async synchronization primitives: Semaphore, Mutex, ConditionVariable and Monitor
+//
+// Philosophers share one event loop, so waiting never blocks: a waiter awaits a promise
+// that a release (or signal) resolves. Waiters are served in arrival order (FIFO); a
+// Semaphore can pick another one with options.select (the Conductor passes its admission
+// policy, see admission.js). Every wait can be given up (options of the waiting call):
+//   timeout - reject with a TimeoutError after this many ms of the clock
+//   signal  - reject with the signal's reason once the AbortSignal is aborted
+// A waiter that gave up leaves the queue and never gets the lock or permit.
+//
+// Waiters are identified by philosopher id (`phil`); Mutex.unlock() must come from the holder.
+//
+// Options of every primitive:
+//   name    - name in the instrumentation events (default: the class name)
+//   run     - run whose clock times the waits (default: a RealClock) and to which the
+//             instrumentation events are logged, unless log is false
+//   log     - log the events to the run (default true)
+//   onEvent - function(event, details) called for every event
+// Events, logged as SYNC_<event> by the philosopher, without forks, with { sync: name, ... }:
+//   WAIT    - the philosopher has to wait ({ queue: waiters ahead of it })
+//   ACQUIRE - it got the lock or a permit ({ wait: ms it waited })
+//   RELEASE - it gave the lock or permit back
+//   TIMEOUT - it gave up waiting (timeout or signal)
+//   SIGNAL  - a condition variable woke waiters ({ woken: how many })
+//
+// Conductor (philosophers.js) is a Semaphore with one permit per seat, and every Fork is a
+// Mutex. A Mutex keeps state (0 = free, 1 = taken) and holder; its permit follows state, so
+// algorithms that set fork.state directly keep the mutex consistent.
+
+const { RealClock } = require('./clock');
+
+const SYNC_EVENTS = ['SYNC_WAIT', 'SYNC_ACQUIRE', 'SYNC_RELEASE', 'SYNC_TIMEOUT', 'SYNC_SIGNAL'];
+
+const realClock = new RealClock();
+
+// Rejection of a wait (e.g. an acquire()) that did not succeed within the given timeout
+class TimeoutError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TimeoutError';
+    }
+}
+
+// Base of the primitives: clock and instrumentation
+class Primitive {
+    constructor(options = {}) {
+        this.name = options.name || this.constructor.name;
+        this.run = options.run || null;
+        this.log = options.log !== false;
+        this.onEvent = options.onEvent || null;
+    }
+
+    // The run's current clock (runs may switch clocks, see Run.start())
+    get clock() {
+        return this.run ? this.run.clock : realClock;
+    }
+
+    emit(event, phil, details = {}) {
+        if (this.onEvent) this.onEvent(event, { phil, ...details });
+        if (this.run && this.log) this.run.log(phil, `SYNC_${event}`, [], { sync: this.name, ...details });
+    }
+
+    // Call giveUp(error) when the wait times out or its signal is aborted;
+    // returns a function to call once the wait is over
+    watch({ timeout, signal } = {}, giveUp) {
+        let done = false;
+        const abort = () => giveUp(signal.reason);
+        if (signal) {
+            if (signal.aborted) {
+                giveUp(signal.reason);
+                return () => {};
+            }
+            signal.addEventListener('abort', abort);
+        }
+        let cancelTimer = null;
+        if (timeout !== undefined && timeout !== null) {
+            cancelTimer = this.clock.timer(timeout, () => {
+                if (!done) giveUp(new TimeoutError(`Timed out after ${timeout}ms`));
+            });
+        }
+        return () => {
+            done = true;
+            if (signal) signal.removeEventListener('abort', abort);
+            if (cancelTimer) cancelTimer();
+        };
+    }
+}
+
+// Counting semaphore. Options (besides the common ones):
+//   select - function(waiters) returning the index of the waiter to serve next
+//            (default: 0, the earliest); waiters are { phil, since, ...fields of acquire() }
+class Semaphore extends Primitive {
+    constructor(permits = 1, options = {}) {
+        super(options);
+        this.permits = permits;  // free permits
+        this.waiters = [];       // { phil, since, ...fields } in arrival order
+        this.select = options.select || (() => 0);
+    }
+
+    get queueLength() {
+        return this.waiters.length;
+    }
+
+    // Take a permit if one is free and nobody is waiting; returns whether it did
+    tryAcquire(phil) {
+        if (this.permits === 0 || this.waiters.length > 0) {
+            return false;
+        }
+        this.permits--;
+        this.granted(phil, 0);
+        return true;
+    }
+
+    // Resolves once the philosopher has a permit. options: timeout, signal (see above);
+    // any other fields are kept on the waiter for options.select (e.g. a ticket)
+    acquire(phil, options = {}) {
+        const { timeout, signal, ...fields } = options;
+        const waiter = { phil, since: this.clock.now(), ...fields };
+        const queue = this.waiters.length;
+        return new Promise((resolve, reject) => {
+            let stopWatching = null;
+            waiter.grant = () => {
+                if (stopWatching) stopWatching();
+                resolve();
+            };
+            this.waiters.push(waiter);
+            this.dispatch();
+            if (!this.waiters.includes(waiter)) {
+                return;
+            }
+            this.emit('WAIT', phil, { queue });
+            stopWatching = this.watch({ timeout, signal }, error => {
+                const index = this.waiters.indexOf(waiter);
+                if (index === -1) return;
+                this.waiters.splice(index, 1);
+                if (stopWatching) stopWatching();  // not yet set when the signal was already aborted
+                this.emit('TIMEOUT', phil);
+                reject(error);
+            });
+        });
+    }
+
+    release(phil) {
+        this.permits++;
+        this.emit('RELEASE', phil);
+        this.dispatch();
+    }
+
+    // Hand out free permits to the waiters picked by select()
+    dispatch() {
+        while (this.permits > 0 && this.waiters.length > 0) {
+            const [waiter] = this.waiters.splice(this.select(this.waiters), 1);
+            this.permits--;
+            this.granted(waiter.phil, this.clock.now() - waiter.since);
+            waiter.grant();
+        }
+    }
+
+    // A permit went to phil after waiting `wait` ms (before its acquire() resolves)
+    granted(phil, wait) {
+        this.emit('ACQUIRE', phil, { wait });
+    }
+}
+
+// Lock held by one philosopher at a time; like a Fork it has state (0 = free, 1 = taken)
+// and holder (null when free)
+class Mutex extends Semaphore {
+    constructor(options = {}) {
+        super(1, options);
+        this.state = 0;
+        this.holder = null;
+    }
+
+    // Free while state is 0 (see granted() and unlock(), which set state)
+    get permits() {
+        return this.state === 0 ? 1 : 0;
+    }
+
+    set permits(_) {
+        // follows state
+    }
+
+    tryLock(phil) {
+        return this.tryAcquire(phil);
+    }
+
+    // Resolves once phil holds the lock; options: timeout, signal
+    lock(phil, options = {}) {
+        return this.acquire(phil, options);
+    }
+
+    unlock(phil) {
+        if (this.holder !== phil) {
+            throw new Error(`Philosopher ${phil} cannot unlock ${this.name} held by ${this.holder}`);
+        }
+        this.state = 0;
+        this.holder = null;
+        this.release(phil);
+    }
+
+    granted(phil, wait) {
+        this.state = 1;
+        this.holder = phil;
+        super.granted(phil, wait);
+    }
+}
+
+// Condition variable used with a Mutex: wait() releases the mutex until signalled, then
+// takes it back. Signals are not remembered, so wait in a loop checking the condition
+// (or use Monitor.waitUntil()).
+class ConditionVariable extends Primitive {
+    constructor(options = {}) {
+        super(options);
+        this.waiters = [];  // { phil, wake } in arrival order
+    }
+
+    get queueLength() {
+        return this.waiters.length;
+    }
+
+    // Release the mutex held by phil, wait for a signal and lock it again. options: timeout,
+    // signal; a wait given up still takes the mutex back before rejecting
+    async wait(mutex, phil, options = {}) {
+        const waiter = { phil };
+        const queue = this.waiters.length;
+        const woken = new Promise((resolve, reject) => {
+            waiter.wake = resolve;
+            waiter.fail = reject;
+        });
+        this.waiters.push(waiter);
+        this.emit('WAIT', phil, { queue });
+        const stopWatching = this.watch(options, error => {
+            const index = this.waiters.indexOf(waiter);
+            if (index === -1) return;
+            this.waiters.splice(index, 1);
+            this.emit('TIMEOUT', phil);
+            waiter.fail(error);
+        });
+        mutex.unlock(phil);
+
+        try {
+            await woken;
+        } finally {
+            stopWatching();
+            await mutex.lock(phil);
+        }
+    }
+
+    // Wake the earliest waiter; returns how many were woken (0 or 1)
+    signal(phil = null) {
+        return this.wake(Math.min(1, this.waiters.length), phil);
+    }
+
+    // Wake every waiter; returns how many were woken
+    broadcast(phil = null) {
+        return this.wake(this.waiters.length, phil);
+    }
+
+    wake(count, phil) {
+        const woken = this.waiters.splice(0, count);
+        this.emit('SIGNAL', phil, { woken: woken.length });
+        woken.forEach(waiter => waiter.wake());
+        return woken.length;
+    }
+}
+
+// Monitor: a Mutex with named condition variables, e.g. for a waiter with seats:
+//   await monitor.enter(phil, async () => {
+//       await monitor.waitUntil(phil, 'seat', () => seats > 0);
+//       seats--;
+//   });
+//   ...
+//   await monitor.enter(phil, () => { seats++; monitor.notifyAll('seat'); });
+class Monitor {
+    constructor(options = {}) {
+        this.options = options;
+        this.name = options.name || 'Monitor';
+        this.mutex = new Mutex({ ...options, name: this.name });
+        this.conditions = new Map();  // name -> ConditionVariable
+    }
+
+    condition(name) {
+        if (!this.conditions.has(name)) {
+            this.conditions.set(name, new ConditionVariable({ ...this.options, name: `${this.name}.${name}` }));
+        }
+        return this.conditions.get(name);
+    }
+
+    // Run fn() holding the monitor's lock; resolves with its result. options: timeout,
+    // signal for getting the lock
+    async enter(phil, fn, options = {}) {
+        await this.mutex.lock(phil, options);
+        try {
+            return await fn();
+        } finally {
+            this.mutex.unlock(phil);
+        }
+    }
+
+    // Inside enter(): wait on condition `name` until predicate() holds. options: timeout,
+    // signal for each wait
+    async waitUntil(phil, name, predicate, options = {}) {
+        while (!predicate()) {
+            await this.condition(name).wait(this.mutex, phil, options);
+        }
+    }
+
+    notify(name, phil = null) {
+        return this.condition(name).signal(phil);
+    }
+
+    notifyAll(name, phil = null) {
+        return this.condition(name).broadcast(phil);
+    }
+}
+
+module.exports = {
+    SYNC_EVENTS,
+    TimeoutError,
+    Semaphore,
+    Mutex,
+    ConditionVariable,
+    Monitor
+};
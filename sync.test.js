@@ -0,0 +1,209 @@
+const { SYNC_EVENTS, TimeoutError, Semaphore, Mutex, ConditionVariable, Monitor } = require('./sync');
+const { Fork, Conductor, VirtualClock } = require('./philosophers');
+const { Run } = require('./run');
+const { MemorySink } = require('./sinks');
+
+// A run on a virtual clock that keeps its events in memory
+const newRun = () => new Run({ algorithm: 'sync', clock: new VirtualClock(), sinks: [new MemorySink()] });
+
+describe('Semaphore', () => {
+    test('hands out permits to the waiters in arrival order', async () => {
+        const semaphore = new Semaphore(2, { run: newRun() });
+        const order = [];
+        const acquired = [0, 1, 2, 3].map(phil => semaphore.acquire(phil).then(() => order.push(phil)));
+        await Promise.resolve();
+        expect([semaphore.permits, semaphore.queueLength, order]).toEqual([0, 2, [0, 1]]);
+        expect(semaphore.tryAcquire(4)).toBe(false);
+
+        semaphore.release(1);
+        semaphore.release(0);
+        await Promise.all(acquired);
+        expect(order).toEqual([0, 1, 2, 3]);
+    });
+
+    test('select picks the next waiter', async () => {
+        const semaphore = new Semaphore(0, { run: newRun(), select: waiters => waiters.length - 1 });
+        const order = [];
+        const acquired = [0, 1, 2].map(phil => semaphore.acquire(phil, { priority: phil }).then(() => order.push(phil)));
+        expect(semaphore.waiters.map(w => w.priority)).toEqual([0, 1, 2]);
+        [0, 1, 2].forEach(() => semaphore.release(null));
+        await Promise.all(acquired);
+        expect(order).toEqual([2, 1, 0]);
+    });
+
+    test('a waiter that times out leaves the queue', async () => {
+        const semaphore = new Semaphore(1, { run: newRun() });
+        semaphore.tryAcquire(0);
+        const late = semaphore.acquire(1, { timeout: 5 });
+        const patient = semaphore.acquire(2);
+        await expect(late).rejects.toThrow(new TimeoutError('Timed out after 5ms'));
+        expect(semaphore.waiters.map(w => w.phil)).toEqual([2]);
+
+        semaphore.release(0);
+        await patient;
+        expect(semaphore.permits).toBe(0);
+    });
+
+    test('a wait that ends in time leaves no timer behind', async () => {
+        const run = newRun();
+        const semaphore = new Semaphore(0, { run });
+        const acquired = semaphore.acquire(0, { timeout: 50 });
+        expect(run.clock.timers).toHaveLength(1);
+        semaphore.release(null);
+        await acquired;
+        expect(run.clock.timers).toEqual([]);
+    });
+
+    test('an aborted signal cancels the wait', async () => {
+        const semaphore = new Semaphore(0);
+        const controller = new AbortController();
+        const acquired = semaphore.acquire(0, { signal: controller.signal });
+        controller.abort(new Error('crashed'));
+        await expect(acquired).rejects.toThrow('crashed');
+        await expect(semaphore.acquire(1, { signal: controller.signal })).rejects.toThrow('crashed');
+        expect(semaphore.queueLength).toBe(0);
+    });
+});
+
+describe('Mutex', () => {
+    test('has a holder like a fork', async () => {
+        const mutex = new Mutex({ name: 'fork 0' });
+        expect(mutex.tryLock(0)).toBe(true);
+        expect([mutex.state, mutex.holder]).toEqual([1, 0]);
+        expect(mutex.tryLock(1)).toBe(false);
+        expect(() => mutex.unlock(1)).toThrow('Philosopher 1 cannot unlock fork 0 held by 0');
+
+        const locked = mutex.lock(1);
+        mutex.unlock(0);
+        await locked;
+        expect([mutex.state, mutex.holder]).toEqual([1, 1]);
+        mutex.unlock(1);
+        expect([mutex.state, mutex.holder]).toEqual([0, null]);
+    });
+
+    test('backs every fork and follows state set directly', async () => {
+        const fork = new Fork(0, { run: newRun() });
+        await fork.acquire(2);
+        expect(fork.mutex.holder).toBe(2);
+        expect(fork.mutex.tryLock(1)).toBe(false);
+        fork.release(2);
+        expect(fork.mutex.permits).toBe(1);
+
+        fork.state = 1;
+        fork.holder = 3;
+        expect(fork.mutex.permits).toBe(0);
+        expect(() => fork.release(1)).toThrow('Philosopher 1 cannot release fork held by 3');
+    });
+});
+
+describe('ConditionVariable', () => {
+    test('signal wakes the earliest waiter, broadcast all of them', async () => {
+        const mutex = new Mutex();
+        const condition = new ConditionVariable();
+        const woken = [];
+        const waits = [0, 1, 2].map(async phil => {
+            await mutex.lock(phil);
+            await condition.wait(mutex, phil);
+            woken.push(phil);
+            mutex.unlock(phil);
+        });
+        await new Promise(resolve => setImmediate(resolve));
+        expect([condition.queueLength, mutex.state]).toEqual([3, 0]);
+
+        expect(condition.signal()).toBe(1);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(woken).toEqual([0]);
+        expect(condition.broadcast()).toBe(2);
+        await Promise.all(waits);
+        expect(woken).toEqual([0, 1, 2]);
+        expect(condition.signal()).toBe(0);
+    });
+
+    test('a wait that times out takes the mutex back', async () => {
+        const mutex = new Mutex({ run: newRun() });
+        const condition = new ConditionVariable({ run: mutex.run });
+        await mutex.lock(0);
+        await expect(condition.wait(mutex, 0, { timeout: 10 })).rejects.toThrow(TimeoutError);
+        expect([mutex.holder, condition.queueLength]).toEqual([0, 0]);
+    });
+});
+
+describe('Monitor', () => {
+    test('waitUntil lets philosophers wait for a free seat', async () => {
+        const run = newRun();
+        const monitor = new Monitor({ name: 'waiter', run });
+        let seats = 1;
+        let seated = 0;
+        let maxSeated = 0;
+        const dine = async phil => {
+            await monitor.enter(phil, async () => {
+                await monitor.waitUntil(phil, 'seat', () => seats > 0);
+                seats--;
+            });
+            maxSeated = Math.max(maxSeated, ++seated);
+            await run.delay(5);
+            seated--;
+            await monitor.enter(phil, () => {
+                seats++;
+                monitor.notifyAll('seat', phil);
+            });
+        };
+        await Promise.all([0, 1, 2].map(dine));
+        expect([seats, maxSeated]).toEqual([1, 1]);
+        expect(run.clock.now()).toBe(15);
+        expect(monitor.condition('seat').name).toBe('waiter.seat');
+    });
+
+    test('enter returns the result of fn and unlocks when it throws', async () => {
+        const monitor = new Monitor();
+        expect(await monitor.enter(0, () => 42)).toBe(42);
+        await expect(monitor.enter(0, () => { throw new Error('spilled'); })).rejects.toThrow('spilled');
+        expect(monitor.mutex.state).toBe(0);
+    });
+});
+
+describe('Instrumentation', () => {
+    test('logs the waits to the run', async () => {
+        const run = newRun();
+        const mutex = new Mutex({ name: 'pot', run });
+        await mutex.lock(0);
+        const locked = mutex.lock(1);
+        await run.delay(3);
+        mutex.unlock(0);
+        await locked;
+
+        const events = run.events.map(({ phil, event, forks, sync, queue, wait }) => ({ phil, event, forks, sync, queue, wait }));
+        expect(events).toEqual([
+            { phil: 0, event: 'SYNC_ACQUIRE', forks: [], sync: 'pot', queue: undefined, wait: 0 },
+            { phil: 1, event: 'SYNC_WAIT', forks: [], sync: 'pot', queue: 0, wait: undefined },
+            { phil: 0, event: 'SYNC_RELEASE', forks: [], sync: 'pot', queue: undefined, wait: undefined },
+            { phil: 1, event: 'SYNC_ACQUIRE', forks: [], sync: 'pot', queue: undefined, wait: 3 }
+        ]);
+        expect(run.events.every(e => SYNC_EVENTS.includes(e.event))).toBe(true);
+    });
+
+    test('onEvent sees the events, also without logging', async () => {
+        const run = newRun();
+        const seen = [];
+        const condition = new ConditionVariable({ run, log: false, onEvent: (event, details) => seen.push([event, details]) });
+        const mutex = new Mutex({ run, log: false });
+        await mutex.lock(2);
+        const waited = condition.wait(mutex, 2, { timeout: 1 }).catch(err => err.name);
+        condition.signal(0);
+        await waited;
+        expect(seen).toEqual([['WAIT', { phil: 2, queue: 0 }], ['SIGNAL', { phil: 0, woken: 1 }]]);
+        expect(run.events).toEqual([]);
+    });
+
+    test('the conductor is a semaphore logging seat events', async () => {
+        const run = newRun();
+        const conductor = new Conductor(1, { run });
+        expect(conductor.semaphore).toBeInstanceOf(Semaphore);
+        await conductor.requestSeat(0);
+        const seated = conductor.requestSeat(1);
+        expect([conductor.seats, conductor.waiting.map(w => w.phil)]).toEqual([0, [1]]);
+        conductor.leaveSeat(0);
+        await seated;
+        expect(run.events.map(e => e.event)).toEqual(['SEAT_REQUEST', 'SEAT_GRANTED', 'SEAT_REQUEST', 'SEAT_LEFT', 'SEAT_GRANTED']);
+    });
+});
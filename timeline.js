@@ -0,0 +1,293 @@
+// Timeline (Gantt chart) of the JSONL event logs written by run-experiments.js
+//
+// Writes a self-contained HTML page with one SVG chart per run:
+//   - one row per philosopher: thinking, waiting (first TRY/HUNGRY/REQUEST until EAT_START),
+//     eating (EAT_START..EAT_END, or a DRINK_START..DRINK_END session) and crashed
+//   - one row per fork: a band per holder, from ACQUIRE until RELEASE, SEND_FORK or LEASE_EXPIRED
+//   - markers for TIMEOUT, CRASH and DEADLOCK events and for the violations found by
+//     check-forks.js (hover a marker or interval to see its details)
+//
+// Usage:
+//   node timeline.js <log-file> [--out=<file.html>] [--run=<runId>] [--algorithm=<name>]
+//
+// Arguments:
+//   log-file    - JSONL log, plain or gzipped
+//   --out       - Optional: output file (default: the log file name with .html)
+//   --run       - Optional: only draw the run with the given runId
+//   --algorithm - Optional: only draw runs of the given algorithm
+//
+// Examples:
+//   node timeline.js logs/reference-solutions-500meals.jsonl.gz --algorithm=conductor
+//   node timeline.js logs/all-experiments-student-<timestamp>.jsonl --run=abc123 --out=run.html
+
+const fs = require('fs');
+const { readLog, groupRuns } = require('./analyze-log');
+const { checkRun } = require('./check-forks');
+
+const ROW_HEIGHT = 18;
+const ROW_GAP = 4;
+const LABEL_WIDTH = 100;
+const MIN_CHART_WIDTH = 1200;
+const MAX_CHART_WIDTH = 30000;
+const PIXELS_PER_MS = 2;
+const AXIS_HEIGHT = 24;
+
+const STATE_COLORS = {
+    thinking: '#dbe7f3',
+    waiting: '#f5c26b',
+    eating: '#4caf50',
+    crashed: '#9e9e9e'
+};
+
+// Build the intervals of one run:
+// { duration, philosophers: [{ id, intervals: [{ state, start, end }] }],
+//   forks: [{ id, bands: [{ holder, start, end, open }] }],
+//   markers: [{ type, t, phil, text }] }
+function buildTimeline(events) {
+    const duration = events.reduce((max, e) => Math.max(max, e.t), 0);
+    const phils = new Map();  // id -> { state, since, intervals }
+    const forks = new Map();  // id -> { holder, since, bands }
+    const markers = [];
+
+    const philOf = (id) => {
+        if (!phils.has(id)) phils.set(id, { state: 'thinking', since: 0, intervals: [] });
+        return phils.get(id);
+    };
+    const forkOf = (id) => {
+        if (!forks.has(id)) forks.set(id, { holder: null, since: 0, bands: [] });
+        return forks.get(id);
+    };
+    const enter = (id, state, t) => {
+        const phil = philOf(id);
+        if (phil.state === state) return;
+        if (t > phil.since) phil.intervals.push({ state: phil.state, start: phil.since, end: t });
+        phil.state = state;
+        phil.since = t;
+    };
+    const put = (f, t) => {
+        const fork = forkOf(f);
+        if (fork.holder === null) return;
+        fork.bands.push({ holder: fork.holder, start: fork.since, end: t, open: false });
+        fork.holder = null;
+    };
+
+    for (const e of events) {
+        const forkIds = e.forks || [];
+        switch (e.event) {
+            case 'TRY':
+            case 'HUNGRY':
+            case 'REQUEST':
+                if (philOf(e.phil).state === 'thinking') enter(e.phil, 'waiting', e.t);
+                break;
+            case 'ACQUIRE':
+                if (e.phil !== null) philOf(e.phil);
+                for (const f of forkIds) {
+                    put(f, e.t);
+                    Object.assign(forkOf(f), { holder: e.phil, since: e.t });
+                }
+                break;
+            case 'RELEASE':
+            case 'SEND_FORK':
+            case 'LEASE_EXPIRED':
+                forkIds.forEach(f => put(f, e.t));
+                break;
+            case 'EAT_START':
+            case 'DRINK_START':
+                enter(e.phil, 'eating', e.t);
+                break;
+            case 'EAT_END':
+            case 'DRINK_END':
+            case 'THINK_START':
+                enter(e.phil, 'thinking', e.t);
+                break;
+            case 'TIMEOUT':
+                markers.push({ type: 'timeout', t: e.t, phil: e.phil, text: `Philosopher ${e.phil} timed out waiting for forks ${forkIds.join(', ')}` });
+                break;
+            case 'CRASH':
+                enter(e.phil, 'crashed', e.t);
+                markers.push({ type: 'crash', t: e.t, phil: e.phil, text: `Philosopher ${e.phil} crashed (${e.at}) holding forks ${forkIds.join(', ') || 'none'}` });
+                break;
+            case 'DEADLOCK':
+                markers.push({ type: 'deadlock', t: e.t, phil: null, text: `Deadlock (${e.reason}): cycle ${(e.cycle || []).join(' -> ')}` });
+                break;
+        }
+    }
+
+    for (const v of checkRun(events)) {
+        const t = v.t === null ? duration : v.t;
+        markers.push({ type: 'violation', t, phil: v.phil, text: `${v.type}: ${v.error}` });
+    }
+
+    for (const [id, phil] of phils) {
+        if (id !== null && duration > phil.since) {
+            phil.intervals.push({ state: phil.state, start: phil.since, end: duration });
+        }
+    }
+    for (const fork of forks.values()) {
+        if (fork.holder !== null) {
+            fork.bands.push({ holder: fork.holder, start: fork.since, end: duration, open: true });
+        }
+    }
+
+    const byId = (a, b) => a.id - b.id;
+    return {
+        duration,
+        philosophers: Array.from(phils, ([id, phil]) => ({ id, intervals: phil.intervals }))
+            .filter(p => p.id !== null).sort(byId),
+        forks: Array.from(forks, ([id, fork]) => ({ id, bands: fork.bands })).sort(byId),
+        markers
+    };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Distinct colour for each fork holder
+function holderColor(holder) {
+    return `hsl(${(holder * 137.5) % 360}, 55%, 62%)`;
+}
+
+// Round a tick step to 1, 2 or 5 times a power of ten
+function niceStep(range, ticks = 10) {
+    const raw = Math.max(range / ticks, 1e-9);
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].find(m => m * power >= raw);
+    return step * power;
+}
+
+// Render one timeline as an SVG element
+function renderSvg(timeline) {
+    const rows = timeline.philosophers.length + timeline.forks.length;
+    const height = AXIS_HEIGHT + rows * (ROW_HEIGHT + ROW_GAP) + ROW_GAP;
+    // Long runs get a wider chart (scrollable in the page)
+    const chartWidth = Math.min(Math.max(timeline.duration * PIXELS_PER_MS, MIN_CHART_WIDTH), MAX_CHART_WIDTH);
+    const width = LABEL_WIDTH + chartWidth;
+    const scale = chartWidth / Math.max(timeline.duration, 1);
+    const x = t => (LABEL_WIDTH + t * scale).toFixed(2);
+    const w = (start, end) => Math.max((end - start) * scale, 0.5).toFixed(2);
+    const rowY = row => AXIS_HEIGHT + ROW_GAP + row * (ROW_HEIGHT + ROW_GAP);
+    const philRow = new Map(timeline.philosophers.map((p, i) => [p.id, i]));
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif" font-size="11">`);
+
+    const step = niceStep(timeline.duration, Math.round(chartWidth / 120));
+    for (let t = 0; t <= timeline.duration; t += step) {
+        parts.push(`<line x1="${x(t)}" y1="${AXIS_HEIGHT - 4}" x2="${x(t)}" y2="${height}" stroke="#eee"/>`);
+        parts.push(`<text x="${x(t)}" y="${AXIS_HEIGHT - 8}" text-anchor="middle" fill="#666">${+t.toFixed(6)}ms</text>`);
+    }
+
+    timeline.philosophers.forEach((phil, row) => {
+        const y = rowY(row);
+        parts.push(`<text x="4" y="${y + ROW_HEIGHT - 5}">philosopher ${phil.id}</text>`);
+        for (const i of phil.intervals) {
+            parts.push(`<rect x="${x(i.start)}" y="${y}" width="${w(i.start, i.end)}" height="${ROW_HEIGHT}" fill="${STATE_COLORS[i.state]}">` +
+                `<title>philosopher ${phil.id} ${i.state} ${i.start}-${i.end}ms</title></rect>`);
+        }
+    });
+
+    timeline.forks.forEach((fork, index) => {
+        const y = rowY(timeline.philosophers.length + index);
+        parts.push(`<text x="4" y="${y + ROW_HEIGHT - 5}">fork ${fork.id}</text>`);
+        for (const b of fork.bands) {
+            const stroke = b.open ? ' stroke="#c62828" stroke-width="1.5"' : '';
+            parts.push(`<rect x="${x(b.start)}" y="${y}" width="${w(b.start, b.end)}" height="${ROW_HEIGHT}" fill="${holderColor(b.holder)}"${stroke}>` +
+                `<title>fork ${fork.id} held by philosopher ${b.holder} ${b.start}-${b.end}ms${b.open ? ' (still held at end)' : ''}</title></rect>`);
+        }
+    });
+
+    for (const m of timeline.markers) {
+        const title = `<title>t=${m.t}ms ${escapeHtml(m.text)}</title>`;
+        if ((m.type === 'timeout' || m.type === 'crash') && philRow.has(m.phil)) {
+            const y = rowY(philRow.get(m.phil));
+            const color = m.type === 'crash' ? '#6a1b9a' : '#e65100';
+            parts.push(`<path d="M${x(m.t)},${y} l-4,-4 h8 z" fill="${color}">${title}</path>`);
+        } else {
+            const color = m.type === 'violation' ? '#c62828' : '#000';
+            parts.push(`<line x1="${x(m.t)}" y1="${AXIS_HEIGHT}" x2="${x(m.t)}" y2="${height}" stroke="${color}" stroke-width="2" class="${m.type}">${title}</line>`);
+        }
+    }
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+// Render a page with the timelines of the given runs ({ runId, algorithm, events })
+function renderHtml(runs) {
+    const sections = runs.map(run => {
+        const timeline = buildTimeline(run.events);
+        const count = type => timeline.markers.filter(m => m.type === type).length;
+        return `<section>
+<h2>${escapeHtml(run.runId)} ${escapeHtml(run.algorithm)}</h2>
+<p>${run.events.length} events, ${timeline.duration}ms, ${count('timeout')} timeouts, ${count('violation')} violations${count('crash') ? `, ${count('crash')} crashes` : ''}${count('deadlock') ? ', deadlock' : ''}</p>
+<div class="chart">${renderSvg(timeline)}</div>
+</section>`;
+    });
+
+    const legend = Object.entries(STATE_COLORS)
+        .map(([state, color]) => `<span><i style="background:${color}"></i>${state}</span>`)
+        .concat(['<span><i style="background:#e65100"></i>timeout</span>',
+            '<span><i style="background:#6a1b9a"></i>crash</span>',
+            '<span><i style="background:#c62828"></i>violation / fork held at end</span>',
+            '<span><i style="background:#000"></i>deadlock</span>'])
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Dining philosophers timeline</title>
+<style>
+body { font-family: sans-serif; margin: 16px; }
+.chart { overflow-x: auto; }
+.legend span { margin-right: 16px; }
+.legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: middle; }
+</style>
+</head>
+<body>
+<h1>Dining philosophers timeline</h1>
+<p class="legend">${legend}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+function main(argv) {
+    const file = argv.find(arg => !arg.startsWith('--'));
+    const option = name => {
+        const arg = argv.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    if (!file) {
+        console.error('Usage: node timeline.js <log-file> [--out=<file.html>] [--run=<runId>] [--algorithm=<name>]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const runs = groupRuns(readLog(file))
+        .filter(run => !option('run') || run.runId === option('run'))
+        .filter(run => !option('algorithm') || run.algorithm === option('algorithm'));
+    if (runs.length === 0) {
+        console.log('No matching runs found.');
+        return;
+    }
+
+    const out = option('out') || file.replace(/\.jsonl(\.gz)?$/, '') + '.html';
+    fs.writeFileSync(out, renderHtml(runs));
+    console.log(`Wrote timeline of ${runs.length} run(s) to ${out}`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = {
+    STATE_COLORS,
+    holderColor,
+    buildTimeline,
+    renderSvg,
+    renderHtml
+};
@@ -0,0 +1,80 @@
+const { buildTimeline, renderSvg, renderHtml } = require('./timeline');
+
+function entry(t, phil, event, forks, runId = 'run001', algorithm = 'test') {
+    return { runId, algorithm, t, phil, event, forks };
+}
+
+// Philosopher 0 eats with forks 0 and 1, philosopher 1 waits for fork 1 and times out
+const sampleLog = [
+    entry(0, 0, 'TRY', [0]),
+    entry(0, 0, 'ACQUIRE', [0]),
+    entry(1, 0, 'TRY', [1]),
+    entry(1, 0, 'ACQUIRE', [1]),
+    entry(1, 0, 'EAT_START', [0, 1]),
+    entry(2, 1, 'TRY', [1]),
+    entry(3, 0, 'EAT_END', [0, 1]),
+    entry(3, 0, 'RELEASE', [0]),
+    entry(3, 0, 'RELEASE', [1]),
+    entry(4, 1, 'TIMEOUT', [1])
+];
+
+describe('Timeline', () => {
+    test('splits each philosopher into thinking, waiting and eating intervals', () => {
+        const timeline = buildTimeline(sampleLog);
+        expect(timeline.duration).toBe(4);
+        expect(timeline.philosophers).toEqual([
+            {
+                id: 0, intervals: [
+                    { state: 'waiting', start: 0, end: 1 },
+                    { state: 'eating', start: 1, end: 3 },
+                    { state: 'thinking', start: 3, end: 4 }
+                ]
+            },
+            {
+                id: 1, intervals: [
+                    { state: 'thinking', start: 0, end: 2 },
+                    { state: 'waiting', start: 2, end: 4 }
+                ]
+            }
+        ]);
+    });
+
+    test('draws a band for every fork holder', () => {
+        const timeline = buildTimeline(sampleLog);
+        expect(timeline.forks).toEqual([
+            { id: 0, bands: [{ holder: 0, start: 0, end: 3, open: false }] },
+            { id: 1, bands: [{ holder: 0, start: 1, end: 3, open: false }] }
+        ]);
+    });
+
+    test('marks timeouts and checker violations', () => {
+        const log = [...sampleLog, entry(5, 1, 'EAT_START', [1, 2])];
+        const markers = buildTimeline(log).markers;
+        expect(markers.map(m => m.type)).toEqual(['timeout', 'violation', 'violation']);
+        expect(markers[1]).toMatchObject({ t: 5, phil: 1 });
+        expect(markers[1].text).toMatch(/^EAT_WITHOUT_FORKS/);
+    });
+
+    test('crashed philosophers stay crashed and their reclaimed forks end', () => {
+        const log = [...sampleLog.slice(0, 5), entry(2, 0, 'CRASH', [0, 1]), entry(6, 0, 'LEASE_EXPIRED', [0, 1])];
+        const timeline = buildTimeline(log);
+        expect(timeline.philosophers[0].intervals.slice(-1)).toEqual([{ state: 'crashed', start: 2, end: 6 }]);
+        expect(timeline.forks[0].bands).toEqual([{ holder: 0, start: 0, end: 6, open: false }]);
+        expect(timeline.markers).toMatchObject([{ type: 'crash', t: 2, phil: 0 }]);
+    });
+
+    test('forks still held at the end are marked open', () => {
+        const timeline = buildTimeline(sampleLog.slice(0, 5));
+        expect(timeline.forks[1].bands).toEqual([{ holder: 0, start: 1, end: 1, open: true }]);
+    });
+
+    test('renders SVG rectangles and an HTML page per run', () => {
+        const svg = renderSvg(buildTimeline(sampleLog));
+        expect(svg.startsWith('<svg')).toBe(true);
+        expect((svg.match(/<rect/g) || []).length).toBe(7);
+
+        const html = renderHtml([{ runId: 'run001', algorithm: '<b>', events: sampleLog }]);
+        expect(html).toContain('<h2>run001 &lt;b&gt;</h2>');
+        expect(html).toContain('1 timeouts, 0 violations');
+    });
+});
@@ -0,0 +1,110 @@
+// Resource topologies: which forks each philosopher needs
+//
+// A topology lists, for every philosopher, the ids of the forks it must hold to eat.
+// Two philosophers are neighbours when they share at least one fork.
+//
+//   ring(n)     - the classic round table: philosopher i uses forks i and (i + 1) % n (n >= 2)
+//   line(n)     - philosophers on a bench: philosopher i uses forks i and i + 1 (n + 1 forks)
+//   star(n)     - philosopher 0 shares one fork with each of the others (n - 1 forks)
+//   complete(n) - one fork for every pair of philosophers (n * (n - 1) / 2 forks)
+//   explicit    - any list of fork lists, e.g. [[0, 1, 2], [2, 3], [3, 0]]
+
+const fs = require('fs');
+
+class Topology {
+    constructor(name, forksOf) {
+        this.name = name;
+        this.forksOf = forksOf;
+        this.n = forksOf.length;
+        this.forkCount = forksOf.reduce((max, forks) => Math.max(max, ...forks.map(f => f + 1)), 0);
+    }
+
+    // Philosophers using fork f
+    users(f) {
+        const users = [];
+        this.forksOf.forEach((forks, phil) => {
+            if (forks.includes(f)) users.push(phil);
+        });
+        return users;
+    }
+
+    // Philosophers sharing at least one fork with philosopher p
+    neighbors(p) {
+        const neighbors = new Set();
+        for (const f of this.forksOf[p]) {
+            this.users(f).forEach(user => user !== p && neighbors.add(user));
+        }
+        return Array.from(neighbors).sort((a, b) => a - b);
+    }
+}
+
+function ring(n) {
+    if (!Number.isInteger(n) || n < 2) {
+        throw new Error(`Ring topology needs at least 2 philosophers, got ${n}`);
+    }
+    return new Topology('ring', Array.from({ length: n }, (_, i) => [i, (i + 1) % n]));
+}
+
+function line(n) {
+    return new Topology('line', Array.from({ length: n }, (_, i) => [i, i + 1]));
+}
+
+function star(n) {
+    const forksOf = [Array.from({ length: n - 1 }, (_, i) => i)];
+    for (let i = 1; i < n; i++) {
+        forksOf.push([i - 1]);
+    }
+    return new Topology('star', forksOf);
+}
+
+function complete(n) {
+    const forksOf = Array.from({ length: n }, () => []);
+    let fork = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            forksOf[i].push(fork);
+            forksOf[j].push(fork);
+            fork++;
+        }
+    }
+    return new Topology('complete', forksOf);
+}
+
+function explicit(forksOf) {
+    if (!Array.isArray(forksOf) || forksOf.some(forks => !Array.isArray(forks) || forks.length === 0 ||
+        forks.some(f => !Number.isInteger(f) || f < 0))) {
+        throw new Error('Explicit topology must be a list of non-empty lists of fork ids');
+    }
+    return new Topology('explicit', forksOf.map(forks => forks.slice()));
+}
+
+// Build a topology from a name (ring, line, star, complete) and philosopher count,
+// from a JSON list of fork lists, or from a JSON file containing such a list
+function createTopology(spec, n) {
+    switch (spec) {
+        case undefined:
+        case 'ring':
+            return ring(n);
+        case 'line':
+            return line(n);
+        case 'star':
+            return star(n);
+        case 'complete':
+            return complete(n);
+    }
+    if (Array.isArray(spec)) {
+        return explicit(spec);
+    }
+    const text = spec.trim().startsWith('[') ? spec : fs.readFileSync(spec, 'utf8');
+    return explicit(JSON.parse(text));
+}
+
+module.exports = {
+    Topology,
+    ring,
+    line,
+    star,
+    complete,
+    explicit,
+    createTopology
+};
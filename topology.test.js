@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ring, line, star, complete, explicit, createTopology } = require('./topology');
+
+describe('Topologies', () => {
+    test('ring matches the circular table', () => {
+        const topology = ring(5);
+        expect(topology.forksOf).toEqual([[0, 1], [1, 2], [2, 3], [3, 4], [4, 0]]);
+        expect(topology.forkCount).toBe(5);
+        expect(topology.neighbors(0)).toEqual([1, 4]);
+        expect(topology.users(0)).toEqual([0, 4]);
+    });
+
+    test('line has a private fork at each end', () => {
+        const topology = line(3);
+        expect(topology.forksOf).toEqual([[0, 1], [1, 2], [2, 3]]);
+        expect(topology.forkCount).toBe(4);
+        expect(topology.users(0)).toEqual([0]);
+        expect(topology.neighbors(0)).toEqual([1]);
+    });
+
+    test('star connects every philosopher to the centre only', () => {
+        const topology = star(4);
+        expect(topology.forksOf).toEqual([[0, 1, 2], [0], [1], [2]]);
+        expect(topology.neighbors(0)).toEqual([1, 2, 3]);
+        expect(topology.neighbors(1)).toEqual([0]);
+    });
+
+    test('complete graph has one fork per pair', () => {
+        const topology = complete(4);
+        expect(topology.forkCount).toBe(6);
+        expect(topology.forksOf[0]).toEqual([0, 1, 2]);
+        for (let p = 0; p < 4; p++) {
+            expect(topology.neighbors(p).length).toBe(3);
+        }
+    });
+
+    test('explicit topology allows more than two forks per philosopher', () => {
+        const topology = explicit([[0, 1, 2], [2, 3], [3, 0]]);
+        expect(topology.n).toBe(3);
+        expect(topology.forkCount).toBe(4);
+        expect(topology.neighbors(1)).toEqual([0, 2]);
+    });
+
+    test('explicit topology rejects malformed lists', () => {
+        expect(() => explicit([[0, 1], []])).toThrow('non-empty lists of fork ids');
+        expect(() => explicit([[0, -1]])).toThrow('non-empty lists of fork ids');
+        expect(() => explicit({})).toThrow('non-empty lists of fork ids');
+    });
+
+    test('a ring needs at least two philosophers', () => {
+        expect(() => ring(1)).toThrow('Ring topology needs at least 2 philosophers, got 1');
+        expect(() => createTopology('ring', 0)).toThrow('Ring topology needs at least 2 philosophers, got 0');
+    });
+});
+
+describe('createTopology', () => {
+    test('builds named topologies', () => {
+        expect(createTopology(undefined, 5).name).toBe('ring');
+        expect(createTopology('line', 5).n).toBe(5);
+        expect(createTopology('star', 5).forkCount).toBe(4);
+        expect(createTopology('complete', 3).forkCount).toBe(3);
+    });
+
+    test('parses inline JSON and JSON files', () => {
+        expect(createTopology('[[0, 1], [1, 0]]').forksOf).toEqual([[0, 1], [1, 0]]);
+
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'topology-')), 'table.json');
+        fs.writeFileSync(file, JSON.stringify([[0, 1, 2], [2, 0]]));
+        expect(createTopology(file).forksOf).toEqual([[0, 1, 2], [2, 0]]);
+        fs.rmSync(path.dirname(file), { recursive: true });
+    });
+});